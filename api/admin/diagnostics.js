@@ -0,0 +1,104 @@
+/**
+ * Harmonious Food Finder
+ * Admin Diagnostics
+ *
+ * Endpoint:
+ *   GET /api/admin/diagnostics
+ *   GET /api/admin/diagnostics?probes=kroger,stripe   (subset)
+ *
+ *   Either `Authorization: Bearer <supabase token>` for a user whose
+ *   app_metadata.role is "admin", or `X-Admin-Key: <ADMIN_API_KEY>`.
+ *
+ * Purpose:
+ *   One place to answer "is everything up?" — live probes of FatSecret,
+ *   Kroger, Stripe, Supabase and Anthropic with latency, plus this
+ *   instance's caches, Kroger circuit breaker and rate limiters
+ *   (lib/diagnostics.js). Replaces the old public /api/kroger?action=debug.
+ *
+ * Behavior:
+ *   • 401 without credentials, 403 for signed-in non-admins
+ *   • 200 when every configured upstream answers, 503 when any fails
+ *     (the body is the same — uptime checks can key off the status)
+ *   • Reports whether each secret is set, never any part of it
+ *   • Read-only: no token or cache is reset
+ *
+ * Environment Variables:
+ *   ADMIN_API_KEY   (optional) key for scripted access
+ */
+
+const { verifyAdmin } = require("../../lib/auth");
+const { PROBES, runDiagnostics } = require("../../lib/diagnostics");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+
+// Every call fans out to five paid or rate-limited upstreams
+const rateLimiter = createRateLimiter({
+  route: "admin-diagnostics",
+  windowMs: 60 * 1000,
+  maxRequests: 10,
+});
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", "no-store");
+  return res.end(JSON.stringify(body));
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Admin-Key");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (req.method !== "GET") {
+    return sendJson(res, 405, { error: "GET only" });
+  }
+
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+  try {
+
+    const auth = await verifyAdmin(req);
+    if (!auth.authenticated) {
+      return sendJson(res, 401, { error: "Unauthorized. Admin credentials required." });
+    }
+    if (!auth.admin) {
+      return sendJson(res, 403, { error: "Forbidden. Admins only." });
+    }
+
+    const requested = String(req.query?.probes || "")
+      .split(",")
+      .map((name) => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    const unknown = requested.filter((name) => !PROBES[name]);
+    if (unknown.length > 0) {
+      return sendJson(res, 400, {
+        error: "Unknown probe",
+        unknown,
+        validProbes: Object.keys(PROBES),
+      });
+    }
+
+    const report = await runDiagnostics(requested.length > 0 ? requested : undefined);
+
+    return sendJson(res, report.status === "ok" ? 200 : 503, {
+      ...report,
+      requestedBy: auth.via === "role" ? { via: "role", userId: auth.user.id } : { via: "key" },
+    });
+
+  } catch (err) {
+
+    return sendJson(res, 500, {
+      error: "Server error",
+      message: err.message
+    });
+
+  }
+
+};
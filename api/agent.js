@@ -6,27 +6,56 @@
  *   message,
  *   familyProfiles,
  *   conversationHistory,
- *   scannedProduct?,
+ *   scannedProduct?,          // normalized product document from /api/barcode
  *   krogerLocationId?,
  *   krogerBannerName?,
  *   userLocation?,
  * }
  * 
  * When budget or pricing is mentioned, the agent fetches real Kroger prices
- * for ingredients and builds cost-aware meal plans.
+ * for ingredients (lib/kroger.js, which also records them in the price
+ * history) and builds cost-aware meal plans. The common-ingredient price
+ * list is cached per store (lib/shared-cache.js), so a conversation about
+ * budgets does not re-price every ingredient on every message.
  *
  * Env vars (Vercel):
  *   ANTHROPIC_API_KEY
  *   SUPABASE_URL
  *   SUPABASE_SERVICE_ROLE_KEY
  *   SUPABASE_ANON_KEY
+ *   KROGER_CLIENT_ID / KROGER_CLIENT_SECRET
  */
 
+const { getDefaultServing } = require('../lib/nutrition');
+const { searchProducts, pickCheapest } = require('../lib/kroger');
+const { mapWithConcurrency } = require('../lib/concurrency');
+const { createSharedCache } = require('../lib/shared-cache');
+const { createRateLimiter, enforceRateLimit } = require('../lib/rate-limit');
+const { supabaseRest } = require('../lib/supabase');
+
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
-const KROGER_WORKER_URL = 'https://harmonious-api.dameabe.workers.dev';
+const PRICE_LOOKUP_CONCURRENCY = 8;
+
+// Common-ingredient prices per store; a list with gaps (not carried, or a Kroger hiccup) is kept briefly
+const COMMON_PRICES_TTL_MS = 30 * 60 * 1000;
+const PARTIAL_PRICES_TTL_MS = 5 * 60 * 1000;
+
+const commonPriceCache = createSharedCache({
+  namespace: 'agent-common-prices',
+  ttlMs: COMMON_PRICES_TTL_MS,
+  staleMs: 2 * 60 * 60 * 1000,
+  maxEntries: 200,
+});
+
+// Each message is a paid model call: limit per signed-in user
+const rateLimiter = createRateLimiter({
+  route: 'agent',
+  windowMs: 60 * 1000,
+  maxRequests: 20,
+});
 
 async function verifyAuth(req) {
   const authHeader = req.headers.authorization;
@@ -43,31 +72,44 @@ async function verifyAuth(req) {
   return user?.id ? user : null;
 }
 
-/** Search Kroger for a product and return pricing */
-async function searchKrogerPrice(searchTerm, locationId, limit = 3) {
+/** Subscription tier for the rate limit; a failed lookup falls back to the free limit. */
+async function getUserTier(userId) {
   try {
-    const response = await fetch(
-      `${KROGER_WORKER_URL}/kroger/products?term=${encodeURIComponent(searchTerm)}&locationId=${locationId}&limit=${limit}`
-    );
-    if (!response.ok) return [];
-    const data = await response.json();
-    if (data.success && data.count > 0) {
-      return data.products.map(p => ({
-        name: p.description || searchTerm,
-        brand: p.brand || '',
-        price: p.price || null,
-        promoPrice: p.promoPrice || null,
-        size: p.size || '',
-        inStock: p.inStock !== false,
-      }));
-    }
-    return [];
+    const profile = await supabaseRest('rpc/get_user_profile', {
+      method: 'POST',
+      body: { p_user_id: userId },
+      timeoutMs: 2000,
+    });
+    return profile?.tier || 'free';
   } catch (err) {
-    console.error('Kroger price lookup failed for:', searchTerm, err.message);
-    return [];
+    console.error('[agent] profile lookup failed:', err.message);
+    return 'free';
   }
 }
 
+/**
+ * Search Kroger for a product and return pricing. Throws (after the
+ * client's retries) so the caller can tell "not carried" from "Kroger down".
+ */
+async function searchKrogerPrice(searchTerm, locationId, limit = 3) {
+  const { products } = await searchProducts(searchTerm, locationId, limit);
+  return products.map(p => ({
+    productId: p.productId || null,
+    upc: p.upc || null,
+    description: p.description || null,
+    name: p.description || searchTerm,
+    brand: p.brand || '',
+    price: p.price || null,
+    promoPrice: p.promoPrice || null,
+    size: p.size || '',
+    packageSize: p.packageSize,
+    unitPrice: p.unitPrice,
+    promoUnitPrice: p.promoUnitPrice,
+    unitPriceBasis: p.unitPriceBasis,
+    inStock: p.inStock !== false,
+  }));
+}
+
 function isBudgetQuery(message) {
   return /budget|under \$|less than \$|cheap|affordable|cost|price|how much|save money|frugal|inexpensive|\$\d+/i.test(message);
 }
@@ -89,32 +131,31 @@ function extractBudget(message) {
   return null;
 }
 
+/** One failed lookup leaves that ingredient unpriced; the rest still come back. */
 async function fetchIngredientPrices(ingredients, locationId) {
   const results = {};
-  const batches = [];
-  for (let i = 0; i < ingredients.length; i += 8) {
-    batches.push(ingredients.slice(i, i + 8));
-  }
-  for (const batch of batches) {
-    const promises = batch.map(async (item) => {
-      const products = await searchKrogerPrice(item, locationId, 2);
-      if (products.length > 0) {
-        const best = products.sort((a, b) => {
-          const pa = a.promoPrice || a.price || 999;
-          const pb = b.promoPrice || b.price || 999;
-          return pa - pb;
-        })[0];
-        results[item] = {
-          name: best.name,
-          brand: best.brand,
-          price: best.promoPrice || best.price,
-          size: best.size,
-          inStock: best.inStock,
-        };
-      }
-    });
-    await Promise.all(promises);
-  }
+  await mapWithConcurrency(ingredients, PRICE_LOOKUP_CONCURRENCY, async (item) => {
+    let products;
+    try {
+      products = await searchKrogerPrice(item, locationId, 5);
+    } catch (err) {
+      console.error('Kroger price lookup failed for:', item, err.message);
+      return;
+    }
+    // Cheapest per unit, not per package (lib/kroger.js pickCheapest)
+    const best = pickCheapest(products);
+    if (best) {
+      results[item] = {
+        name: best.name,
+        brand: best.brand,
+        price: best.promoPrice || best.price,
+        size: best.size,
+        unitPrice: best.promoUnitPrice ?? best.unitPrice,
+        unitPriceBasis: best.unitPriceBasis,
+        inStock: best.inStock,
+      };
+    }
+  });
   return results;
 }
 
@@ -194,7 +235,36 @@ RULES:
     prompt += `  Name: ${scannedProduct.name || 'Unknown'}\n`;
     if (scannedProduct.brand) prompt += `  Brand: ${scannedProduct.brand}\n`;
     if (scannedProduct.ingredients) prompt += `  Ingredients: ${scannedProduct.ingredients}\n`;
-    if (scannedProduct.healthScore !== undefined) prompt += `  Health Score: ${scannedProduct.healthScore}/100\n`;
+    const allergens = Object.entries(scannedProduct.allergens || {});
+    const contains = allergens.filter(([, status]) => status === 'contains').map(([key]) => key);
+    const free = allergens.filter(([, status]) => status === 'free').map(([key]) => key);
+    if (contains.length) prompt += `  Contains allergens: ${contains.join(', ')}\n`;
+    if (free.length) prompt += `  Free from: ${free.join(', ')}\n`;
+    const serving = getDefaultServing(scannedProduct);
+    if (serving) {
+      const n = serving.nutrition;
+      const parts = [
+        n.calories !== null && `${n.calories} kcal`,
+        n.macros.protein !== null && `protein ${n.macros.protein}g`,
+        n.macros.carbohydrate !== null && `carbs ${n.macros.carbohydrate}g`,
+        n.macros.sugar !== null && `sugar ${n.macros.sugar}g`,
+        n.macros.fat !== null && `fat ${n.macros.fat}g`,
+        n.micros.sodiumMg !== null && `sodium ${n.micros.sodiumMg}mg`,
+      ].filter(Boolean);
+      if (parts.length) prompt += `  Nutrition (${serving.description || 'per serving'}): ${parts.join(', ')}\n`;
+    }
+    const health = scannedProduct.healthScore;
+    if (health && typeof health === 'object') {
+      // Server-side score from /api/barcode (lib/health-score.js)
+      const drivers = [...health.factors, ...health.adjustments]
+        .filter(f => f.impact !== 0)
+        .sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact))
+        .slice(0, 3)
+        .map(f => `${f.factor} ${f.impact > 0 ? '+' : ''}${f.impact}`);
+      prompt += `  Health Score: ${health.score}/100 (grade ${health.grade}${drivers.length ? `; ${drivers.join(', ')}` : ''})\n`;
+    } else if (health !== undefined && health !== null) {
+      prompt += `  Health Score: ${health}/100\n`;
+    }
     if (scannedProduct.isOrganic) prompt += `  Organic: Yes\n`;
     if (scannedProduct.isNonGMO) prompt += `  Non-GMO: Yes\n`;
   }
@@ -205,7 +275,8 @@ RULES:
     if (priceEntries.length > 0) {
       for (const [item, data] of priceEntries) {
         if (data.price) {
-          prompt += `  ${item}: $${data.price.toFixed(2)} (${data.brand || 'store brand'}, ${data.size || ''})${data.inStock === false ? ' [OUT OF STOCK]' : ''}\n`;
+          const unit = data.unitPrice ? `, $${data.unitPrice.toFixed(2)} ${data.unitPriceBasis}` : '';
+          prompt += `  ${item}: $${data.price.toFixed(2)} (${data.brand || 'store brand'}, ${data.size || ''}${unit})${data.inStock === false ? ' [OUT OF STOCK]' : ''}\n`;
         }
       }
     } else {
@@ -228,6 +299,12 @@ const COMMON_INGREDIENTS = [
   'banana', 'apple', 'lemon',
 ];
 
+function commonPricesTtl(prices) {
+  const count = Object.keys(prices).length;
+  if (count === 0) return 0;
+  return count < COMMON_INGREDIENTS.length ? PARTIAL_PRICES_TTL_MS : COMMON_PRICES_TTL_MS;
+}
+
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
@@ -239,6 +316,8 @@ module.exports = async (req, res) => {
   const user = await verifyAuth(req);
   if (!user) return res.status(401).json({ error: 'Unauthorized. Please log in.' });
 
+  if (!(await enforceRateLimit(rateLimiter, req, res, { user, tier: await getUserTier(user.id) }))) return;
+
   if (!ANTHROPIC_API_KEY) {
     return res.status(500).json({ error: 'Agent not configured. Contact support.' });
   }
@@ -262,7 +341,11 @@ module.exports = async (req, res) => {
 
     if (budgetDetected && krogerLocationId) {
       console.log(`Budget query: $${budgetAmount || '?'}. Fetching Kroger prices...`);
-      const prices = await fetchIngredientPrices(COMMON_INGREDIENTS, krogerLocationId);
+      const prices = await commonPriceCache.getOrLoad(
+        String(krogerLocationId),
+        () => fetchIngredientPrices(COMMON_INGREDIENTS, krogerLocationId),
+        { ttlFor: commonPricesTtl }
+      );
       console.log(`Got prices for ${Object.keys(prices).length}/${COMMON_INGREDIENTS.length} items`);
       if (Object.keys(prices).length > 0) {
         pricingContext = { storeName: krogerBannerName || 'Kroger', budget: budgetAmount, prices };
@@ -13,16 +13,35 @@
  *   /api/harmony-agent?action=clothing-check
  *   /api/harmony-agent?action=webhook-register
  *   /api/harmony-agent?action=recommend
+ *
+ * Barcodes are looked up in-process through the same cached provider
+ * chain as /api/barcode (lib/barcode-lookup.js), not over HTTP: a call
+ * back into /api/barcode would be rate limited as one anonymous caller
+ * shared by every user. This route's own per-user limit covers them.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { checkFamilyConflicts } from '../lib/family.js';
+import { createRateLimiter, enforceRateLimit } from '../lib/rate-limit.js';
+import { parseBarcode } from '../lib/gtin.js';
+import { lookupBarcodeCached } from '../lib/barcode-lookup.js';
+import { resolveLocale } from '../lib/region.js';
+import { mapWithConcurrency } from '../lib/concurrency.js';
+
+// Counted per subscriber once authenticated, at their plan's tier (pro: 3x the base limit)
+const rateLimiter = createRateLimiter({
+  route: 'harmony-agent',
+  windowMs: 60 * 1000,
+  maxRequests: 60,
+});
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const FATSECRET_PROXY = process.env.FATSECRET_PROXY_URL || '';
+// Same as /api/barcode/batch's default
+const LOOKUP_CONCURRENCY = 4;
 
 // ── Auth helper ──────────────────────────────────────────────
 async function authenticateRequest(req) {
@@ -44,7 +63,7 @@ async function authenticateRequest(req) {
   if (!sub || sub.plan !== 'pro' || sub.status !== 'active') {
     return { error: 'Pro subscription required', status: 403 };
   }
-  return { user, token };
+  return { user, token, tier: sub.plan };
 }
 
 // ── Family helpers ───────────────────────────────────────────
@@ -58,37 +77,26 @@ async function getFamilyProfiles(userId) {
   return data || [];
 }
 
-function checkFamilyConflicts(product, profiles) {
-  const alerts = [];
-  const ingredients = (product.ingredients || '').toLowerCase();
-  for (const member of profiles) {
-    const sensitivities = (member.sensitivities || '').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
-    const allergies = (member.allergies || '').toLowerCase().split(',').map(s => s.trim()).filter(Boolean);
+// ── Product lookup ───────────────────────────────────────────
+/** Normalized product document (see lib/nutrition.js), or null when invalid / not found */
+async function fetchBarcodeProduct(barcode, req) {
+  const parsed = parseBarcode(barcode);
+  if (!barcode || parsed.error) return null;
+  const result = await lookupBarcodeCached(parsed, { attempts: resolveLocale(req).attempts });
+  return result.found ? result.product : null;
+}
 
-    for (const allergy of allergies) {
-      if (ingredients.includes(allergy)) {
-        alerts.push({
-          member: member.name,
-          type: 'allergy',
-          severity: 'critical',
-          trigger: allergy,
-          message: `ALLERGY ALERT: ${member.name} is allergic to ${allergy}`
-        });
-      }
-    }
-    for (const sens of sensitivities) {
-      if (ingredients.includes(sens)) {
-        alerts.push({
-          member: member.name,
-          type: 'sensitivity',
-          severity: 'warning',
-          trigger: sens,
-          message: `SENSITIVITY: ${member.name} is sensitive to ${sens}`
-        });
-      }
+/** Map(trimmed barcode → { product } | { error }), one lookup per distinct code */
+async function fetchBarcodeProducts(barcodes, req) {
+  const codes = [...new Set(barcodes.map((b) => String(b ?? '').trim()))];
+  const outcomes = await mapWithConcurrency(codes, LOOKUP_CONCURRENCY, async (code) => {
+    try {
+      return { product: await fetchBarcodeProduct(code, req) };
+    } catch (e) {
+      return { error: e.message };
     }
-  }
-  return alerts;
+  });
+  return new Map(codes.map((code, i) => [code, outcomes[i]]));
 }
 
 // ── Route handlers ───────────────────────────────────────────
@@ -100,16 +108,13 @@ async function handleAnalyze(req, user) {
     return { error: 'Provide barcode or product_name', status: 400 };
   }
   const profiles = await getFamilyProfiles(user.id);
-  const product = { ingredients: ingredients || '' };
+  let product = { name: product_name || null, ingredients: ingredients || '' };
 
-  if (barcode && FATSECRET_PROXY) {
+  if (barcode) {
     try {
-      const res = await fetch(`${FATSECRET_PROXY}/api/food-barcode?barcode=${barcode}`);
-      const data = await res.json();
-      if (data.food) {
-        product.name = data.food.food_name;
-        product.brand = data.food.brand_name || '';
-        product.nutrition = data.food.servings?.serving || {};
+      const found = await fetchBarcodeProduct(barcode, req);
+      if (found) {
+        product = { ...found, ingredients: found.ingredients || ingredients || '' };
       }
     } catch (e) { /* continue with provided data */ }
   }
@@ -151,29 +156,27 @@ async function handleBatchCheck(req, user) {
   }
 
   const profiles = await getFamilyProfiles(user.id);
+  let lookups = new Map();
+  try {
+    lookups = await fetchBarcodeProducts(barcodes, req);
+  } catch (e) { /* every barcode reports "Lookup failed" below */ }
+
   const results = [];
 
   for (const barcode of barcodes) {
-    try {
-      let product = { barcode };
-      if (FATSECRET_PROXY) {
-        const res = await fetch(`${FATSECRET_PROXY}/api/food-barcode?barcode=${barcode}`);
-        const data = await res.json();
-        if (data.food) {
-          product.name = data.food.food_name;
-          product.ingredients = data.food.ingredients || '';
-        }
-      }
-      const alerts = checkFamilyConflicts(product, profiles);
-      results.push({
-        barcode,
-        name: product.name || 'Unknown',
-        safe: alerts.filter(a => a.severity === 'critical').length === 0,
-        alerts
-      });
-    } catch (e) {
+    const lookup = lookups.get(String(barcode ?? '').trim());
+    if (!lookup || lookup.error) {
       results.push({ barcode, error: 'Lookup failed' });
+      continue;
     }
+    const product = lookup.product || { barcode };
+    const alerts = checkFamilyConflicts(product, profiles);
+    results.push({
+      barcode,
+      name: product.name || 'Unknown',
+      safe: alerts.filter(a => a.severity === 'critical').length === 0,
+      alerts
+    });
   }
 
   return { data: { results, total: barcodes.length, checked_members: profiles.length } };
@@ -310,14 +313,9 @@ async function handleDeviceScan(req, user) {
   const profiles = await getFamilyProfiles(user.id);
   let product = { barcode };
 
-  if (barcode && FATSECRET_PROXY) {
+  if (barcode) {
     try {
-      const res = await fetch(`${FATSECRET_PROXY}/api/food-barcode?barcode=${barcode}`);
-      const data = await res.json();
-      if (data.food) {
-        product.name = data.food.food_name;
-        product.ingredients = data.food.ingredients || '';
-      }
+      product = (await fetchBarcodeProduct(barcode, req)) || product;
     } catch (e) { /* continue */ }
   }
 
@@ -542,6 +540,8 @@ export default async function handler(req, res) {
     return res.status(auth.status).json({ error: auth.error });
   }
 
+  if (!(await enforceRateLimit(rateLimiter, req, res, { user: auth.user, tier: auth.tier }))) return;
+
   try {
     const result = await handlers[action](req, auth.user);
     if (result.error) {
@@ -4,6 +4,12 @@
  *
  * Endpoint:
  *   /api/barcode?code=XXXXXXXXXXXX
+ *   /api/barcode?code=XXXXXXXXXXXX&region=CA&language=fr
+ *   /api/barcode?code=XXXXXXXXXXXX&locationId=01400376
+ *
+ *   region/language default from the client's geo and Accept-Language
+ *   headers; lookups fall back to FATSECRET_FALLBACK_REGIONS (default US).
+ *   The response's `region` says which database answered.
  *
  * Purpose:
  *   Safely query the FatSecret API for nutrition data using a barcode.
@@ -11,9 +17,26 @@
  *
  * Pipeline:
  *   1. Receive barcode from HFF scanner
- *   2. Call FatSecret: food.find_id_for_barcode
- *   3. If a food_id is returned, call: food.get
- *   4. Return normalized JSON to the frontend
+ *   2. Validate check digit, expand UPC-E, normalize to GTIN-13/14
+ *      (lib/gtin.js) — malformed codes get a 400 with a reason
+ *   3. Query the provider chain in parallel (lib/barcode-lookup.js):
+ *        FatSecret → Open Food Facts → USDA FoodData Central
+ *      FatSecret retries the equivalent variants (GTIN-13, UPC-A, …)
+ *      while food_id is 0, then calls food.get.v4 with food attributes
+ *   4. Merge hits into one normalized product and return it
+ *      (`product` — versioned document, see lib/nutrition.js;
+ *       `product.allergens` — { milk: "contains" | "free" | "unknown", … };
+ *       `product.healthScore` — versioned 0-100 score with a per-factor
+ *         breakdown, see lib/health-score.js;
+ *       `product.sources` — which provider supplied each field;
+ *       `providers` — hit/miss/timeout per provider;
+ *       `matchedVariant` — the barcode form that matched)
+ *   5. With ?locationId= (a Kroger store), look the exact UPC up at that
+ *      store in parallel and attach `kroger` — shelf price, promo, unit
+ *      price, stock, fulfillment options, aisle, and `equivalents`: the
+ *      cheapest same-kind items there by unit price (lib/kroger.js).
+ *      A Kroger miss or outage leaves `kroger.found: false` and never
+ *      fails the scan.
  *
  * Important Fix:
  *   FatSecret returns food_id = 0 when a barcode has no match.
@@ -23,148 +46,74 @@
  *     "Invalid ID: please check your food_id"
  *
  *   This version stops the pipeline when food_id === 0
- *   and returns a proper 404 error.
+ *   and returns a proper 404 error once every provider has missed.
  *
  * Environment Variables (Vercel Project Settings):
  *
  *   FATSECRET_CONSUMER_KEY
  *   FATSECRET_CONSUMER_SECRET
+ *   FATSECRET_CLIENT_SECRET      (optional, switches to OAuth 2.0 — see lib/fatsecret.js)
+ *   FATSECRET_FALLBACK_REGIONS   (optional, default "US")
+ *   USDA_FDC_API_KEY             (optional, enables the USDA provider)
+ *   KROGER_CLIENT_ID / KROGER_CLIENT_SECRET  (optional, for ?locationId=)
+ *
+ *   Provider base URLs (optional, e.g. local fixture servers in tests):
+ *   FATSECRET_API_URL, OPENFOODFACTS_BASE_URL, USDA_FDC_BASE_URL
  *
  * Security / Stability Features:
- *   • OAuth 1.0 signed requests
- *   • Per-IP rate limiting (300 requests/min)
- *   • CDN caching (7 days + stale revalidate)
+ *   • OAuth 2.0 client-credentials (OAuth 1.0 signed requests as fallback)
+ *   • Shared rate limiting, 300 requests/min anonymous (lib/rate-limit.js)
+ *   • Shared lookup cache (lib/shared-cache.js), "not found" cached 6 hours
+ *   • CDN caching (7 days + stale revalidate; 1 hour for 404s;
+ *     5 minutes when local Kroger prices are attached)
+ *   • ETag / If-None-Match → 304 Not Modified
  *   • CORS enabled for browser use
  *
  * Used By:
  *   Harmonious Food Finder scanner pipeline
+ *
+ * See also:
+ *   /api/foods — free-text search for products without a barcode
+ *   /api/barcode/batch — up to 100 codes in one request
  */
 
-const crypto = require("crypto");
-
-const API_URL = "https://platform.fatsecret.com/rest/server.api";
+const { parseBarcode } = require("../lib/gtin");
+const { lookupBarcodeCached } = require("../lib/barcode-lookup");
+const { resolveLocale } = require("../lib/region");
+const { cacheControl, computeEtag, isNotModified } = require("../lib/cache");
+const { createRateLimiter, enforceRateLimit } = require("../lib/rate-limit");
+const { getLocalProductInfo } = require("../lib/kroger");
 
 const CACHE_S_MAXAGE_SECONDS = 60 * 60 * 24 * 7;
 const CACHE_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60 * 24 * 14;
+const NOT_FOUND_S_MAXAGE_SECONDS = 60 * 60;
+const NOT_FOUND_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60 * 6;
+const LOCAL_PRICE_S_MAXAGE_SECONDS = 60 * 5;
+const LOCAL_PRICE_STALE_WHILE_REVALIDATE_SECONDS = 60 * 10;
 
 const RATE_LIMIT_WINDOW_MS = 60 * 1000;
 const RATE_LIMIT_MAX_REQUESTS = 300;
 
-const rateBuckets = new Map();
-
-function getClientIp(req) {
-  const xff = req.headers["x-forwarded-for"];
-  if (typeof xff === "string" && xff.length > 0) {
-    return xff.split(",")[0].trim();
-  }
-  return (
-    req.headers["x-real-ip"] ||
-    req.connection?.remoteAddress ||
-    req.socket?.remoteAddress ||
-    "unknown"
-  );
-}
-
-function checkRateLimit(ip) {
-  const now = Date.now();
-  let bucket = rateBuckets.get(ip);
-
-  if (!bucket || now >= bucket.resetAt) {
-    bucket = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
-    rateBuckets.set(ip, bucket);
-  }
-
-  bucket.count += 1;
-
-  const remaining = Math.max(0, RATE_LIMIT_MAX_REQUESTS - bucket.count);
-  const resetSeconds = Math.ceil((bucket.resetAt - now) / 1000);
-
-  return {
-    allowed: bucket.count <= RATE_LIMIT_MAX_REQUESTS,
-    remaining,
-    resetSeconds,
-    limit: RATE_LIMIT_MAX_REQUESTS,
-  };
-}
-
-function cleanupRateBuckets() {
-  const now = Date.now();
-  for (const [ip, bucket] of rateBuckets.entries()) {
-    if (now >= bucket.resetAt + RATE_LIMIT_WINDOW_MS) {
-      rateBuckets.delete(ip);
-    }
-  }
-}
-
-function oauthEncode(str) {
-  return encodeURIComponent(String(str)).replace(
-    /[!*'()]/g,
-    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
-  );
-}
-
-function buildParameterString(params) {
-  const encoded = Object.entries(params)
-    .map(([k, v]) => [oauthEncode(k), oauthEncode(v)])
-    .sort((a, b) => {
-      if (a[0] === b[0]) return a[1].localeCompare(b[1]);
-      return a[0].localeCompare(b[0]);
-    });
-
-  return encoded.map(([k, v]) => `${k}=${v}`).join("&");
-}
-
-function buildSignature(httpMethod, url, paramString, secret) {
-  const baseString = `${httpMethod.toUpperCase()}&${oauthEncode(url)}&${oauthEncode(paramString)}`;
-  const signingKey = `${oauthEncode(secret)}&`;
-
-  return crypto.createHmac("sha1", signingKey).update(baseString).digest("base64");
-}
-
-async function callFatSecret(methodName, extraParams = {}) {
-
-  const KEY = process.env.FATSECRET_CONSUMER_KEY;
-  const SECRET = process.env.FATSECRET_CONSUMER_SECRET;
-
-  const oauthParams = {
-    oauth_consumer_key: KEY,
-    oauth_nonce: crypto.randomBytes(16).toString("hex"),
-    oauth_signature_method: "HMAC-SHA1",
-    oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
-    oauth_version: "1.0",
-  };
-
-  const allParams = {
-    method: methodName,
-    format: "json",
-    ...extraParams,
-    ...oauthParams,
-  };
-
-  const paramString = buildParameterString(allParams);
-  const signature = buildSignature("GET", API_URL, paramString, SECRET);
-
-  const finalUrl = `${API_URL}?${paramString}&oauth_signature=${oauthEncode(signature)}`;
-
-  const response = await fetch(finalUrl);
-  const text = await response.text();
-
-  return JSON.parse(text);
-}
+const rateLimiter = createRateLimiter({
+  route: "barcode",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+});
 
 module.exports = async (req, res) => {
 
-  cleanupRateBuckets();
-
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, If-None-Match");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
 
   if (req.method === "OPTIONS") {
     res.statusCode = 200;
     return res.end();
   }
 
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
   const code = req.query && req.query.code;
 
   if (!code) {
@@ -173,36 +122,83 @@ module.exports = async (req, res) => {
     return res.end(JSON.stringify({ error: "Missing ?code=" }));
   }
 
+  const parsed = parseBarcode(code);
+  const locationId = typeof req.query.locationId === "string" ? req.query.locationId.trim() : "";
+
+  if (parsed.error) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(
+      JSON.stringify({
+        error: parsed.error,
+        barcode: code,
+        reason: parsed.reason
+      })
+    );
+  }
+
+  if (locationId && !/^[A-Za-z0-9]+$/.test(locationId)) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "Invalid ?locationId= parameter", locationId }));
+  }
+
   try {
 
-    const barcodeResult = await callFatSecret("food.find_id_for_barcode", {
-      barcode: code,
-      region: "US"
-    });
+    const locale = resolveLocale(req);
+    const [result, kroger] = await Promise.all([
+      lookupBarcodeCached(parsed, { attempts: locale.attempts }),
+      locationId ? getLocalProductInfo(parsed.gtin14, locationId) : null,
+    ]);
 
-    const foodId =
-      barcodeResult?.food_id?.value ||
-      barcodeResult?.food_id;
+    // Region/language default from these when not in the query string
+    res.setHeader("Vary", "Accept-Language, X-Vercel-IP-Country");
 
-    if (!foodId || foodId === 0 || foodId === "0") {
+    if (!result.found) {
 
       res.statusCode = 404;
       res.setHeader("Content-Type", "application/json");
+      res.setHeader(
+        "Cache-Control",
+        cacheControl(NOT_FOUND_S_MAXAGE_SECONDS, NOT_FOUND_STALE_WHILE_REVALIDATE_SECONDS)
+      );
 
       return res.end(
         JSON.stringify({
           error: "Barcode not found",
           barcode: code,
-          details: barcodeResult
+          gtin13: parsed.gtin13,
+          triedVariants: result.triedVariants,
+          regionsTried: result.regionsTried,
+          providers: result.providers,
+          details: result.details
         })
       );
 
     }
 
-    const foodResult = await callFatSecret("food.get", {
-      food_id: String(foodId)
+    // Only the stable parts — timings and `cached` differ between requests
+    const etag = computeEtag({
+      product: result.product,
+      matchedVariant: result.matchedVariant,
+      region: result.region,
+      requestedRegion: locale.region,
+      kroger,
     });
 
+    res.setHeader("ETag", etag);
+    res.setHeader(
+      "Cache-Control",
+      kroger
+        ? cacheControl(LOCAL_PRICE_S_MAXAGE_SECONDS, LOCAL_PRICE_STALE_WHILE_REVALIDATE_SECONDS)
+        : cacheControl(CACHE_S_MAXAGE_SECONDS, CACHE_STALE_WHILE_REVALIDATE_SECONDS)
+    );
+
+    if (isNotModified(req, etag)) {
+      res.statusCode = 304;
+      return res.end();
+    }
+
     res.statusCode = 200;
     res.setHeader("Content-Type", "application/json");
 
@@ -210,8 +206,23 @@ module.exports = async (req, res) => {
       JSON.stringify({
         success: true,
         barcode: code,
-        food_name: foodResult?.food?.food_name,
-        data: foodResult
+        format: parsed.format,
+        gtin13: parsed.gtin13,
+        gtin14: parsed.gtin14,
+        matchedVariant: result.matchedVariant,
+        region: result.region,
+        language: result.language,
+        requestedRegion: locale.region,
+        regionSource: locale.source,
+        isImported: !!result.region && result.region !== locale.region,
+        source: result.product?.source,
+        providers: result.providers,
+        cached: result.cached,
+        food_name: result.product?.name,
+        product: result.product,
+        kroger,
+        // Raw FatSecret payload, kept for scanner builds that predate `product`
+        data: result.raw
       })
     );
 
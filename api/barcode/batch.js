@@ -0,0 +1,188 @@
+/**
+ * Harmonious Food Finder
+ * Batch Barcode Lookup
+ *
+ * Endpoint:
+ *   POST /api/barcode/batch
+ *   Body: { codes: ["036000291452", "04963406", ...], region?, language? }
+ *
+ * Purpose:
+ *   Resolve a whole pantry / fridge inventory in one request instead of
+ *   one HTTP round-trip per item.
+ *
+ * Behavior:
+ *   • Up to 100 codes per request
+ *   • Codes are deduped — exact repeats and equivalent forms
+ *     (UPC-A vs EAN-13 of the same GTIN) are looked up once
+ *   • Lookups run with at most BARCODE_BATCH_CONCURRENCY in flight so a
+ *     batch cannot burst past FatSecret's rate limits
+ *   • Every code goes through the same cache and provider chain as
+ *     /api/barcode (lib/barcode-lookup.js)
+ *   • Partial success: the response is 200 with one entry per input code,
+ *     in input order and carrying its `index` (a repeated code repeats its
+ *     result), each with status "found" | "not_found" | "invalid" | "error"
+ *   • Rate limited per code after dedupe, not per request: a batch of 40
+ *     distinct codes uses 40 of the 300 lookups/min an anonymous caller
+ *     gets — the same budget as /api/barcode — while 40 copies of one
+ *     code use 1. Each distinct invalid code counts as one too.
+ *
+ * Environment Variables (optional):
+ *   BARCODE_BATCH_CONCURRENCY   default 4
+ */
+
+const { parseBarcode } = require("../../lib/gtin");
+const { lookupBarcodeCached } = require("../../lib/barcode-lookup");
+const { resolveLocale } = require("../../lib/region");
+const { mapWithConcurrency } = require("../../lib/concurrency");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+
+const MAX_CODES = 100;
+const DEFAULT_CONCURRENCY = 4;
+
+// Counted per unique code (enforceRateLimit cost), matching /api/barcode's per-scan limit
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_CODES = 300;
+
+const rateLimiter = createRateLimiter({
+  route: "barcode-batch",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_CODES,
+});
+
+function getConcurrency() {
+  const configured = parseInt(process.env.BARCODE_BATCH_CONCURRENCY);
+  return configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+async function lookupOne(parsed, attempts) {
+  try {
+    const result = await lookupBarcodeCached(parsed, { attempts });
+
+    if (!result.found) {
+      return {
+        status: "not_found",
+        gtin13: parsed.gtin13,
+        providers: result.providers,
+      };
+    }
+
+    return {
+      status: "found",
+      gtin13: parsed.gtin13,
+      matchedVariant: result.matchedVariant,
+      region: result.region,
+      cached: result.cached,
+      product: result.product,
+    };
+  } catch (err) {
+    return {
+      status: "error",
+      gtin13: parsed.gtin13,
+      error: err.message,
+    };
+  }
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "POST only" }));
+  }
+
+  const codes = req.body && req.body.codes;
+
+  if (!Array.isArray(codes) || codes.length === 0) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "Body must include a non-empty codes array" }));
+  }
+
+  if (codes.length > MAX_CODES) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: `Maximum ${MAX_CODES} codes per batch`, received: codes.length }));
+  }
+
+  // resolveLocale reads ?region= / ?language=; accept them from the body too
+  const locale = resolveLocale({
+    query: { ...req.query, region: req.body.region || req.query?.region, language: req.body.language || req.query?.language },
+    headers: req.headers,
+  });
+
+  try {
+
+    // Dedupe: raw input string → parsed, then parsed GTIN-14 → one lookup
+    const uniqueCodes = [...new Set(codes.map((c) => String(c ?? "").trim()))];
+    const parsedByCode = new Map(uniqueCodes.map((c) => [c, parseBarcode(c)]));
+
+    const lookups = new Map();
+    let invalidCount = 0;
+    for (const parsed of parsedByCode.values()) {
+      if (parsed.error) invalidCount++;
+      else if (!lookups.has(parsed.gtin14)) lookups.set(parsed.gtin14, parsed);
+    }
+
+    if (!(await enforceRateLimit(rateLimiter, req, res, { cost: lookups.size + invalidCount }))) return;
+
+    const gtins = [...lookups.keys()];
+    const outcomes = await mapWithConcurrency(gtins, getConcurrency(), (gtin) =>
+      lookupOne(lookups.get(gtin), locale.attempts)
+    );
+    const outcomeByGtin = new Map(gtins.map((gtin, i) => [gtin, outcomes[i]]));
+
+    // One entry per input, in input order, so clients can match by index
+    const results = codes.map((raw, index) => {
+      const code = String(raw ?? "").trim();
+      const parsed = parsedByCode.get(code);
+      if (parsed.error) {
+        return { index, code, status: "invalid", error: parsed.error, reason: parsed.reason };
+      }
+      return { index, code, ...outcomeByGtin.get(parsed.gtin14) };
+    });
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/json");
+
+    return res.end(
+      JSON.stringify({
+        success: true,
+        total: codes.length,
+        unique: uniqueCodes.length,
+        lookups: gtins.length,
+        found: count("found"),
+        notFound: count("not_found"),
+        invalid: count("invalid"),
+        errors: count("error"),
+        requestedRegion: locale.region,
+        results
+      })
+    );
+
+  } catch (err) {
+
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+
+    return res.end(
+      JSON.stringify({
+        error: "Server error",
+        message: err.message
+      })
+    );
+
+  }
+
+};
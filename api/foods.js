@@ -0,0 +1,215 @@
+/**
+ * Harmonious Food Finder
+ * FatSecret Free-Text Food Search Proxy
+ *
+ * Endpoints:
+ *   /api/foods?q=greek+yogurt&page=0&max=20&region=US
+ *   /api/foods?q=bana&mode=autocomplete&max=10
+ *
+ * Purpose:
+ *   Lets users find nutrition data when a product has no barcode
+ *   (produce, deli, bakery) or the label is damaged.
+ *
+ * Pipeline:
+ *   mode=search (default)   → FatSecret: foods.search
+ *   mode=autocomplete       → FatSecret: foods.autocomplete
+ *
+ * Response (mode=search):
+ *   foods: lib/nutrition.js product documents (schemaVersion, source
+ *   "fatsecret-search"), the same shape /api/barcode returns as `product`,
+ *   holding what a search hit carries: foodId, name, brand, type, url and
+ *   one serving with calories and macros. Fetch the full document by
+ *   foodId (or barcode) for allergens, micros and every serving.
+ *
+ * Query Parameters:
+ *   q        search expression (required)
+ *   mode     "search" | "autocomplete"
+ *   page     zero-based page number (search only)
+ *   max      results per page (search: 1-50, autocomplete: 1-10)
+ *   region   FatSecret region code; defaults from geo / Accept-Language
+ *            headers, then "US" (see lib/region.js)
+ *   language FatSecret language code for the region (e.g. "fr" for CA)
+ *
+ * Signing, rate limiting and caching are shared with /api/barcode
+ * (see lib/fatsecret.js, lib/rate-limit.js, lib/cache.js).
+ */
+
+const { callFatSecret, toArray } = require("../lib/fatsecret");
+const { createRateLimiter, enforceRateLimit } = require("../lib/rate-limit");
+const { createTtlCache, getCacheKey, cacheControl } = require("../lib/cache");
+const { resolveLocale, localeParams } = require("../lib/region");
+const { normalizeFatSecretSearchHit } = require("../lib/nutrition");
+
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+const CACHE_S_MAXAGE_SECONDS = 60 * 60 * 24;
+const CACHE_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60 * 24 * 2;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 300;
+
+const SEARCH_MAX_RESULTS = 50;
+const AUTOCOMPLETE_MAX_RESULTS = 10;
+
+const rateLimiter = createRateLimiter({
+  route: "foods",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+});
+
+const responseCache = createTtlCache({ ttlMs: CACHE_TTL_MS });
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+async function searchFoods(query, page, maxResults, locale) {
+  const cacheKey = getCacheKey("search", { query: query.toLowerCase(), page, maxResults, ...locale });
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  const data = await callFatSecret("foods.search", {
+    search_expression: query,
+    page_number: page,
+    max_results: maxResults,
+    ...localeParams(locale),
+  });
+
+  if (data?.error) return { error: data.error };
+
+  const foods = toArray(data?.foods?.food).map((food) => normalizeFatSecretSearchHit(food, locale));
+
+  const result = {
+    success: true,
+    query,
+    region: locale.region,
+    language: locale.language,
+    page,
+    maxResults,
+    totalResults: parseInt(data?.foods?.total_results) || 0,
+    count: foods.length,
+    foods,
+  };
+
+  responseCache.set(cacheKey, result);
+  return result;
+}
+
+async function autocompleteFoods(query, maxResults, locale) {
+  const cacheKey = getCacheKey("autocomplete", { query: query.toLowerCase(), maxResults, ...locale });
+  const cached = responseCache.get(cacheKey);
+  if (cached) return cached;
+
+  const data = await callFatSecret("foods.autocomplete", {
+    expression: query,
+    max_results: maxResults,
+    ...localeParams(locale),
+  });
+
+  if (data?.error) return { error: data.error };
+
+  const suggestions = toArray(data?.suggestions?.suggestion);
+
+  const result = {
+    success: true,
+    query,
+    region: locale.region,
+    language: locale.language,
+    count: suggestions.length,
+    suggestions,
+  };
+
+  responseCache.set(cacheKey, result);
+  return result;
+}
+
+module.exports = async (req, res) => {
+
+  responseCache.cleanup();
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+  const { q, mode, page, max } = req.query || {};
+  const query = typeof q === "string" ? q.trim() : "";
+
+  if (!query) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "Missing ?q=" }));
+  }
+
+  if (mode && mode !== "search" && mode !== "autocomplete") {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({
+      error: "Invalid ?mode= parameter",
+      validModes: ["search", "autocomplete"],
+    }));
+  }
+
+  const { region, language } = resolveLocale(req);
+  const locale = { region, language };
+
+  try {
+
+    const result = mode === "autocomplete"
+      ? await autocompleteFoods(
+        query,
+        clampInt(max, 1, AUTOCOMPLETE_MAX_RESULTS, AUTOCOMPLETE_MAX_RESULTS),
+        locale
+      )
+      : await searchFoods(
+        query,
+        clampInt(page, 0, 1000, 0),
+        clampInt(max, 1, SEARCH_MAX_RESULTS, 20),
+        locale
+      );
+
+    if (result.error) {
+      res.statusCode = 502;
+      res.setHeader("Content-Type", "application/json");
+      return res.end(
+        JSON.stringify({
+          error: "FatSecret search failed",
+          query,
+          details: result.error
+        })
+      );
+    }
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader(
+      "Cache-Control",
+      cacheControl(CACHE_S_MAXAGE_SECONDS, CACHE_STALE_WHILE_REVALIDATE_SECONDS)
+    );
+    // Region/language default from these when not in the query string
+    res.setHeader("Vary", "Accept-Language, X-Vercel-IP-Country");
+
+    return res.end(JSON.stringify(result));
+
+  } catch (err) {
+
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+
+    return res.end(
+      JSON.stringify({
+        error: "Server error",
+        message: err.message
+      })
+    );
+
+  }
+
+};
@@ -0,0 +1,232 @@
+/**
+ * Harmonious Food Finder
+ * Kroger Account Connection + Cart
+ *
+ * Endpoints (all but start and callback require `Authorization: Bearer <supabase token>`):
+ *   GET    /api/kroger/account?action=connect      → { startUrl, expiresAt } — open it as a
+ *                                                  top-level navigation (not fetch)
+ *   GET    /api/kroger/account?action=start        ?ticket — sets an httpOnly nonce cookie,
+ *                                                  then redirects to Kroger's consent page
+ *   GET    /api/kroger/account?action=callback     Kroger redirects here with ?code&state,
+ *                                                  then back to the app
+ *   GET    /api/kroger/account?action=status       → { connected, scopes, profileId, connectedAt }
+ *   POST   /api/kroger/account?action=disconnect   forgets the stored Kroger tokens
+ *   POST   /api/kroger/account?action=add-to-cart
+ *          Body: { items: [{ upc: "011110417008", quantity: 2, modality: "PICKUP" }] }
+ *
+ * Purpose:
+ *   Closes the loop from agent meal plan → shopping list → Kroger pickup
+ *   order. Tokens are stored and refreshed per user (lib/kroger-customer.js);
+ *   they never leave the server.
+ *
+ * OAuth state:
+ *   The app calls `connect` with fetch from its own site, where a cookie
+ *   set by this API would be third-party and dropped. So `connect` only
+ *   returns a one-time start URL, valid two minutes; the browser opens
+ *   it top-level on this API's site, where the nonce cookie is
+ *   first-party. The callback only completes in the browser that opened
+ *   the start URL: the signed state carries a nonce that must match that
+ *   cookie, and each ticket and nonce is accepted once.
+ *
+ * Environment Variables:
+ *   KROGER_CLIENT_ID / KROGER_CLIENT_SECRET
+ *   KROGER_REDIRECT_URI        this endpoint's callback URL, registered with Kroger
+ *   NEXT_PUBLIC_APP_URL        where the callback sends the browser afterwards
+ *   SUPABASE_URL / SUPABASE_SERVICE_ROLE_KEY
+ */
+
+const {
+  isCustomerOAuthConfigured,
+  buildAuthorizeUrl,
+  completeConnection,
+  getConnection,
+  deleteConnection,
+  describeConnection,
+  normalizeCartItems,
+  addToCart,
+  createStartTicket,
+  redeemStartTicket,
+  OAUTH_NONCE_COOKIE,
+  STATE_TTL_MS,
+} = require("../../lib/kroger-customer");
+const { TimeoutError } = require("../../lib/http");
+const { verifyUser } = require("../../lib/auth");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+
+const APP_URL = process.env.NEXT_PUBLIC_APP_URL || "https://harmoniousfood.harmonytec.net";
+
+const rateLimiter = createRateLimiter({
+  route: "kroger-account",
+  windowMs: 60 * 1000,
+  maxRequests: 30,
+});
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", "no-store");
+  return res.end(JSON.stringify(body));
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers?.cookie || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+// Lax so it is sent on Kroger's top-level redirect back to the callback
+function setNonceCookie(res, nonce, maxAgeSeconds) {
+  res.setHeader(
+    "Set-Cookie",
+    `${OAUTH_NONCE_COOKIE}=${encodeURIComponent(nonce)}; Path=/api/kroger/account; ` +
+    `Max-Age=${maxAgeSeconds}; HttpOnly; Secure; SameSite=Lax`
+  );
+}
+
+function redirect(res, location) {
+  res.statusCode = 302;
+  res.setHeader("Location", location);
+  res.setHeader("Cache-Control", "no-store");
+  return res.end();
+}
+
+function redirectToApp(res, params) {
+  return redirect(res, `${APP_URL}/?${new URLSearchParams(params)}`);
+}
+
+// This endpoint, as registered with Kroger, with ?action=start
+function buildStartUrl(ticket) {
+  const url = new URL(process.env.KROGER_REDIRECT_URI);
+  url.searchParams.set("action", "start");
+  url.searchParams.set("ticket", ticket);
+  return url.toString();
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  const action = req.query?.action;
+
+  if (!isCustomerOAuthConfigured()) {
+    return sendJson(res, 503, { error: "Kroger account connection is not configured" });
+  }
+
+  try {
+
+    // ===========================================================
+    // START — top-level navigation to the URL from `connect`, no
+    // bearer token; the ticket says which user, and the cookie set
+    // here is first-party
+    // ===========================================================
+    if (action === "start" && req.method === "GET") {
+      if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+      const started = await redeemStartTicket(req.query.ticket);
+      if (!started) {
+        return redirectToApp(res, { kroger: "error", reason: "invalid_start" });
+      }
+
+      const { authorizeUrl, nonce } = await buildAuthorizeUrl(started.userId);
+      setNonceCookie(res, nonce, Math.round(STATE_TTL_MS / 1000));
+      return redirect(res, authorizeUrl);
+    }
+
+    // ===========================================================
+    // CALLBACK — browser redirect from Kroger, no bearer token;
+    // the signed state says which user started the flow and the
+    // nonce cookie that it is the same browser
+    // ===========================================================
+    if (action === "callback" && req.method === "GET") {
+      if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+      const { code, state, error } = req.query;
+      const cookieNonce = readCookie(req, OAUTH_NONCE_COOKIE);
+      setNonceCookie(res, "", 0);
+
+      if (error) {
+        return redirectToApp(res, { kroger: "error", reason: String(error).slice(0, 100) });
+      }
+
+      const result = await completeConnection(code, state, cookieNonce);
+      if (result.error) {
+        console.error("Kroger connect failed:", result.error);
+        return redirectToApp(res, { kroger: "error", reason: result.status === 400 ? "invalid_state" : "exchange_failed" });
+      }
+      return redirectToApp(res, { kroger: "connected" });
+    }
+
+    const user = await verifyUser(req);
+    if (!user) {
+      return sendJson(res, 401, { error: "Unauthorized. Please log in." });
+    }
+
+    if (!(await enforceRateLimit(rateLimiter, req, res, { user }))) return;
+
+    // ===========================================================
+    // CONNECT
+    // ===========================================================
+    if (action === "connect" && req.method === "GET") {
+      const { ticket, expiresAt } = await createStartTicket(user.id);
+      return sendJson(res, 200, { success: true, startUrl: buildStartUrl(ticket), expiresAt });
+    }
+
+    // ===========================================================
+    // STATUS
+    // ===========================================================
+    if (action === "status" && req.method === "GET") {
+      return sendJson(res, 200, { success: true, ...describeConnection(await getConnection(user.id)) });
+    }
+
+    // ===========================================================
+    // DISCONNECT
+    // ===========================================================
+    if (action === "disconnect" && req.method === "POST") {
+      await deleteConnection(user.id);
+      return sendJson(res, 200, { success: true, connected: false });
+    }
+
+    // ===========================================================
+    // ADD TO CART
+    // ===========================================================
+    if (action === "add-to-cart" && req.method === "POST") {
+      const cart = normalizeCartItems(req.body?.items);
+      if (cart.error) {
+        return sendJson(res, 400, { error: cart.error, index: cart.index });
+      }
+
+      const result = await addToCart(user.id, cart.items);
+      if (result.error) {
+        return sendJson(res, result.status, { error: result.error, reconnect: !!result.reconnect });
+      }
+      return sendJson(res, 200, { success: true, ...result });
+    }
+
+    return sendJson(res, 400, {
+      error: "Missing or invalid ?action= parameter",
+      validActions: ["GET connect", "GET start", "GET callback", "GET status", "POST disconnect", "POST add-to-cart"],
+    });
+
+  } catch (err) {
+
+    if (err instanceof TimeoutError) {
+      return sendJson(res, 504, { error: "Kroger did not respond in time", message: err.message });
+    }
+
+    return sendJson(res, 500, {
+      error: "Server error",
+      message: err.message
+    });
+
+  }
+
+};
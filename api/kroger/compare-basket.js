@@ -0,0 +1,160 @@
+/**
+ * Harmonious Food Finder
+ * Kroger Multi-Store Basket Comparison
+ *
+ * Endpoint:
+ *   POST /api/kroger/compare-basket
+ *   Body: {
+ *     items: ["milk", { term: "eggs", quantity: 2 }, …],
+ *     lat, lng,
+ *     radius?,      miles, default 10 (max 50)
+ *     maxStores?    default 5 (max 8, fewer for large baskets)
+ *   }
+ *
+ * Purpose:
+ *   "Which nearby store gives us the cheapest full basket?" — families
+ *   near several Kroger-family banners (Kroger, Ralphs, Harris Teeter …).
+ *
+ * Behavior:
+ *   • Up to 30 items, each priced at every store (lib/basket.js)
+ *   • At most MAX_SEARCHES item × store searches: a large basket compares
+ *     fewer stores (30 items → 2), and `maxStores` in the response is the
+ *     number actually used
+ *   • Returns per-store totals, promo savings and missing items, the
+ *     cheapest single store, and the cheapest two-store split
+ *   • `total` is shelf price × quantity; `comparableTotal` prices every
+ *     store for the same amount of each item (lib/basket.js) and is what
+ *     stores and splits are ranked by
+ *   • An item whose search fails (after lib/kroger-client.js retries) is
+ *     reported missing with its error; only a failed store search fails
+ *     the request (503 when Kroger is unavailable)
+ *   • Items a store does not carry are listed under that store's
+ *     `missing`; stores are ranked by fewest missing, then comparableTotal
+ *
+ * Environment Variables (optional):
+ *   BASKET_CONCURRENCY   Kroger searches in flight, default 6
+ */
+
+const { normalizeBasketItems, compareBasket } = require("../../lib/basket");
+const { KrogerUpstreamError } = require("../../lib/kroger");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+
+const MAX_ITEMS = 30;
+const DEFAULT_RADIUS_MILES = 10;
+const MAX_RADIUS_MILES = 50;
+const DEFAULT_MAX_STORES = 5;
+const MAX_STORES = 8;
+const DEFAULT_CONCURRENCY = 6;
+
+// Each request fans out to stores × items Kroger searches (~10 rounds at the
+// default concurrency); vercel.json raises this function's maxDuration to 30 s
+const MAX_SEARCHES = 60;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 10;
+
+const rateLimiter = createRateLimiter({
+  route: "kroger-basket",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+});
+
+function getConcurrency() {
+  const configured = parseInt(process.env.BASKET_CONCURRENCY);
+  return configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  return res.end(JSON.stringify(body));
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    return sendJson(res, 405, { error: "POST only" });
+  }
+
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+  const body = req.body || {};
+
+  if (!Array.isArray(body.items) || body.items.length === 0) {
+    return sendJson(res, 400, { error: "Body must include a non-empty items array" });
+  }
+
+  if (body.items.length > MAX_ITEMS) {
+    return sendJson(res, 400, { error: `Maximum ${MAX_ITEMS} items per basket`, received: body.items.length });
+  }
+
+  const lat = parseFloat(body.lat);
+  const lng = parseFloat(body.lng);
+
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return sendJson(res, 400, { error: "Body must include numeric lat and lng" });
+  }
+
+  const basket = normalizeBasketItems(body.items);
+  if (basket.error) {
+    return sendJson(res, 400, { error: basket.error, index: basket.index });
+  }
+
+  // MAX_ITEMS ≤ MAX_SEARCHES / 2, so a two-store split is always possible
+  const maxStores = Math.min(
+    clampInt(body.maxStores, 1, MAX_STORES, DEFAULT_MAX_STORES),
+    Math.floor(MAX_SEARCHES / basket.items.length)
+  );
+
+  try {
+
+    const result = await compareBasket({
+      items: basket.items,
+      lat,
+      lng,
+      radiusMiles: clampInt(body.radius, 1, MAX_RADIUS_MILES, DEFAULT_RADIUS_MILES),
+      maxStores,
+      concurrency: getConcurrency(),
+    });
+
+    return sendJson(res, 200, {
+      success: true,
+      itemCount: basket.items.length,
+      maxStores,
+      ...result
+    });
+
+  } catch (err) {
+
+    if (err instanceof KrogerUpstreamError) {
+      if (err.retryAfterSeconds) res.setHeader("Retry-After", String(err.retryAfterSeconds));
+      return sendJson(res, 503, {
+        error: "Kroger is temporarily unavailable",
+        message: err.message,
+        retryAfterSeconds: err.retryAfterSeconds,
+      });
+    }
+
+    return sendJson(res, 500, {
+      error: "Server error",
+      message: err.message
+    });
+
+  }
+
+};
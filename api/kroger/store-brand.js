@@ -0,0 +1,146 @@
+/**
+ * Harmonious Food Finder
+ * Kroger Store-Brand Swaps
+ *
+ * Endpoint:
+ *   GET /api/kroger/store-brand?barcode=011110417008&locationId=XXXXX
+ *   GET /api/kroger/store-brand?productId=0001111041700&locationId=XXXXX
+ *
+ *   Optional `Authorization: Bearer <supabase token>` checks every match
+ *   against the caller's family profiles.
+ *
+ * Purpose:
+ *   "Is there a cheaper Kroger / Simple Truth / Private Selection version
+ *   of what I just scanned?" at the family's store.
+ *
+ * Behavior:
+ *   • barcode accepts UPC-A, UPC-E, EAN-13, GTIN-14 or Kroger's 13-digit UPC
+ *   • Matches are the same kind of item in the same unit of measure,
+ *     ranked by ingredient similarity, then unit price (lib/store-brand.js)
+ *   • Signed in: every match carries `familySafety`; a match less safe for
+ *     the family than the original is listed under `excluded` with
+ *     reason "less_safe_for_family", never under `matches`
+ *   • Anonymous: `familySafety` is null and nothing is excluded for safety
+ *   • 404 when Kroger has no such product; 503 with Retry-After when
+ *     Kroger is unavailable (lib/kroger-client.js)
+ */
+
+const { findStoreBrandSwaps } = require("../../lib/store-brand");
+const { parseKrogerUpc, KrogerUpstreamError, KrogerRequestError } = require("../../lib/kroger");
+const { getCallerFamilyProfiles } = require("../../lib/family");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+
+// Each request is up to 4 searches + 9 product lookups against Kroger
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 30;
+
+const rateLimiter = createRateLimiter({
+  route: "kroger-store-brand",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+});
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  return res.end(JSON.stringify(body));
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (req.method !== "GET") {
+    return sendJson(res, 405, { error: "GET only" });
+  }
+
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+  const { barcode, productId, locationId } = req.query || {};
+
+  let id;
+  if (barcode) {
+    id = parseKrogerUpc(barcode);
+    if (!id) {
+      return sendJson(res, 400, { error: "Invalid ?barcode= parameter", barcode });
+    }
+  } else {
+    id = typeof productId === "string" ? productId.trim() : "";
+    if (!/^[A-Za-z0-9]+$/.test(id)) {
+      return sendJson(res, 400, { error: "Missing ?barcode= or ?productId= parameter" });
+    }
+  }
+
+  const store = typeof locationId === "string" ? locationId.trim() : "";
+  if (!/^[A-Za-z0-9]+$/.test(store)) {
+    // Prices, and so unit prices, only exist per store
+    return sendJson(res, 400, { error: "Missing or invalid ?locationId= parameter" });
+  }
+
+  try {
+
+    const caller = await getCallerFamilyProfiles(req);
+    if (caller.error) {
+      return sendJson(res, caller.status, { error: caller.error });
+    }
+
+    const result = await findStoreBrandSwaps({
+      productId: id,
+      locationId: store,
+      profiles: caller.profiles,
+    });
+
+    if (result.notFound) {
+      return sendJson(res, 404, { error: "Product not found", productId: id, locationId: store });
+    }
+
+    // Verdicts depend on who is asking: never share them through the CDN
+    res.setHeader(
+      "Cache-Control",
+      caller.profiles ? "private, no-store" : "public, s-maxage=300, stale-while-revalidate=600"
+    );
+    res.setHeader("Vary", "Authorization");
+
+    return sendJson(res, 200, {
+      success: true,
+      productId: id,
+      locationId: store,
+      familyMembersChecked: caller.profiles ? caller.profiles.length : null,
+      ...result,
+    });
+
+  } catch (err) {
+
+    console.error("Store-brand error:", err);
+
+    if (err instanceof KrogerUpstreamError) {
+      if (err.retryAfterSeconds) res.setHeader("Retry-After", String(err.retryAfterSeconds));
+      return sendJson(res, 503, {
+        error: "Kroger is temporarily unavailable",
+        message: err.message,
+        retryAfterSeconds: err.retryAfterSeconds,
+      });
+    }
+
+    if (err instanceof KrogerRequestError) {
+      return sendJson(res, err.status === 400 || err.status === 404 ? err.status : 502, {
+        error: "Kroger rejected the request",
+        message: err.message,
+      });
+    }
+
+    return sendJson(res, 500, {
+      error: "Server error",
+      message: err.message
+    });
+
+  }
+
+};
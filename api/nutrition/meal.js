@@ -0,0 +1,136 @@
+/**
+ * Harmonious Food Finder
+ * Meal Nutrition Calculator
+ *
+ * Endpoint:
+ *   POST /api/nutrition/meal
+ *   Body: {
+ *     items: [
+ *       { barcode: "036000291452", quantity: 1, unit: "serving" },
+ *       { foodId: "33691", quantity: 150, unit: "g" },
+ *       { query: "white rice", quantity: 1, unit: "cup" }
+ *     ],
+ *     region?, language?
+ *   }
+ *
+ * Purpose:
+ *   "What does this whole dinner add up to?" in one request.
+ *
+ * Behavior:
+ *   • Up to 50 items; each is resolved through the barcode pipeline or
+ *     FatSecret food.get / foods.search and converted against its
+ *     servings (lib/meal.js)
+ *   • Returns per-item and total calories, macros and micros, with
+ *     percent daily values (FDA, 2,000 kcal — lib/nutrition.js)
+ *   • Partial success: items that cannot be resolved or converted are
+ *     listed under `unresolved` with a reason, and left out of the totals
+ *
+ * Environment Variables (optional):
+ *   MEAL_CONCURRENCY   default 4
+ */
+
+const { calculateItem, totalNutrition } = require("../../lib/meal");
+const { percentDailyValues } = require("../../lib/nutrition");
+const { resolveLocale } = require("../../lib/region");
+const { mapWithConcurrency } = require("../../lib/concurrency");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+
+const MAX_ITEMS = 50;
+const DEFAULT_CONCURRENCY = 4;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 60;
+
+const rateLimiter = createRateLimiter({
+  route: "nutrition-meal",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+});
+
+function getConcurrency() {
+  const configured = parseInt(process.env.MEAL_CONCURRENCY);
+  return configured > 0 ? configured : DEFAULT_CONCURRENCY;
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (req.method !== "POST") {
+    res.statusCode = 405;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "POST only" }));
+  }
+
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+  const items = req.body && req.body.items;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: "Body must include a non-empty items array" }));
+  }
+
+  if (items.length > MAX_ITEMS) {
+    res.statusCode = 400;
+    res.setHeader("Content-Type", "application/json");
+    return res.end(JSON.stringify({ error: `Maximum ${MAX_ITEMS} items per meal`, received: items.length }));
+  }
+
+  // resolveLocale reads ?region= / ?language=; accept them from the body too
+  const locale = resolveLocale({
+    query: { ...req.query, region: req.body.region || req.query?.region, language: req.body.language || req.query?.language },
+    headers: req.headers,
+  });
+
+  try {
+
+    const outcomes = await mapWithConcurrency(items, getConcurrency(), (item) =>
+      calculateItem(item, locale)
+    );
+
+    const withIndex = outcomes.map((outcome, index) => ({ index, ...outcome }));
+    const resolved = withIndex.filter((o) => o.status === "resolved");
+    const unresolved = withIndex.filter((o) => o.status !== "resolved");
+    const totals = totalNutrition(resolved);
+
+    res.statusCode = 200;
+    res.setHeader("Content-Type", "application/json");
+
+    return res.end(
+      JSON.stringify({
+        success: true,
+        itemCount: items.length,
+        resolvedCount: resolved.length,
+        unresolvedCount: unresolved.length,
+        region: locale.region,
+        totals,
+        percentDailyValues: percentDailyValues(totals),
+        items: resolved,
+        unresolved
+      })
+    );
+
+  } catch (err) {
+
+    res.statusCode = 500;
+    res.setHeader("Content-Type", "application/json");
+
+    return res.end(
+      JSON.stringify({
+        error: "Server error",
+        message: err.message
+      })
+    );
+
+  }
+
+};
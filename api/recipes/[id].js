@@ -0,0 +1,104 @@
+/**
+ * Harmonious Food Finder
+ * FatSecret Recipe Detail Proxy
+ *
+ * Endpoint:
+ *   /api/recipes/:id
+ *
+ * Returns one recipe (lib/recipes.js) with normalized ingredients,
+ * ordered directions and per-serving nutrition. With
+ * `Authorization: Bearer <supabase token>` it also carries a
+ * `familySafety` verdict against the caller's family profiles.
+ *
+ * See also:
+ *   /api/recipes?q= — recipe search
+ */
+
+const { getRecipe, withFamilySafety } = require("../../lib/recipes");
+const { getCallerFamilyProfiles } = require("../../lib/family");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+const { cacheControl } = require("../../lib/cache");
+
+const CACHE_S_MAXAGE_SECONDS = 60 * 60 * 24 * 7;
+const CACHE_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60 * 24 * 14;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 120;
+
+const rateLimiter = createRateLimiter({
+  route: "recipe",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+});
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  return res.end(JSON.stringify(body));
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+  const id = String(req.query?.id || "").trim();
+
+  if (!/^\d+$/.test(id)) {
+    return sendJson(res, 400, { error: "Recipe id must be numeric", id });
+  }
+
+  try {
+
+    const caller = await getCallerFamilyProfiles(req);
+    if (caller.error) {
+      return sendJson(res, caller.status, { error: caller.error });
+    }
+
+    const result = await getRecipe(id);
+
+    if (result.notFound) {
+      return sendJson(res, 404, { error: "Recipe not found", id });
+    }
+
+    if (result.error) {
+      return sendJson(res, 502, {
+        error: "FatSecret recipe lookup failed",
+        id,
+        details: result.error
+      });
+    }
+
+    // Verdicts depend on who is asking: never share them through the CDN
+    res.setHeader(
+      "Cache-Control",
+      caller.profiles
+        ? "private, no-store"
+        : cacheControl(CACHE_S_MAXAGE_SECONDS, CACHE_STALE_WHILE_REVALIDATE_SECONDS)
+    );
+    res.setHeader("Vary", "Authorization");
+
+    return sendJson(res, 200, {
+      success: true,
+      familyMembersChecked: caller.profiles ? caller.profiles.length : null,
+      recipe: withFamilySafety(result.recipe, caller.profiles)
+    });
+
+  } catch (err) {
+
+    return sendJson(res, 500, {
+      error: "Server error",
+      message: err.message
+    });
+
+  }
+
+};
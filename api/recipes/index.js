@@ -0,0 +1,145 @@
+/**
+ * Harmonious Food Finder
+ * FatSecret Recipe Search Proxy
+ *
+ * Endpoint:
+ *   /api/recipes?q=chicken+curry&type=Main+Dish&maxCalories=600&page=0&max=20
+ *
+ * Purpose:
+ *   Real recipes — ingredient lists and per-serving nutrition from
+ *   FatSecret — instead of recipes the agent invents.
+ *
+ * Query Parameters:
+ *   q            search expression (q or type required)
+ *   type         FatSecret recipe type, e.g. "Main Dish", "Breakfast"
+ *   maxCalories  upper bound on calories per serving
+ *   page         zero-based page number
+ *   max          results per page (1-50)
+ *
+ * Family safety:
+ *   With `Authorization: Bearer <supabase token>` every recipe gets a
+ *   `familySafety` verdict against the caller's family profiles
+ *   (lib/family.js); anonymous requests get `familySafety: null`.
+ *
+ * See also:
+ *   /api/recipes/:id — full recipe with directions
+ */
+
+const { searchRecipes, withFamilySafety } = require("../../lib/recipes");
+const { getCallerFamilyProfiles } = require("../../lib/family");
+const { createRateLimiter, enforceRateLimit } = require("../../lib/rate-limit");
+const { cacheControl } = require("../../lib/cache");
+
+const CACHE_S_MAXAGE_SECONDS = 60 * 60 * 24;
+const CACHE_STALE_WHILE_REVALIDATE_SECONDS = 60 * 60 * 24 * 2;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_REQUESTS = 120;
+
+const MAX_RESULTS = 50;
+
+const rateLimiter = createRateLimiter({
+  route: "recipes",
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  maxRequests: RATE_LIMIT_MAX_REQUESTS,
+});
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  return res.end(JSON.stringify(body));
+}
+
+module.exports = async (req, res) => {
+
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+  if (req.method === "OPTIONS") {
+    res.statusCode = 200;
+    return res.end();
+  }
+
+  if (!(await enforceRateLimit(rateLimiter, req, res))) return;
+
+  const { q, type, maxCalories, page, max } = req.query || {};
+  const query = typeof q === "string" ? q.trim() : "";
+  const recipeType = typeof type === "string" ? type.trim() : "";
+
+  if (!query && !recipeType) {
+    return sendJson(res, 400, { error: "Missing ?q= or ?type=" });
+  }
+
+  let calorieLimit = null;
+  if (maxCalories !== undefined && maxCalories !== "") {
+    calorieLimit = parseInt(maxCalories);
+    if (!(calorieLimit > 0)) {
+      return sendJson(res, 400, { error: "Invalid ?maxCalories= parameter", maxCalories });
+    }
+  }
+
+  try {
+
+    const caller = await getCallerFamilyProfiles(req);
+    if (caller.error) {
+      return sendJson(res, caller.status, { error: caller.error });
+    }
+
+    const pageNumber = clampInt(page, 0, 1000, 0);
+    const maxResults = clampInt(max, 1, MAX_RESULTS, 20);
+
+    const result = await searchRecipes({
+      query,
+      type: recipeType,
+      maxCalories: calorieLimit,
+      page: pageNumber,
+      maxResults,
+    });
+
+    if (result.error) {
+      return sendJson(res, 502, {
+        error: "FatSecret recipe search failed",
+        query,
+        details: result.error
+      });
+    }
+
+    // Verdicts depend on who is asking: never share them through the CDN
+    res.setHeader(
+      "Cache-Control",
+      caller.profiles
+        ? "private, no-store"
+        : cacheControl(CACHE_S_MAXAGE_SECONDS, CACHE_STALE_WHILE_REVALIDATE_SECONDS)
+    );
+    res.setHeader("Vary", "Authorization");
+
+    return sendJson(res, 200, {
+      success: true,
+      query: query || null,
+      type: recipeType || null,
+      maxCalories: calorieLimit,
+      page: pageNumber,
+      maxResults,
+      totalResults: result.totalResults,
+      count: result.recipes.length,
+      familyMembersChecked: caller.profiles ? caller.profiles.length : null,
+      recipes: result.recipes.map((recipe) => withFamilySafety(recipe, caller.profiles))
+    });
+
+  } catch (err) {
+
+    return sendJson(res, 500, {
+      error: "Server error",
+      message: err.message
+    });
+
+  }
+
+};
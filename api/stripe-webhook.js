@@ -2,6 +2,9 @@
 // Vercel Serverless Function (Node.js)
 // Receives Stripe webhook events and verifies signature using STRIPE_WEBHOOK_SECRET
 
+// Not rate limited: Stripe delivers from a few shared IPs and retries on
+// 429, and the signature check below already rejects anything else.
+
 const Stripe = require("stripe");
 
 // Read raw request body (Stripe signature verification requires raw bytes)
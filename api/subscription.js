@@ -23,11 +23,19 @@
  */
 
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { createRateLimiter, enforceRateLimit } = require('../lib/rate-limit');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const APP_URL = process.env.NEXT_PUBLIC_APP_URL || 'https://harmoniousfood.harmonytec.net';
 
+// Checkout / portal sessions only; webhooks are not limited (see api/stripe-webhook.js)
+const rateLimiter = createRateLimiter({
+  route: 'subscription',
+  windowMs: 60 * 1000,
+  maxRequests: 20,
+});
+
 const PRICES = {
   monthly: process.env.STRIPE_PRICE_MONTHLY,
   annual: process.env.STRIPE_PRICE_ANNUAL,
@@ -143,6 +151,8 @@ module.exports = async (req, res) => {
 
   const action = req.query?.action;
 
+  if (action !== 'webhook' && !(await enforceRateLimit(rateLimiter, req, res))) return;
+
   try {
     // ===========================================================
     // CREATE CHECKOUT SESSION
@@ -13,10 +13,18 @@
  *   SUPABASE_SERVICE_ROLE_KEY
  */
 
+const { createRateLimiter, enforceRateLimit } = require('../lib/rate-limit');
+
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 
+const rateLimiter = createRateLimiter({
+  route: 'user',
+  windowMs: 60 * 1000,
+  maxRequests: 120,
+});
+
 /** Verify JWT and extract user ID */
 async function verifyAuth(req) {
   const authHeader = req.headers.authorization;
@@ -107,6 +115,11 @@ module.exports = async (req, res) => {
     return res.status(401).json({ error: 'Unauthorized. Please log in.' });
   }
 
+  // Read once: the tier scales the rate limit and gates the pro actions
+  const profile = await supabaseRpc('get_user_profile', { p_user_id: user.id });
+
+  if (!(await enforceRateLimit(rateLimiter, req, res, { user, tier: profile?.tier }))) return;
+
   const action = req.query?.action;
 
   try {
@@ -114,8 +127,6 @@ module.exports = async (req, res) => {
     // GET PROFILE
     // ===========================================================
     if (action === 'profile' && req.method === 'GET') {
-      const profile = await supabaseRpc('get_user_profile', { p_user_id: user.id });
-
       if (profile?.error) {
         return res.status(404).json({ error: profile.error });
       }
@@ -171,8 +182,6 @@ module.exports = async (req, res) => {
     // GET SCAN HISTORY (pro only)
     // ===========================================================
     if (action === 'history' && req.method === 'GET') {
-      // Check tier
-      const profile = await supabaseRpc('get_user_profile', { p_user_id: user.id });
       if (profile?.tier !== 'pro') {
         return res.status(403).json({
           error: 'Pro subscription required',
@@ -201,7 +210,6 @@ module.exports = async (req, res) => {
     // ADD FAVORITE (pro only)
     // ===========================================================
     if (action === 'favorite' && req.method === 'POST') {
-      const profile = await supabaseRpc('get_user_profile', { p_user_id: user.id });
       if (profile?.tier !== 'pro') {
         return res.status(403).json({
           error: 'Pro subscription required',
@@ -253,7 +261,6 @@ module.exports = async (req, res) => {
     // GET ALL FAVORITES (pro only)
     // ===========================================================
     if (action === 'favorites' && req.method === 'GET') {
-      const profile = await supabaseRpc('get_user_profile', { p_user_id: user.id });
       if (profile?.tier !== 'pro') {
         return res.status(403).json({
           error: 'Pro subscription required',
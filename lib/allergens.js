@@ -0,0 +1,175 @@
+/**
+ * Allergen vocabulary + family-safety checks (shared)
+ *
+ * Product documents (lib/nutrition.js) carry a structured allergen map:
+ *
+ *   allergens: { milk: "contains", gluten: "free", peanuts: "unknown", … }
+ *
+ * Family profiles store free text ("dairy, tree nuts, wheat"), so
+ * allergenKeyFor() maps those words onto the same keys and
+ * checkAllergenMap() turns the pair into per-member alerts.
+ *
+ * Sources without an allergen declaration (recipes) can derive a
+ * best-effort map from ingredient text with detectAllergens().
+ */
+
+const ALLERGEN_STATUS = {
+  CONTAINS: "contains",
+  FREE: "free",
+  UNKNOWN: "unknown",
+};
+
+// Canonical allergen key → words a family profile may use for it
+const ALLERGEN_SYNONYMS = {
+  milk: ["milk", "dairy", "casein", "whey", "butter", "cheese", "cream"],
+  lactose: ["lactose"],
+  eggs: ["egg", "eggs"],
+  fish: ["fish"],
+  shellfish: ["shellfish", "crustacean", "crustaceans", "mollusc", "molluscs", "shrimp", "crab", "lobster"],
+  treeNuts: ["tree nut", "tree nuts", "nut", "nuts", "almond", "almonds", "cashew", "cashews", "walnut", "walnuts", "pecan", "pecans", "hazelnut", "hazelnuts", "pistachio", "pistachios"],
+  peanuts: ["peanut", "peanuts"],
+  soy: ["soy", "soya", "soybean", "soybeans"],
+  gluten: ["gluten", "wheat", "barley", "rye", "celiac", "coeliac"],
+  sesame: ["sesame"],
+  celery: ["celery"],
+  mustard: ["mustard"],
+  lupin: ["lupin"],
+  sulphites: ["sulphite", "sulphites", "sulfite", "sulfites"],
+};
+
+// Extra ingredient words that imply an allergen (detection only — not
+// used to interpret profile text, where "flour" should not mean gluten)
+const INGREDIENT_HINTS = {
+  milk: ["yogurt", "yoghurt", "ghee", "buttermilk", "parmesan", "mozzarella", "cheddar"],
+  eggs: ["mayonnaise", "meringue"],
+  fish: ["salmon", "tuna", "cod", "anchovy", "anchovies", "tilapia", "halibut", "sardines"],
+  shellfish: ["prawn", "prawns", "scallops", "clams", "mussels", "oysters"],
+  soy: ["tofu", "tempeh", "edamame", "miso"],
+  gluten: ["flour", "bread", "breadcrumbs", "pasta", "couscous", "semolina", "spelt"],
+  treeNuts: ["macadamia", "pine nuts", "brazil nuts"],
+};
+
+// Phrases whose allergen word is misleading ("almond milk" has no milk),
+// rewritten to what they actually imply before detection
+const INGREDIENT_REWRITES = {
+  "peanut butter": "peanut",
+  "almond butter": "almond",
+  "cashew butter": "cashew",
+  "cocoa butter": "cocoa",
+  "apple butter": "apple",
+  "coconut milk": "coconut",
+  "coconut cream": "coconut",
+  "almond milk": "almond",
+  "soy milk": "soy",
+  "oat milk": "oat",
+  "rice milk": "rice",
+  "cream of tartar": "",
+  "gluten-free": "",
+  "gluten free": "",
+  "dairy-free": "",
+  "dairy free": "",
+  "egg-free": "",
+};
+
+const STATUS_RANK = { contains: 2, free: 1, unknown: 0 };
+
+/** "Tree Nuts" → "treeNuts", "dairy" → "milk", "strawberries" → null */
+function allergenKeyFor(term) {
+  const normalized = String(term || "").toLowerCase().trim();
+  if (!normalized) return null;
+  for (const [key, words] of Object.entries(ALLERGEN_SYNONYMS)) {
+    if (key.toLowerCase() === normalized || words.includes(normalized)) return key;
+  }
+  return null;
+}
+
+/** The safer of two statuses: contains > free > unknown. */
+function strongerStatus(a, b) {
+  return (STATUS_RANK[b] || 0) > (STATUS_RANK[a] || 0) ? b : a;
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+const DETECTION_PATTERNS = Object.entries(ALLERGEN_SYNONYMS).map(([key, words]) => {
+  const all = [...words, ...(INGREDIENT_HINTS[key] || [])];
+  return [key, new RegExp(`\\b(${all.map(escapeRegExp).join("|")})\\b`, "i")];
+});
+
+/**
+ * Best-effort allergen map from free ingredient text. Only ever reports
+ * "contains" — absence of a word is not evidence the allergen is absent.
+ */
+function detectAllergens(text) {
+  let normalized = String(text || "").toLowerCase();
+  for (const [phrase, replacement] of Object.entries(INGREDIENT_REWRITES)) {
+    normalized = normalized.split(phrase).join(` ${replacement} `);
+  }
+
+  const allergens = {};
+  for (const [key, pattern] of DETECTION_PATTERNS) {
+    if (pattern.test(normalized)) allergens[key] = ALLERGEN_STATUS.CONTAINS;
+  }
+  return allergens;
+}
+
+/**
+ * Alerts for one member's allergy/sensitivity list against a product's
+ * allergen map. Terms with no canonical key are skipped here (the caller
+ * still substring-matches them against the ingredient text).
+ *
+ * @param {object} allergens  product.allergens
+ * @param {object} member     { name }
+ * @param {string[]} terms    lower-cased allergy or sensitivity words
+ * @param {"allergy"|"sensitivity"} type
+ * @param {object} [options]
+ * @param {boolean} [options.flagUnknown]  warn when an allergy cannot be
+ *   ruled out (no data for it) — for scans with no ingredient text to fall back on
+ */
+function checkAllergenMap(allergens, member, terms, type, options = {}) {
+  const alerts = [];
+  const map = allergens || {};
+
+  for (const term of terms) {
+    const key = allergenKeyFor(term);
+    if (!key) continue;
+
+    const status = map[key] || ALLERGEN_STATUS.UNKNOWN;
+
+    if (status === ALLERGEN_STATUS.CONTAINS) {
+      alerts.push({
+        member: member.name,
+        type,
+        severity: type === "allergy" ? "critical" : "warning",
+        trigger: term,
+        allergen: key,
+        basis: "allergen_data",
+        message: type === "allergy"
+          ? `ALLERGY ALERT: ${member.name} is allergic to ${term}`
+          : `SENSITIVITY: ${member.name} is sensitive to ${term}`
+      });
+    } else if (status === ALLERGEN_STATUS.UNKNOWN && type === "allergy" && options.flagUnknown) {
+      alerts.push({
+        member: member.name,
+        type: "allergy_unverified",
+        severity: "warning",
+        trigger: term,
+        allergen: key,
+        basis: "allergen_data",
+        message: `UNVERIFIED: could not confirm this product is free of ${term} for ${member.name}`
+      });
+    }
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  ALLERGEN_STATUS,
+  ALLERGEN_SYNONYMS,
+  allergenKeyFor,
+  strongerStatus,
+  detectAllergens,
+  checkAllergenMap,
+};
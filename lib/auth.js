@@ -0,0 +1,81 @@
+/**
+ * Caller authentication (shared)
+ *
+ * Verifies the Supabase access token in `Authorization: Bearer …` against
+ * Supabase Auth, the same check /api/user performs.
+ *
+ * Admins are either a signed-in user whose `app_metadata.role` is
+ * "admin" (app_metadata is only writable with the service role), or a
+ * caller presenting `X-Admin-Key: <ADMIN_API_KEY>` — for scripts and
+ * uptime checks that have no user session.
+ *
+ * Env vars (Vercel):
+ *   SUPABASE_URL
+ *   SUPABASE_ANON_KEY           (falls back to the service role key)
+ *   SUPABASE_SERVICE_ROLE_KEY
+ *   ADMIN_API_KEY               (optional; unset disables key access)
+ */
+
+const crypto = require("crypto");
+
+function getBearerToken(req) {
+  const authHeader = req.headers?.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) return null;
+  return authHeader.replace("Bearer ", "");
+}
+
+/** Verify JWT and return the Supabase user, or null */
+async function verifyUser(req) {
+  const token = getBearerToken(req);
+  if (!token) return null;
+
+  const response = await fetch(`${process.env.SUPABASE_URL}/auth/v1/user`, {
+    headers: {
+      apikey: process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY,
+      Authorization: `Bearer ${token}`,
+    },
+  });
+
+  if (!response.ok) return null;
+
+  const user = await response.json();
+  return user?.id ? user : null;
+}
+
+/** Constant-time comparison of two secrets of any length. */
+function secretsMatch(provided, expected) {
+  const a = crypto.createHash("sha256").update(String(provided)).digest();
+  const b = crypto.createHash("sha256").update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function isAdminUser(user) {
+  const meta = user?.app_metadata || {};
+  return meta.role === "admin" || (Array.isArray(meta.roles) && meta.roles.includes("admin"));
+}
+
+/**
+ * @returns {Promise<{ admin: boolean, via?: "key" | "role", user?: object, authenticated: boolean }>}
+ *   `authenticated` separates "who are you?" (401) from "not allowed" (403)
+ */
+async function verifyAdmin(req) {
+  const adminKey = req.headers?.["x-admin-key"];
+  if (typeof adminKey === "string" && adminKey) {
+    const expected = process.env.ADMIN_API_KEY;
+    const admin = !!expected && secretsMatch(adminKey, expected);
+    return admin ? { admin, via: "key", authenticated: true } : { admin: false, authenticated: false };
+  }
+
+  const user = await verifyUser(req);
+  if (!user) return { admin: false, authenticated: false };
+  return isAdminUser(user)
+    ? { admin: true, via: "role", user, authenticated: true }
+    : { admin: false, user, authenticated: true };
+}
+
+module.exports = {
+  getBearerToken,
+  verifyUser,
+  isAdminUser,
+  verifyAdmin,
+};
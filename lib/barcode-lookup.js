@@ -0,0 +1,180 @@
+/**
+ * Barcode → product lookup pipeline (shared)
+ *
+ * Provider chain, in priority order:
+ *   1. FatSecret                     (lib/providers/fatsecret.js)
+ *   2. Open Food Facts               (lib/providers/openfoodfacts.js)
+ *   3. USDA FoodData Central branded (lib/providers/usda.js)
+ *
+ * All providers are queried in parallel, each under its own timeout, so a
+ * slow provider costs at most its timeout and never stalls the lookup.
+ * Hits are merged into one normalized product (lib/nutrition.js
+ * mergeProducts) where every field records the provider it came from,
+ * then scored (lib/health-score.js).
+ *
+ * lookupBarcodeCached() puts the shared cache (lib/shared-cache.js — an
+ * in-memory LRU in front of Upstash or Supabase when configured) keyed by
+ * GTIN-14 and region order in front of the chain; /api/barcode and
+ * /api/barcode/batch both go through it. "Not found" answers are cached
+ * too, for a shorter time, and concurrent scans of one barcode share a
+ * single provider round.
+ *
+ * Environment Variables (optional):
+ *   BARCODE_PROVIDERS              comma-separated order, default
+ *                                  "fatsecret,openfoodfacts,usda"
+ *   BARCODE_PROVIDER_TIMEOUT_MS    per-provider timeout override
+ *   BARCODE_CACHE_STORE            "upstash" | "supabase" | "memory"
+ *                                  (default: CACHE_STORE, then upstash
+ *                                  when configured, see lib/kv-store.js)
+ */
+
+const { withTimeout } = require("./http");
+const { mergeProducts } = require("./nutrition");
+const { withHealthScore } = require("./health-score");
+const { createSharedCache } = require("./shared-cache");
+
+const FOUND_TTL_MS = 7 * 24 * 60 * 60 * 1000;   // 7 days
+const NOT_FOUND_TTL_MS = 6 * 60 * 60 * 1000;    // 6 hours
+const CACHE_MAX_ENTRIES = 2000;
+
+const lookupCache = createSharedCache({
+  namespace: "barcode",
+  ttlMs: FOUND_TTL_MS,
+  store: process.env.BARCODE_CACHE_STORE,
+  maxEntries: CACHE_MAX_ENTRIES,
+});
+
+const PROVIDERS = {
+  fatsecret: require("./providers/fatsecret"),
+  openfoodfacts: require("./providers/openfoodfacts"),
+  usda: require("./providers/usda"),
+};
+
+// FatSecret may retry several variants × regions, so it gets longer
+const DEFAULT_TIMEOUTS_MS = {
+  fatsecret: 8000,
+  openfoodfacts: 4000,
+  usda: 4000,
+};
+
+function getProviderChain() {
+  const configured = (process.env.BARCODE_PROVIDERS || "fatsecret,openfoodfacts,usda")
+    .split(",")
+    .map((p) => p.trim().toLowerCase())
+    .filter((p) => PROVIDERS[p]);
+  return configured.length > 0 ? configured : ["fatsecret"];
+}
+
+function getTimeoutMs(providerName) {
+  const override = parseInt(process.env.BARCODE_PROVIDER_TIMEOUT_MS);
+  return override > 0 ? override : DEFAULT_TIMEOUTS_MS[providerName];
+}
+
+async function runProvider(providerName, parsed, options) {
+  const provider = PROVIDERS[providerName];
+  const timeoutMs = getTimeoutMs(providerName);
+  const started = Date.now();
+
+  try {
+    const result = await withTimeout(
+      provider.lookup(parsed, { ...options, timeoutMs }),
+      timeoutMs,
+      providerName
+    );
+    const status = result.skipped ? "skipped" : result.found ? "hit" : "miss";
+    return { name: providerName, status, ms: Date.now() - started, result };
+  } catch (err) {
+    const status = err.name === "TimeoutError" ? "timeout" : "error";
+    console.error(`Barcode provider ${providerName} ${status}:`, err.message);
+    return { name: providerName, status, ms: Date.now() - started, error: err.message };
+  }
+}
+
+/**
+ * @param {object} parsed  Result of parseBarcode() (must not be an error)
+ * @param {object} [options]
+ * @param {Array<{ region, language }>} [options.attempts]  From resolveLocale()
+ * @returns {Promise<{
+ *   found: boolean, product?, matchedVariant, providers,
+ *   region, language, triedVariants, regionsTried, raw?, details?
+ * }>}  region … details describe the FatSecret attempt
+ */
+async function lookupBarcode(parsed, options = {}) {
+  const outcomes = await Promise.all(
+    getProviderChain().map((providerName) => runProvider(providerName, parsed, options))
+  );
+
+  const providers = outcomes.map(({ name, status, ms, error }) => ({
+    name, status, ms, ...(error ? { error } : {}),
+  }));
+  const hits = outcomes.filter((o) => o.status === "hit");
+  const fatsecret = outcomes.find((o) => o.name === "fatsecret")?.result?.meta || {};
+
+  const base = {
+    providers,
+    region: fatsecret.region || null,
+    language: fatsecret.language || null,
+    triedVariants: fatsecret.triedVariants || [],
+    regionsTried: fatsecret.regionsTried || [],
+  };
+
+  if (hits.length === 0) {
+    const attempted = outcomes.filter((o) => o.status !== "skipped");
+    if (attempted.length > 0 && attempted.every((o) => o.status === "error" || o.status === "timeout")) {
+      throw new Error(`All nutrition providers failed: ${attempted.map((o) => `${o.name} (${o.error})`).join(", ")}`);
+    }
+    return { found: false, matchedVariant: null, ...base, details: fatsecret.details || null };
+  }
+
+  return {
+    found: true,
+    matchedVariant: hits[0].result.matchedVariant,
+    product: withHealthScore(mergeProducts(hits.map((o) => o.result.product))),
+    ...base,
+    raw: fatsecret.raw || null,
+  };
+}
+
+function getLookupCacheKey(parsed, options = {}) {
+  const regions = (options.attempts || []).map((a) => `${a.region}-${a.language}`).join(">");
+  return `${parsed.gtin14}:${regions || "default"}`;
+}
+
+/**
+ * lookupBarcode() behind the shared cache.
+ *   • hits are kept for FOUND_TTL_MS
+ *   • misses are kept for NOT_FOUND_TTL_MS, but only when every provider
+ *     actually answered — a miss caused by a timeout is not trusted
+ *   • cache read/write failures are logged and never fail the lookup
+ * @returns {Promise<object>}  lookupBarcode() result plus `cached: boolean`
+ */
+async function lookupBarcodeCached(parsed, options = {}) {
+  const { value: result, status } = await lookupCache.load(
+    getLookupCacheKey(parsed, options),
+    () => lookupBarcode(parsed, options),
+    {
+      ttlFor: (lookup) => {
+        if (lookup.found) return FOUND_TTL_MS;
+        const complete = lookup.providers.every((p) => p.status !== "error" && p.status !== "timeout");
+        return complete ? NOT_FOUND_TTL_MS : 0;
+      },
+    }
+  );
+
+  if (status !== "hit" && status !== "stale") return { ...result, cached: false };
+
+  // Entries scored by an older algorithm version are re-scored here
+  return result.product
+    ? { ...result, product: withHealthScore(result.product), cached: true }
+    : { ...result, cached: true };
+}
+
+module.exports = {
+  PROVIDERS,
+  getProviderChain,
+  lookupBarcode,
+  lookupBarcodeCached,
+  lookupCache,
+  FOUND_TTL_MS,
+  NOT_FOUND_TTL_MS,
+};
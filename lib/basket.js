@@ -0,0 +1,246 @@
+/**
+ * Multi-store basket comparison (shared)
+ *
+ * Prices one shopping list at every nearby Kroger-family store:
+ *
+ *   1. searchLocations() around lat/lng (lib/kroger.js)
+ *   2. searchProducts() for each item at each store; the match with the
+ *      lowest unit price (promo when there is one, lib/kroger.js
+ *      pickCheapest) fills the line, so a 5 lb bag beats a 1 lb one
+ *   3. Each item is normalised to one amount across stores: the smallest
+ *      package found, times its quantity. A line's `comparableTotal` is
+ *      that amount at the line's unit price, so a store that matched a
+ *      5 lb bag is not charged five times a 1 lb bag's worth of flour.
+ *      Lines whose size does not parse or is in another unit fall back
+ *      to shelf price × quantity.
+ *   4. Per-store `total` (shelf prices × quantity, what the register
+ *      charges), `comparableTotal`, promo savings and missing items
+ *   5. The cheapest single store and the cheapest two-store split, where
+ *      each item is bought at whichever of the two stores has the lower
+ *      comparableTotal
+ *
+ * Stores are ranked by fewest missing items first, then comparableTotal —
+ * a store that is cheaper only because it lacks half the list does not win.
+ */
+
+const { searchLocations, searchProducts, pickCheapest, effectiveUnitPrice } = require("./kroger");
+const { UNIT_PRICE_BASIS } = require("./units");
+const { mapWithConcurrency } = require("./concurrency");
+
+const MATCHES_PER_SEARCH = 5;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * @param {Array<string | { term?: string, name?: string, quantity?: number }>} items
+ * @returns {{ items?: Array<{ term: string, quantity: number }>, error?: string, index?: number }}
+ */
+function normalizeBasketItems(items) {
+  const normalized = [];
+
+  for (const [index, raw] of items.entries()) {
+    const item = typeof raw === "string" ? { term: raw } : raw || {};
+    const term = String(item.term || item.name || "").trim();
+    const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+
+    if (!term) return { error: "Each item needs a term", index };
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+      return { error: "quantity must be a whole number from 1 to 99", index };
+    }
+    normalized.push({ term, quantity });
+  }
+
+  return { items: normalized };
+}
+
+async function priceItemAtStore(item, locationId) {
+  try {
+    const { products } = await searchProducts(item.term, locationId, MATCHES_PER_SEARCH);
+    const product = pickCheapest(products);
+    if (!product) return { term: item.term, quantity: item.quantity, found: false };
+
+    const paid = product.promoPrice || product.price;
+    const regular = product.price || paid;
+
+    return {
+      term: item.term,
+      quantity: item.quantity,
+      found: true,
+      productId: product.productId,
+      upc: product.upc,
+      brand: product.brand,
+      description: product.description,
+      size: product.size,
+      price: product.price,
+      promoPrice: product.promoPrice,
+      unitPrice: product.unitPrice,
+      promoUnitPrice: product.promoUnitPrice,
+      unitPriceBasis: product.unitPriceBasis,
+      packageUnit: product.packageSize?.unit || null,
+      packageQuantity: product.packageSize?.quantity || null,
+      inStock: product.inStock,
+      lineTotal: round2(paid * item.quantity),
+      comparableTotal: round2(paid * item.quantity),
+      comparableAmount: null,
+      promoSavings: round2((regular - paid) * item.quantity),
+    };
+  } catch (err) {
+    return { term: item.term, quantity: item.quantity, found: false, error: err.message };
+  }
+}
+
+/**
+ * Price one item's lines (one per store) for the same amount. The first
+ * line with a unit price sets the unit, as in pickCheapest(); the amount
+ * is the smallest package in that unit × quantity. Mutates the lines.
+ */
+function normalizeItemLines(lines, quantity) {
+  const reference = lines.find((l) => l.found && effectiveUnitPrice(l) !== null && l.packageQuantity);
+  if (!reference) return;
+
+  const unit = reference.packageUnit;
+  const comparable = lines.filter(
+    (l) => l.found && effectiveUnitPrice(l) !== null && l.packageQuantity && l.packageUnit === unit
+  );
+  const amount = Math.min(...comparable.map((l) => l.packageQuantity)) * quantity;
+
+  for (const line of comparable) {
+    line.comparableTotal = round2((effectiveUnitPrice(line) * amount) / UNIT_PRICE_BASIS[unit]);
+    line.comparableAmount = { quantity: amount, unit };
+  }
+}
+
+function summarizeStore(location, lines) {
+  const found = lines.filter((l) => l.found);
+  return {
+    locationId: location.locationId,
+    name: location.name,
+    banner: location.banner,
+    address: location.address,
+    total: round2(found.reduce((sum, l) => sum + l.lineTotal, 0)),
+    comparableTotal: round2(found.reduce((sum, l) => sum + l.comparableTotal, 0)),
+    promoSavings: round2(found.reduce((sum, l) => sum + l.promoSavings, 0)),
+    matchedCount: found.length,
+    missingCount: lines.length - found.length,
+    missing: lines.filter((l) => !l.found).map((l) => l.term),
+    lines,
+  };
+}
+
+function byCoverageThenTotal(a, b) {
+  return a.missingCount - b.missingCount || a.comparableTotal - b.comparableTotal;
+}
+
+/** Best pair of stores, buying each item wherever it is cheaper. */
+function cheapestSplit(stores, itemCount) {
+  let best = null;
+
+  for (let i = 0; i < stores.length; i++) {
+    for (let j = i + 1; j < stores.length; j++) {
+      const pair = [stores[i], stores[j]];
+      const assignments = { [pair[0].locationId]: [], [pair[1].locationId]: [] };
+      const missing = [];
+      let total = 0;
+      let comparableTotal = 0;
+
+      for (let k = 0; k < itemCount; k++) {
+        const options = pair
+          .map((store) => ({ store, line: store.lines[k] }))
+          .filter((o) => o.line.found)
+          .sort((a, b) => a.line.comparableTotal - b.line.comparableTotal);
+
+        if (options.length === 0) {
+          missing.push(pair[0].lines[k].term);
+          continue;
+        }
+        total += options[0].line.lineTotal;
+        comparableTotal += options[0].line.comparableTotal;
+        assignments[options[0].store.locationId].push(options[0].line.term);
+      }
+
+      // A "split" that sends everything to one store is not a split
+      if (Object.values(assignments).some((terms) => terms.length === 0)) continue;
+
+      const candidate = {
+        total: round2(total),
+        comparableTotal: round2(comparableTotal),
+        missingCount: missing.length,
+        missing,
+        pair,
+        assignments,
+      };
+      if (!best || byCoverageThenTotal(candidate, best) < 0) best = candidate;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * @param {object} options
+ * @param {Array<{ term: string, quantity: number }>} options.items  from normalizeBasketItems()
+ * @param {number} options.lat
+ * @param {number} options.lng
+ * @param {number} options.radiusMiles
+ * @param {number} options.maxStores
+ * @param {number} options.concurrency  Kroger searches in flight
+ */
+async function compareBasket({ items, lat, lng, radiusMiles, maxStores, concurrency }) {
+  const { locations } = await searchLocations({ lat, lng, radiusMiles, limit: maxStores });
+  const stores = locations.slice(0, maxStores);
+
+  if (stores.length === 0) {
+    return { storesCompared: 0, stores: [], cheapestStore: null, cheapestSplit: null };
+  }
+
+  const pairs = stores.flatMap((store) => items.map((item) => ({ store, item })));
+  const priced = await mapWithConcurrency(pairs, concurrency, ({ store, item }) =>
+    priceItemAtStore(item, store.locationId)
+  );
+
+  const linesByStore = stores.map((_, s) => priced.slice(s * items.length, (s + 1) * items.length));
+  items.forEach((item, k) => normalizeItemLines(linesByStore.map((lines) => lines[k]), item.quantity));
+
+  const summaries = stores.map((store, s) => summarizeStore(store, linesByStore[s]));
+  summaries.sort(byCoverageThenTotal);
+
+  const cheapestStore = summaries[0];
+  const split = cheapestSplit(summaries, items.length);
+
+  return {
+    storesCompared: summaries.length,
+    stores: summaries,
+    cheapestStore: {
+      locationId: cheapestStore.locationId,
+      name: cheapestStore.name,
+      banner: cheapestStore.banner,
+      total: cheapestStore.total,
+      comparableTotal: cheapestStore.comparableTotal,
+      missing: cheapestStore.missing,
+    },
+    cheapestSplit: split
+      ? {
+        stores: split.pair.map((store) => ({
+          locationId: store.locationId,
+          name: store.name,
+          banner: store.banner,
+          items: split.assignments[store.locationId],
+        })),
+        total: split.total,
+        comparableTotal: split.comparableTotal,
+        missing: split.missing,
+        // Only comparable when both cover the same items
+        savingsVsCheapestStore: split.missingCount === cheapestStore.missingCount
+          ? round2(cheapestStore.comparableTotal - split.comparableTotal)
+          : null,
+      }
+      : null,
+  };
+}
+
+module.exports = {
+  normalizeBasketItems,
+  compareBasket,
+};
@@ -0,0 +1,89 @@
+/**
+ * Small in-memory LRU cache with TTLs + HTTP caching helpers (shared)
+ *
+ * Entries live for the lifetime of a warm serverless instance and are
+ * dropped lazily on read or by cleanup(); past `maxEntries` the least
+ * recently read entry goes first. For caches shared across instances,
+ * with stale-while-revalidate and coalesced loads, see lib/shared-cache.js.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * @param {object} options
+ * @param {number} options.ttlMs          default TTL; set() can override per entry
+ * @param {number} [options.maxEntries]
+ */
+function createTtlCache({ ttlMs, maxEntries = 500 }) {
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0 };
+
+  function get(key) {
+    const entry = entries.get(key);
+    entries.delete(key);
+    if (entry && Date.now() < entry.expiresAt) {
+      // Re-insert: Map order doubles as recency order
+      entries.set(key, entry);
+      counters.hits++;
+      return entry.data;
+    }
+    counters.misses++;
+    return null;
+  }
+
+  function set(key, data, entryTtlMs = ttlMs) {
+    entries.delete(key);
+    // Map preserves insertion order, so the first key is the least recently used
+    if (entries.size >= maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+    entries.set(key, { data, expiresAt: Date.now() + entryTtlMs });
+  }
+
+  function cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of entries.entries()) {
+      if (now >= entry.expiresAt) entries.delete(key);
+    }
+  }
+
+  function stats() {
+    return { entries: entries.size, maxEntries, ...counters };
+  }
+
+  return { get, set, cleanup, stats, entries };
+}
+
+function getCacheKey(action, params) {
+  return `${action}:${JSON.stringify(params)}`;
+}
+
+function cacheControl(sMaxAgeSeconds, staleWhileRevalidateSeconds) {
+  return `public, s-maxage=${sMaxAgeSeconds}, stale-while-revalidate=${staleWhileRevalidateSeconds}`;
+}
+
+/** Strong ETag for a JSON-serializable value. */
+function computeEtag(value) {
+  const hash = crypto.createHash("sha1").update(JSON.stringify(value)).digest("base64url");
+  return `"${hash.slice(0, 27)}"`;
+}
+
+/** True when the request's If-None-Match matches `etag` (or is "*"). */
+function isNotModified(req, etag) {
+  const header = req.headers["if-none-match"];
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  return header
+    .split(",")
+    .map((tag) => tag.trim().replace(/^W\//, ""))
+    .includes(etag);
+}
+
+module.exports = {
+  createTtlCache,
+  getCacheKey,
+  cacheControl,
+  computeEtag,
+  isNotModified,
+};
@@ -0,0 +1,28 @@
+/**
+ * Bounded-concurrency helpers (shared)
+ */
+
+/**
+ * Like Promise.all(items.map(fn)) but with at most `limit` calls of `fn`
+ * in flight. Results keep input order. `fn` should not throw — catch and
+ * return an error result instead, so one item cannot sink the batch.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
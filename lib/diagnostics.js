@@ -0,0 +1,239 @@
+/**
+ * Upstream health probes + runtime state (shared, admin only)
+ *
+ * runDiagnostics() probes every upstream the app depends on, in parallel,
+ * each bounded by PROBE_TIMEOUT_MS:
+ *
+ *   fatsecret  foods.search for one result (the app's own auth mode)
+ *   kroger     one /locations lookup through lib/kroger-client.js
+ *   stripe     GET /v1/balance
+ *   supabase   Auth health + a REST HEAD with the service role key
+ *   anthropic  GET /v1/models?limit=1
+ *
+ * and reports the caches (entries and hit/miss counters, lib/shared-cache.js),
+ * the Kroger circuit breaker and the rate limiters.
+ *
+ * Nothing here echoes secret material: only whether each variable is
+ * set, and every error message is scrubbed of configured secret values
+ * before it is returned. Probes never reset shared state (tokens,
+ * caches, breaker) — the instance keeps serving users while it is
+ * inspected.
+ */
+
+const { withTimeout } = require("./http");
+const { callFatSecret, getAuthMode, getTokenState: getFatSecretTokenState } = require("./fatsecret");
+const {
+  krogerFetch,
+  getTokenState: getKrogerTokenState,
+  getCircuitState,
+} = require("./kroger");
+const { isSupabaseConfigured } = require("./supabase");
+const { describeCaches } = require("./shared-cache");
+const { describeRateLimiters } = require("./rate-limit");
+
+const PROBE_TIMEOUT_MS = 5000;
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// Values that must never appear in a diagnostics response
+const SECRET_ENV_VARS = [
+  "ADMIN_API_KEY",
+  "ANTHROPIC_API_KEY",
+  "FATSECRET_CLIENT_SECRET",
+  "FATSECRET_CONSUMER_SECRET",
+  "KROGER_CLIENT_SECRET",
+  "KROGER_OAUTH_STATE_SECRET",
+  "STRIPE_SECRET_KEY",
+  "STRIPE_WEBHOOK_SECRET",
+  "SUPABASE_SERVICE_ROLE_KEY",
+  "SUPABASE_ANON_KEY",
+  "UPSTASH_REDIS_REST_TOKEN",
+  "KV_REST_API_TOKEN",
+  "USDA_FDC_API_KEY",
+  "RATE_LIMIT_API_KEYS",
+];
+
+function redact(text) {
+  let result = String(text ?? "");
+  for (const name of SECRET_ENV_VARS) {
+    const value = process.env[name];
+    if (value && value.length >= 8) result = result.split(value).join("[redacted]");
+  }
+  // Bearer tokens we did not configure ourselves (e.g. a cached access token)
+  return result.replace(/Bearer\s+[A-Za-z0-9._~+/=-]{8,}/g, "Bearer [redacted]").slice(0, 300);
+}
+
+/** Which of `names` are set — never their values. */
+function envPresence(names) {
+  return Object.fromEntries(names.map((name) => [name, !!process.env[name]]));
+}
+
+/**
+ * Times `check` and shapes its outcome. `check` returns extra detail on
+ * success and throws on failure.
+ */
+async function probe(name, { configured, env }, check) {
+  const base = { name, configured, env: envPresence(env) };
+  if (!configured) return { ...base, ok: false, skipped: true, error: "Not configured" };
+
+  const startedAt = Date.now();
+  try {
+    const detail = await withTimeout(check(), PROBE_TIMEOUT_MS, `${name} probe`);
+    return { ...base, ok: true, latencyMs: Date.now() - startedAt, ...detail };
+  } catch (err) {
+    return {
+      ...base,
+      ok: false,
+      latencyMs: Date.now() - startedAt,
+      status: err.status ?? null,
+      error: redact(err.message),
+    };
+  }
+}
+
+async function expectOk(response, label) {
+  if (response.ok) return response;
+  const text = await response.text().catch(() => "");
+  const err = new Error(`${label} (${response.status}): ${text.slice(0, 200)}`);
+  err.status = response.status;
+  throw err;
+}
+
+/** ---------------------------
+ *  Probes
+ *  --------------------------- */
+function probeFatSecret() {
+  const mode = getAuthMode();
+  const configured = mode === "oauth2"
+    ? !!((process.env.FATSECRET_CLIENT_ID || process.env.FATSECRET_CONSUMER_KEY) && process.env.FATSECRET_CLIENT_SECRET)
+    : !!(process.env.FATSECRET_CONSUMER_KEY && process.env.FATSECRET_CONSUMER_SECRET);
+
+  return probe("fatsecret", {
+    configured,
+    env: ["FATSECRET_CLIENT_ID", "FATSECRET_CLIENT_SECRET", "FATSECRET_CONSUMER_KEY", "FATSECRET_CONSUMER_SECRET"],
+  }, async () => {
+    const data = await callFatSecret("foods.search", { search_expression: "apple", max_results: 1 });
+    if (data?.error) {
+      throw new Error(`FatSecret error ${data.error.code}: ${data.error.message}`);
+    }
+    return { authMode: mode, token: mode === "oauth2" ? getFatSecretTokenState() : null };
+  });
+}
+
+function probeKroger() {
+  return probe("kroger", {
+    configured: !!(process.env.KROGER_CLIENT_ID && process.env.KROGER_CLIENT_SECRET),
+    env: ["KROGER_CLIENT_ID", "KROGER_CLIENT_SECRET", "KROGER_REDIRECT_URI"],
+  }, async () => {
+    const data = await krogerFetch("/locations", { "filter.zipCode.near": "45202", "filter.limit": 1 });
+    const { hasToken, expiresAt } = getKrogerTokenState();
+    return {
+      locationsFound: (data.data || []).length,
+      token: {
+        hasToken,
+        expiresInSeconds: expiresAt ? Math.round((expiresAt - Date.now()) / 1000) : null,
+      },
+    };
+  });
+}
+
+function probeStripe() {
+  return probe("stripe", {
+    configured: !!process.env.STRIPE_SECRET_KEY,
+    env: ["STRIPE_SECRET_KEY", "STRIPE_WEBHOOK_SECRET", "STRIPE_PRICE_MONTHLY", "STRIPE_PRICE_ANNUAL"],
+  }, async () => {
+    const response = await expectOk(await fetch("https://api.stripe.com/v1/balance", {
+      headers: { Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}` },
+    }), "Stripe balance");
+    const data = await response.json();
+    return { livemode: !!data.livemode };
+  });
+}
+
+function probeSupabase() {
+  return probe("supabase", {
+    configured: isSupabaseConfigured(),
+    env: ["SUPABASE_URL", "SUPABASE_SERVICE_ROLE_KEY", "SUPABASE_ANON_KEY"],
+  }, async () => {
+    const base = process.env.SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    await expectOk(await fetch(`${base}/auth/v1/health`, {
+      headers: { apikey: process.env.SUPABASE_ANON_KEY || serviceKey },
+    }), "Supabase auth health");
+
+    // HEAD: checks the service role key without downloading the schema
+    await expectOk(await fetch(`${base}/rest/v1/`, {
+      method: "HEAD",
+      headers: { apikey: serviceKey, Authorization: `Bearer ${serviceKey}` },
+    }), "Supabase REST");
+
+    return { auth: true, rest: true };
+  });
+}
+
+function probeAnthropic() {
+  return probe("anthropic", {
+    configured: !!process.env.ANTHROPIC_API_KEY,
+    env: ["ANTHROPIC_API_KEY"],
+  }, async () => {
+    const response = await expectOk(await fetch("https://api.anthropic.com/v1/models?limit=1", {
+      headers: {
+        "x-api-key": process.env.ANTHROPIC_API_KEY,
+        "anthropic-version": ANTHROPIC_VERSION,
+      },
+    }), "Anthropic models");
+    const data = await response.json();
+    return { modelsListed: (data.data || []).length };
+  });
+}
+
+const PROBES = {
+  fatsecret: probeFatSecret,
+  kroger: probeKroger,
+  stripe: probeStripe,
+  supabase: probeSupabase,
+  anthropic: probeAnthropic,
+};
+
+/** ---------------------------
+ *  Runtime state
+ *  --------------------------- */
+function describeRuntimeState() {
+  const circuit = getCircuitState();
+  return {
+    caches: describeCaches(),
+    krogerCircuit: { ...circuit, lastError: circuit.lastError && redact(circuit.lastError) },
+    rateLimiter: describeRateLimiters(),
+    process: {
+      uptimeSeconds: Math.round(process.uptime()),
+      memoryMb: Math.round(process.memoryUsage().rss / 1024 / 1024),
+      node: process.version,
+      region: process.env.VERCEL_REGION || null,
+    },
+  };
+}
+
+/**
+ * @param {string[]} [only]  subset of PROBES to run, default all
+ */
+async function runDiagnostics(only = Object.keys(PROBES)) {
+  const names = only.filter((name) => PROBES[name]);
+  const results = await Promise.all(names.map((name) => PROBES[name]()));
+  const upstreams = Object.fromEntries(results.map((r) => [r.name, r]));
+  const failing = results.filter((r) => r.configured && !r.ok).map((r) => r.name);
+
+  return {
+    timestamp: new Date().toISOString(),
+    status: failing.length === 0 ? "ok" : "degraded",
+    failing,
+    upstreams,
+    ...describeRuntimeState(),
+  };
+}
+
+module.exports = {
+  PROBES,
+  redact,
+  runDiagnostics,
+  describeRuntimeState,
+};
@@ -0,0 +1,110 @@
+/**
+ * Family profiles + safety verdicts (shared)
+ *
+ * `family_profiles` rows carry free-text `allergies` and `sensitivities`
+ * ("peanuts, dairy"). checkFamilyConflicts() checks one product or recipe
+ * against every member; familySafety() condenses that into the verdict
+ * the API returns.
+ */
+
+const { supabaseRest } = require("./supabase");
+const { getBearerToken, verifyUser } = require("./auth");
+const { checkAllergenMap } = require("./allergens");
+
+function splitTerms(value) {
+  return (value || "").toLowerCase().split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+/** Family profiles for a user, oldest first */
+async function getFamilyProfiles(userId) {
+  const rows = await supabaseRest(
+    `family_profiles?user_id=eq.${encodeURIComponent(userId)}&select=*&order=created_at.asc`
+  );
+  return rows || [];
+}
+
+/**
+ * Family profiles of the caller, for endpoints where sign-in is optional:
+ *   { profiles: null }              anonymous request
+ *   { user, profiles }              signed in
+ *   { error, status: 401 }          bearer token present but invalid
+ */
+async function getCallerFamilyProfiles(req) {
+  if (!getBearerToken(req)) return { profiles: null };
+
+  const user = await verifyUser(req);
+  if (!user) return { error: "Invalid token", status: 401 };
+
+  return { user, profiles: await getFamilyProfiles(user.id) };
+}
+
+/**
+ * Alerts for every family member against one product. Two sources:
+ *   • product.allergens — structured map from the barcode pipeline
+ *     (lib/allergens.js maps "dairy", "tree nuts", … onto its keys)
+ *   • product.ingredients — substring match for everything else
+ * A barcode scan with no ingredient text also warns about allergies the
+ * allergen data cannot rule out.
+ */
+function checkFamilyConflicts(product, profiles) {
+  const alerts = [];
+  const ingredients = (product.ingredients || "").toLowerCase();
+  const flagUnknown = !ingredients && !!product.allergens;
+  for (const member of profiles) {
+    const sensitivities = splitTerms(member.sensitivities);
+    const allergies = splitTerms(member.allergies);
+
+    for (const allergy of allergies) {
+      if (ingredients.includes(allergy)) {
+        alerts.push({
+          member: member.name,
+          type: "allergy",
+          severity: "critical",
+          trigger: allergy,
+          message: `ALLERGY ALERT: ${member.name} is allergic to ${allergy}`
+        });
+      }
+    }
+    for (const sens of sensitivities) {
+      if (ingredients.includes(sens)) {
+        alerts.push({
+          member: member.name,
+          type: "sensitivity",
+          severity: "warning",
+          trigger: sens,
+          message: `SENSITIVITY: ${member.name} is sensitive to ${sens}`
+        });
+      }
+    }
+
+    // Allergen data: only terms the ingredient text did not already flag
+    const flagged = new Set(alerts.filter((a) => a.member === member.name).map((a) => a.trigger));
+    alerts.push(
+      ...checkAllergenMap(product.allergens, member, allergies.filter((a) => !flagged.has(a)), "allergy", { flagUnknown }),
+      ...checkAllergenMap(product.allergens, member, sensitivities.filter((s) => !flagged.has(s)), "sensitivity")
+    );
+  }
+  return alerts;
+}
+
+/**
+ * @returns {{ verdict: "safe" | "caution" | "unsafe", safe: boolean, alerts, checkedMembers }}
+ *   unsafe = at least one critical (allergy) alert, caution = warnings only
+ */
+function familySafety(product, profiles) {
+  const alerts = checkFamilyConflicts(product, profiles);
+  const safe = !alerts.some((a) => a.severity === "critical");
+  return {
+    verdict: !safe ? "unsafe" : alerts.length > 0 ? "caution" : "safe",
+    safe,
+    alerts,
+    checkedMembers: profiles.length,
+  };
+}
+
+module.exports = {
+  getFamilyProfiles,
+  getCallerFamilyProfiles,
+  checkFamilyConflicts,
+  familySafety,
+};
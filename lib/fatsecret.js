@@ -0,0 +1,262 @@
+/**
+ * FatSecret Platform API client (shared)
+ *
+ * Calls the FatSecret REST "server.api" endpoint in one of two modes:
+ *
+ *   oauth2  Bearer token from the client-credentials grant. Required for
+ *           the premier scopes (barcode, localization, allergens …).
+ *           Tokens are cached per warm instance and refreshed 60s before
+ *           expiry, or immediately when FatSecret reports them invalid.
+ *   oauth1  HMAC-SHA1 signed requests with the consumer key/secret.
+ *
+ * Mode: FATSECRET_AUTH_MODE ("oauth2" | "oauth1"). When unset, oauth2 is
+ * used if FATSECRET_CLIENT_SECRET is present, otherwise oauth1.
+ *
+ * Used by /api/barcode and /api/foods so the auth logic lives in exactly
+ * one place.
+ *
+ * Environment Variables:
+ *   FATSECRET_CONSUMER_KEY       (oauth1; also the default client id)
+ *   FATSECRET_CONSUMER_SECRET    (oauth1)
+ *   FATSECRET_CLIENT_ID          (oauth2, defaults to FATSECRET_CONSUMER_KEY)
+ *   FATSECRET_CLIENT_SECRET      (oauth2)
+ *   FATSECRET_OAUTH2_SCOPES      (oauth2, space-separated, default DEFAULT_SCOPES:
+ *                                the ones this proxy calls — narrow it if the
+ *                                account lacks one, or token requests fail)
+ *   FATSECRET_AUTH_MODE          (optional, see above)
+ *   FATSECRET_API_URL            (optional, e.g. a local fixture server in tests)
+ *   FATSECRET_TOKEN_URL          (optional, e.g. a stubbed token endpoint)
+ */
+
+const crypto = require("crypto");
+
+const API_URL = process.env.FATSECRET_API_URL || "https://platform.fatsecret.com/rest/server.api";
+const TOKEN_URL = process.env.FATSECRET_TOKEN_URL || "https://oauth.fatsecret.com/connect/token";
+
+// FatSecret error code for an invalid or expired access token
+const INVALID_TOKEN_ERROR_CODE = 13;
+
+// foods.search / recipes (basic), food.get.v4 attributes and allergens
+// (premier), food.find_id_for_barcode (barcode), region/language (localization)
+const DEFAULT_SCOPES = "basic premier barcode localization";
+
+// Token cache (in-memory, survives across warm invocations)
+let cachedToken = null;
+let tokenExpiresAt = 0;
+let pendingToken = null;
+
+function oauthEncode(str) {
+  return encodeURIComponent(String(str)).replace(
+    /[!*'()]/g,
+    (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase()
+  );
+}
+
+function buildParameterString(params) {
+  const encoded = Object.entries(params)
+    .map(([k, v]) => [oauthEncode(k), oauthEncode(v)])
+    .sort((a, b) => {
+      if (a[0] === b[0]) return a[1].localeCompare(b[1]);
+      return a[0].localeCompare(b[0]);
+    });
+
+  return encoded.map(([k, v]) => `${k}=${v}`).join("&");
+}
+
+function buildSignature(httpMethod, url, paramString, secret) {
+  const baseString = `${httpMethod.toUpperCase()}&${oauthEncode(url)}&${oauthEncode(paramString)}`;
+  const signingKey = `${oauthEncode(secret)}&`;
+
+  return crypto.createHmac("sha1", signingKey).update(baseString).digest("base64");
+}
+
+function getAuthMode() {
+  const configured = (process.env.FATSECRET_AUTH_MODE || "").toLowerCase();
+  if (configured === "oauth1" || configured === "oauth2") return configured;
+  return process.env.FATSECRET_CLIENT_SECRET ? "oauth2" : "oauth1";
+}
+
+function getScopes() {
+  return (process.env.FATSECRET_OAUTH2_SCOPES || DEFAULT_SCOPES).trim().split(/[\s,]+/).join(" ");
+}
+
+/** Drop unset optional params so they are not sent (or signed) as "undefined". */
+function cleanParams(extraParams) {
+  const params = {};
+  for (const [k, v] of Object.entries(extraParams)) {
+    if (v !== undefined && v !== null && v !== "") params[k] = v;
+  }
+  return params;
+}
+
+/** ---------------------------
+ *  OAuth 2.0 (client credentials)
+ *  --------------------------- */
+async function requestFatSecretToken() {
+  const clientId = process.env.FATSECRET_CLIENT_ID || process.env.FATSECRET_CONSUMER_KEY;
+  const clientSecret = process.env.FATSECRET_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    throw new Error("Missing FATSECRET_CLIENT_ID or FATSECRET_CLIENT_SECRET in Vercel Environment Variables");
+  }
+
+  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString("base64");
+  const now = Date.now();
+
+  const response = await fetch(TOKEN_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Authorization: `Basic ${credentials}`,
+    },
+    body: `grant_type=client_credentials&scope=${encodeURIComponent(getScopes())}`,
+  });
+
+  const responseText = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`FatSecret auth failed (${response.status}): ${responseText.slice(0, 300)}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch {
+    throw new Error(`FatSecret auth returned non-JSON: ${responseText.slice(0, 300)}`);
+  }
+
+  if (!data.access_token) {
+    throw new Error("FatSecret auth response missing access_token");
+  }
+
+  cachedToken = data.access_token;
+  tokenExpiresAt = now + (data.expires_in || 86400) * 1000;
+
+  console.log(`FatSecret token refreshed, expires in ${data.expires_in}s`);
+  return cachedToken;
+}
+
+async function getFatSecretToken() {
+  // Return cached token if still valid (with 60s buffer)
+  if (cachedToken && Date.now() < tokenExpiresAt - 60000) {
+    return cachedToken;
+  }
+
+  // Concurrent cold requests share one token request
+  if (!pendingToken) {
+    pendingToken = requestFatSecretToken().finally(() => {
+      pendingToken = null;
+    });
+  }
+  return pendingToken;
+}
+
+function resetFatSecretToken() {
+  cachedToken = null;
+  tokenExpiresAt = 0;
+}
+
+function getTokenState() {
+  return {
+    hasToken: !!cachedToken,
+    expiresInSeconds: tokenExpiresAt ? Math.round((tokenExpiresAt - Date.now()) / 1000) : null,
+  };
+}
+
+async function callWithBearer(methodName, params) {
+  const token = await getFatSecretToken();
+
+  const query = new URLSearchParams({
+    method: methodName,
+    format: "json",
+    ...params,
+  });
+
+  const response = await fetch(`${API_URL}?${query}`, {
+    headers: {
+      Accept: "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  });
+  const text = await response.text();
+
+  if (response.status === 401) {
+    return { error: { code: INVALID_TOKEN_ERROR_CODE, message: "Invalid or expired token" } };
+  }
+
+  return JSON.parse(text);
+}
+
+/** ---------------------------
+ *  OAuth 1.0 (HMAC-SHA1)
+ *  --------------------------- */
+async function callWithSignature(methodName, params) {
+
+  const KEY = process.env.FATSECRET_CONSUMER_KEY;
+  const SECRET = process.env.FATSECRET_CONSUMER_SECRET;
+
+  const oauthParams = {
+    oauth_consumer_key: KEY,
+    oauth_nonce: crypto.randomBytes(16).toString("hex"),
+    oauth_signature_method: "HMAC-SHA1",
+    oauth_timestamp: Math.floor(Date.now() / 1000).toString(),
+    oauth_version: "1.0",
+  };
+
+  const allParams = {
+    method: methodName,
+    format: "json",
+    ...params,
+    ...oauthParams,
+  };
+
+  const paramString = buildParameterString(allParams);
+  const signature = buildSignature("GET", API_URL, paramString, SECRET);
+
+  const finalUrl = `${API_URL}?${paramString}&oauth_signature=${oauthEncode(signature)}`;
+
+  const response = await fetch(finalUrl);
+  const text = await response.text();
+
+  return JSON.parse(text);
+}
+
+async function callFatSecret(methodName, extraParams = {}) {
+  const params = cleanParams(extraParams);
+
+  if (getAuthMode() === "oauth1") {
+    return callWithSignature(methodName, params);
+  }
+
+  const data = await callWithBearer(methodName, params);
+
+  // Token revoked or expired early: refresh once and retry
+  if (data?.error && Number(data.error.code) === INVALID_TOKEN_ERROR_CODE) {
+    resetFatSecretToken();
+    return callWithBearer(methodName, params);
+  }
+
+  return data;
+}
+
+/** FatSecret collapses single-element lists into a bare object. */
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return value ? [value] : [];
+}
+
+module.exports = {
+  API_URL,
+  TOKEN_URL,
+  DEFAULT_SCOPES,
+  getAuthMode,
+  getScopes,
+  getFatSecretToken,
+  resetFatSecretToken,
+  getTokenState,
+  callFatSecret,
+  toArray,
+  oauthEncode,
+  buildParameterString,
+  buildSignature,
+};
@@ -0,0 +1,162 @@
+/**
+ * GTIN / UPC barcode parsing (shared)
+ *
+ * Scanners hand us whatever they decoded: UPC-E short codes, UPC-A with or
+ * without its check digit, EAN-13 with a leading zero, EAN-8, GTIN-14.
+ * FatSecret only matches the GTIN-13 form, so parseBarcode() validates the
+ * input, expands UPC-E to UPC-A and returns the equivalent variants to try
+ * in order (GTIN-13 first).
+ *
+ *   parseBarcode("04963406")
+ *   → { input, format: "UPC-E", gtin13: "0049000006346", gtin14: "00049000006346",
+ *       variants: ["0049000006346", "049000006346", "00049000006346"] }
+ *
+ *   parseBarcode("12345")
+ *   → { error: "Invalid barcode", reason: "Expected 6-8, 11-14 digits, got 5" }
+ */
+
+/** GS1 mod-10 check digit for the given digits (without check digit). */
+function computeCheckDigit(body) {
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    // Weights alternate 3,1,3,… starting from the rightmost body digit
+    const digit = body.charCodeAt(body.length - 1 - i) - 48;
+    sum += i % 2 === 0 ? digit * 3 : digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+function hasValidCheckDigit(code) {
+  return computeCheckDigit(code.slice(0, -1)) === code.slice(-1);
+}
+
+/**
+ * Expand a UPC-E number system + 6-digit body to the 11-digit UPC-A body
+ * (no check digit).
+ */
+function expandUpcE(numberSystem, body) {
+  const [d1, d2, d3, d4, d5, d6] = body.split("");
+  let manufacturer;
+  let product;
+
+  if (d6 === "0" || d6 === "1" || d6 === "2") {
+    manufacturer = `${d1}${d2}${d6}00`;
+    product = `00${d3}${d4}${d5}`;
+  } else if (d6 === "3") {
+    manufacturer = `${d1}${d2}${d3}00`;
+    product = `000${d4}${d5}`;
+  } else if (d6 === "4") {
+    manufacturer = `${d1}${d2}${d3}${d4}0`;
+    product = `0000${d5}`;
+  } else {
+    manufacturer = `${d1}${d2}${d3}${d4}${d5}`;
+    product = `0000${d6}`;
+  }
+
+  return `${numberSystem}${manufacturer}${product}`;
+}
+
+function invalid(input, reason) {
+  return { error: "Invalid barcode", input, reason };
+}
+
+function withVariants(input, format, gtin14) {
+  // A non-zero packaging indicator has no GTIN-13 equivalent
+  const gtin13 = gtin14.startsWith("0") ? gtin14.slice(1) : null;
+  const variants = [];
+
+  if (gtin13) {
+    variants.push(gtin13);
+    // UPC-A (12 digits) for US products
+    if (gtin13.startsWith("0")) variants.push(gtin13.slice(1));
+    // EAN-8 stays short when that is what was printed
+    if (gtin14.startsWith("000000")) variants.push(gtin14.slice(6));
+  }
+  variants.push(gtin14);
+
+  return {
+    input,
+    format,
+    gtin13,
+    gtin14,
+    variants: [...new Set(variants)],
+  };
+}
+
+/**
+ * Validate and normalize a scanned barcode.
+ * @param {string} raw
+ * @returns {{ input, format, gtin13, gtin14, variants } | { error, input, reason }}
+ */
+function parseBarcode(raw) {
+  const input = String(raw ?? "").trim();
+  const digits = input.replace(/[\s-]/g, "");
+
+  if (!digits) return invalid(input, "Barcode is empty");
+  if (!/^\d+$/.test(digits)) {
+    return invalid(input, "Barcode may only contain digits (spaces and dashes are ignored)");
+  }
+
+  switch (digits.length) {
+    case 6:
+      // UPC-E body printed without number system or check digit
+      return fromUpcE(input, "0", digits, null);
+
+    case 7:
+      // UPC-E number system + body, check digit missing
+      if (digits[0] !== "0" && digits[0] !== "1") {
+        return invalid(input, "7-digit UPC-E codes must start with 0 or 1");
+      }
+      return fromUpcE(input, digits[0], digits.slice(1), null);
+
+    case 8: {
+      // Ambiguous: UPC-E (number system 0/1) or EAN-8
+      const upcE = digits[0] === "0" || digits[0] === "1"
+        ? fromUpcE(input, digits[0], digits.slice(1, 7), digits[7])
+        : null;
+      const ean8Valid = hasValidCheckDigit(digits);
+
+      if (upcE && !upcE.error) {
+        return ean8Valid ? { ...upcE, variants: [...upcE.variants, digits.padStart(13, "0"), digits] } : upcE;
+      }
+      if (ean8Valid) return withVariants(input, "EAN-8", digits.padStart(14, "0"));
+      return invalid(input, `Check digit ${digits[7]} does not match UPC-E or EAN-8`);
+    }
+
+    case 11:
+      // UPC-A without its check digit
+      return withVariants(input, "UPC-A", `00${digits}${computeCheckDigit(digits)}`);
+
+    case 12:
+    case 13:
+    case 14: {
+      if (!hasValidCheckDigit(digits)) {
+        const expected = computeCheckDigit(digits.slice(0, -1));
+        return invalid(input, `Check digit should be ${expected}, got ${digits.slice(-1)}`);
+      }
+      const format = { 12: "UPC-A", 13: "EAN-13", 14: "GTIN-14" }[digits.length];
+      return withVariants(input, format, digits.padStart(14, "0"));
+    }
+
+    default:
+      return invalid(input, `Expected 6-8, 11-14 digits, got ${digits.length}`);
+  }
+}
+
+function fromUpcE(input, numberSystem, body, checkDigit) {
+  const upcABody = expandUpcE(numberSystem, body);
+  const expected = computeCheckDigit(upcABody);
+
+  if (checkDigit !== null && checkDigit !== expected) {
+    return invalid(input, `UPC-E check digit should be ${expected}, got ${checkDigit}`);
+  }
+
+  return withVariants(input, "UPC-E", `00${upcABody}${expected}`);
+}
+
+module.exports = {
+  computeCheckDigit,
+  hasValidCheckDigit,
+  expandUpcE,
+  parseBarcode,
+};
@@ -0,0 +1,211 @@
+/**
+ * Product health score (shared)
+ *
+ * Computed server-side in the barcode pipeline (lib/barcode-lookup.js) so
+ * every client shows the same number. Bump HEALTH_SCORE_VERSION on any
+ * change to the algorithm below; cached products scored with an older
+ * version are re-scored on read.
+ *
+ * Algorithm (version 1)
+ *
+ *   1. Nutri-Score (2017 food / beverage tables), from per-100 g values —
+ *      per-100 ml for drinks, i.e. products with only per100ml:
+ *
+ *      Negative points, 0-10 each:
+ *        energy (kJ), sugars (g), saturated fat (g), sodium (mg)
+ *      Positive points:
+ *        fruit/veg/nuts %  0-5 (drinks 0-10)
+ *        fiber (g)         0-5
+ *        protein (g)       0-5 — not counted when negative points ≥ 11
+ *                          unless fruit/veg scores the maximum
+ *
+ *      raw = negative − positive; lower is healthier.
+ *      Grade A-E from raw using the official cut-offs.
+ *
+ *   2. raw is mapped linearly onto 0-100 (100 = healthiest) across the
+ *      possible range: foods −15…40, drinks −20…40.
+ *
+ *   3. Adjustments on the 0-100 scale:
+ *        organic label            +5
+ *        additives (E-numbers)    −2 each, at most −10
+ *
+ *   4. Clamped to 0-100 and rounded.
+ *
+ * Breakdown: every factor reports its `impact` on the 0-100 score, so
+ *   score ≈ baseline (raw 0) + Σ factor impacts + Σ adjustments
+ * before clamping.
+ *
+ * Nutrients a product does not declare count as 0 points and are listed
+ * in `missing`; no score is produced without per-100 nutrition at all.
+ */
+
+const HEALTH_SCORE_VERSION = 1;
+
+const ORGANIC_BONUS = 5;
+const ADDITIVE_PENALTY = 2;
+const MAX_ADDITIVE_PENALTY = 10;
+
+// Points = number of thresholds the value exceeds
+const THRESHOLDS = {
+  food: {
+    energyKj: [335, 670, 1005, 1340, 1675, 2010, 2345, 2680, 3015, 3350],
+    sugar: [4.5, 9, 13.5, 18, 22.5, 27, 31, 36, 40, 45],
+  },
+  beverage: {
+    energyKj: [0, 30, 60, 90, 120, 150, 180, 210, 240, 270],
+    sugar: [0, 1.5, 3, 4.5, 6, 7.5, 9, 10.5, 12, 13.5],
+  },
+  saturatedFat: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10],
+  sodiumMg: [90, 180, 270, 360, 450, 540, 630, 720, 810, 900],
+  fiber: [0.9, 1.9, 2.8, 3.7, 4.7],
+  protein: [1.6, 3.2, 4.8, 6.4, 8.0],
+};
+
+// Fruit/veg/nuts % → points: [minimum %, points], first match wins
+const FRUIT_VEG_POINTS = {
+  food: [[80, 5], [60, 2], [40, 1]],
+  beverage: [[80, 10], [60, 4], [40, 2]],
+};
+
+const RAW_RANGE = {
+  food: { min: -15, max: 40 },
+  beverage: { min: -20, max: 40 },
+};
+
+function countExceeded(value, thresholds) {
+  return thresholds.filter((t) => value > t).length;
+}
+
+function fruitVegPoints(percent, category) {
+  const match = FRUIT_VEG_POINTS[category].find(([min]) => percent > min);
+  return match ? match[1] : 0;
+}
+
+function gradeFor(raw, category) {
+  // Nutri-Score reserves A for plain water, which the data can't tell apart
+  if (category === "beverage") {
+    if (raw <= 1) return "B";
+    if (raw <= 5) return "C";
+    if (raw <= 9) return "D";
+    return "E";
+  }
+  if (raw <= -1) return "A";
+  if (raw <= 2) return "B";
+  if (raw <= 10) return "C";
+  if (raw <= 18) return "D";
+  return "E";
+}
+
+function round(value, digits = 1) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/**
+ * @param {object} product  Normalized product (lib/nutrition.js)
+ * @returns {null | {
+ *   version, score, grade, category, baseline,
+ *   nutriScore: { raw, negativePoints, positivePoints, proteinCounted },
+ *   factors: [{ factor, direction, value, unit, points, maxPoints, impact }],
+ *   adjustments: [{ factor, impact, detail }],
+ *   missing: string[],
+ * }}
+ *   impact = change to the 0-100 score caused by that factor
+ */
+function computeHealthScore(product) {
+  if (!product) return null;
+
+  const category = !product.per100g && product.per100ml ? "beverage" : "food";
+  const per100 = category === "beverage" ? product.per100ml : product.per100g;
+  if (!per100) return null;
+
+  const range = RAW_RANGE[category];
+  const pointValue = 100 / (range.max - range.min);
+  const unitSuffix = category === "beverage" ? "/100ml" : "/100g";
+  const missing = [];
+
+  function read(name, value) {
+    if (value === null || value === undefined) {
+      missing.push(name);
+      return 0;
+    }
+    return value;
+  }
+
+  const energyKj = per100.calories === null ? read("energy", null) : per100.calories * 4.184;
+  const sugar = read("sugar", per100.macros.sugar);
+  const saturatedFat = read("saturatedFat", per100.macros.saturatedFat);
+  const sodiumMg = read("sodium", per100.micros.sodiumMg);
+  const fiber = read("fiber", per100.macros.fiber);
+  const protein = read("protein", per100.macros.protein);
+  const fruitVeg = read("fruitVeg", product.fruitVegPercent);
+
+  const negatives = [
+    { factor: "energy", value: round(energyKj), unit: `kJ${unitSuffix}`, points: countExceeded(energyKj, THRESHOLDS[category].energyKj), maxPoints: 10 },
+    { factor: "sugar", value: sugar, unit: `g${unitSuffix}`, points: countExceeded(sugar, THRESHOLDS[category].sugar), maxPoints: 10 },
+    { factor: "saturatedFat", value: saturatedFat, unit: `g${unitSuffix}`, points: countExceeded(saturatedFat, THRESHOLDS.saturatedFat), maxPoints: 10 },
+    { factor: "sodium", value: sodiumMg, unit: `mg${unitSuffix}`, points: countExceeded(sodiumMg, THRESHOLDS.sodiumMg), maxPoints: 10 },
+  ];
+  const negativePoints = negatives.reduce((sum, f) => sum + f.points, 0);
+
+  const fruitVegMax = FRUIT_VEG_POINTS[category][0][1];
+  const fruitVegScore = fruitVegPoints(fruitVeg, category);
+  const proteinCounted = negativePoints < 11 || fruitVegScore === fruitVegMax;
+
+  const positives = [
+    { factor: "fruitVeg", value: fruitVeg, unit: "%", points: fruitVegScore, maxPoints: fruitVegMax },
+    { factor: "fiber", value: fiber, unit: `g${unitSuffix}`, points: countExceeded(fiber, THRESHOLDS.fiber), maxPoints: 5 },
+    { factor: "protein", value: protein, unit: `g${unitSuffix}`, points: proteinCounted ? countExceeded(protein, THRESHOLDS.protein) : 0, maxPoints: 5 },
+  ];
+  const positivePoints = positives.reduce((sum, f) => sum + f.points, 0);
+
+  const raw = negativePoints - positivePoints;
+  const base = ((range.max - raw) / (range.max - range.min)) * 100;
+
+  // Undeclared nutrients are scored as 0 but reported as null
+  const factors = [
+    ...negatives.map((f) => ({ ...f, direction: "negative", impact: round(-f.points * pointValue) })),
+    ...positives.map((f) => ({ ...f, direction: "positive", impact: round(f.points * pointValue) })),
+  ].map((f) => (missing.includes(f.factor) ? { ...f, value: null } : f));
+
+  const adjustments = [];
+  if (product.isOrganic) {
+    adjustments.push({ factor: "organic", impact: ORGANIC_BONUS, detail: "Organic label" });
+  }
+  const additives = product.additives || [];
+  if (additives.length > 0) {
+    adjustments.push({
+      factor: "additives",
+      impact: -Math.min(MAX_ADDITIVE_PENALTY, additives.length * ADDITIVE_PENALTY),
+      detail: additives.join(", "),
+    });
+  }
+  if (product.additives === null || product.additives === undefined) missing.push("additives");
+
+  const adjusted = base + adjustments.reduce((sum, a) => sum + a.impact, 0);
+
+  return {
+    version: HEALTH_SCORE_VERSION,
+    score: Math.round(Math.min(100, Math.max(0, adjusted))),
+    grade: gradeFor(raw, category),
+    category,
+    baseline: round((range.max / (range.max - range.min)) * 100),
+    nutriScore: { raw, negativePoints, positivePoints, proteinCounted },
+    factors,
+    adjustments,
+    missing,
+  };
+}
+
+/** The product with a current-version healthScore (re-scored after a version bump). */
+function withHealthScore(product) {
+  if (!product) return product;
+  if (product.healthScore && product.healthScore.version === HEALTH_SCORE_VERSION) return product;
+  return { ...product, healthScore: computeHealthScore(product) };
+}
+
+module.exports = {
+  HEALTH_SCORE_VERSION,
+  computeHealthScore,
+  withHealthScore,
+};
@@ -0,0 +1,44 @@
+/**
+ * Small fetch helpers (shared)
+ */
+
+class TimeoutError extends Error {
+  constructor(label, ms) {
+    super(`${label} timed out after ${ms}ms`);
+    this.name = "TimeoutError";
+    this.timeoutMs = ms;
+  }
+}
+
+/** fetch() that aborts after `timeoutMs`. */
+async function fetchWithTimeout(url, options = {}, timeoutMs = 5000) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (err) {
+    if (err.name === "AbortError") throw new TimeoutError(`${options.method || "GET"} ${new URL(url).host}`, timeoutMs);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Reject with TimeoutError if `promise` has not settled within `ms`.
+ * The underlying work keeps running; its result is simply ignored.
+ */
+function withTimeout(promise, ms, label = "Operation") {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new TimeoutError(label, ms)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  TimeoutError,
+  fetchWithTimeout,
+  withTimeout,
+};
@@ -0,0 +1,386 @@
+/**
+ * Kroger Public API transport (shared)
+ *
+ * Everything lib/kroger.js needs to talk to Kroger reliably:
+ *
+ *   • Client-credentials token, cached per warm instance; concurrent cold
+ *     requests share one token request
+ *   • Per-attempt timeout (KROGER_TIMEOUT_MS, default 8s)
+ *   • Retries with full-jitter exponential backoff for 429, 5xx,
+ *     timeouts and network errors, honoring Retry-After
+ *   • A 401 drops the cached token, fetches a new one and retries once
+ *   • A circuit breaker: after KROGER_BREAKER_THRESHOLD consecutive
+ *     upstream failures, calls fail fast for KROGER_BREAKER_COOLDOWN_MS,
+ *     then a single trial request decides whether to close it again
+ *
+ * Errors are typed so handlers can answer correctly:
+ *
+ *   KrogerUpstreamError  Kroger is down, slow or throttling us → 503
+ *   KrogerRequestError   Kroger rejected this request (4xx)   → 400 / 404
+ *
+ * Both extend KrogerError and carry `status` (Kroger's HTTP status, or
+ * null for timeouts / network errors / open circuit) and
+ * `retryAfterSeconds` when known.
+ *
+ * Environment Variables:
+ *   KROGER_CLIENT_ID / KROGER_CLIENT_SECRET
+ *   KROGER_API_URL      (optional, default https://api.kroger.com/v1 —
+ *                        e.g. a local stand-in in tests)
+ *   KROGER_OAUTH_URL    (optional, default {KROGER_API_URL}/connect/oauth2)
+ *   KROGER_TIMEOUT_MS           (optional, default 8000)
+ *   KROGER_MAX_RETRIES          (optional, default 2 — three attempts in all)
+ *   KROGER_BREAKER_THRESHOLD    (optional, default 5)
+ *   KROGER_BREAKER_COOLDOWN_MS  (optional, default 30000)
+ */
+
+const { fetchWithTimeout, TimeoutError } = require("./http");
+
+const KROGER_API_BASE = (process.env.KROGER_API_URL || "https://api.kroger.com/v1").replace(/\/+$/, "");
+const KROGER_OAUTH_BASE = (process.env.KROGER_OAUTH_URL || `${KROGER_API_BASE}/connect/oauth2`).replace(/\/+$/, "");
+const KROGER_AUTH_URL = `${KROGER_OAUTH_BASE}/token`;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+const TIMEOUT_MS = envInt("KROGER_TIMEOUT_MS", 8000);
+const MAX_RETRIES = envInt("KROGER_MAX_RETRIES", 2);
+const BREAKER_THRESHOLD = envInt("KROGER_BREAKER_THRESHOLD", 5);
+const BREAKER_COOLDOWN_MS = envInt("KROGER_BREAKER_COOLDOWN_MS", 30 * 1000);
+
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4000;
+// A longer Retry-After than this is not worth holding a request open for
+const MAX_RETRY_AFTER_MS = 5000;
+
+/** ---------------------------
+ *  Errors
+ *  --------------------------- */
+class KrogerError extends Error {
+  constructor(message, { status = null, retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = "KrogerError";
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/** Kroger is unavailable: 5xx, 429, timeout, network error or open circuit. */
+class KrogerUpstreamError extends KrogerError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "KrogerUpstreamError";
+  }
+}
+
+/** Kroger rejected the request itself; retrying will not help. */
+class KrogerRequestError extends KrogerError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "KrogerRequestError";
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/** Retry-After as seconds or an HTTP date → milliseconds, or null. */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function errorFromResponse(response, label) {
+  const text = await response.text().catch(() => "");
+  const retryAfterMs = parseRetryAfter(response.headers?.get?.("retry-after"));
+  const options = {
+    status: response.status,
+    retryAfterSeconds: retryAfterMs === null ? null : Math.ceil(retryAfterMs / 1000),
+  };
+  const message = `${label} (${response.status}): ${text.slice(0, 500)}`;
+
+  return isRetryableStatus(response.status)
+    ? new KrogerUpstreamError(message, options)
+    : new KrogerRequestError(message, options);
+}
+
+/** Timeouts and network failures become KrogerUpstreamError; typed errors pass through. */
+function toKrogerError(err, label) {
+  if (err instanceof KrogerError) return err;
+  const reason = err instanceof TimeoutError ? `timed out after ${err.timeoutMs}ms` : err.message;
+  return new KrogerUpstreamError(`${label}: ${reason}`);
+}
+
+/** ---------------------------
+ *  Circuit breaker
+ *  --------------------------- */
+const breaker = {
+  state: "closed", // closed → open → half-open → closed
+  consecutiveFailures: 0,
+  openedAt: 0,
+  trialInFlight: false,
+  lastError: null,
+};
+
+function beforeRequest() {
+  if (breaker.state === "open") {
+    const waitMs = breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      throw new KrogerUpstreamError("Kroger API temporarily unavailable (circuit open)", {
+        retryAfterSeconds: Math.ceil(waitMs / 1000),
+      });
+    }
+    breaker.state = "half-open";
+  }
+
+  if (breaker.state === "half-open") {
+    // One trial request at a time decides whether Kroger is back
+    if (breaker.trialInFlight) {
+      throw new KrogerUpstreamError("Kroger API temporarily unavailable (circuit half-open)", {
+        retryAfterSeconds: 1,
+      });
+    }
+    breaker.trialInFlight = true;
+  }
+}
+
+function recordSuccess() {
+  breaker.state = "closed";
+  breaker.consecutiveFailures = 0;
+  breaker.trialInFlight = false;
+}
+
+function recordFailure(err) {
+  breaker.trialInFlight = false;
+  breaker.lastError = err.message.slice(0, 200);
+
+  // A rejected request says nothing about Kroger's health
+  if (!(err instanceof KrogerUpstreamError)) {
+    if (breaker.state === "half-open") breaker.state = "closed";
+    return;
+  }
+
+  breaker.consecutiveFailures++;
+  if (breaker.state === "half-open" || breaker.consecutiveFailures >= BREAKER_THRESHOLD) {
+    if (breaker.state !== "open") console.warn(`Kroger circuit opened: ${breaker.lastError}`);
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+/** Breaker state, for diagnostics. */
+function getCircuitState() {
+  return {
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    lastError: breaker.lastError,
+    threshold: BREAKER_THRESHOLD,
+    cooldownMs: BREAKER_COOLDOWN_MS,
+  };
+}
+
+function resetCircuit() {
+  Object.assign(breaker, {
+    state: "closed",
+    consecutiveFailures: 0,
+    openedAt: 0,
+    trialInFlight: false,
+    lastError: null,
+  });
+}
+
+/** ---------------------------
+ *  Kroger OAuth2 Token
+ *  --------------------------- */
+
+// Token cache (in-memory, survives across warm invocations)
+let cachedToken = null;
+let tokenExpiresAt = 0;
+let pendingToken = null;
+
+async function requestKrogerToken() {
+  const clientId = process.env.KROGER_CLIENT_ID;
+  const clientSecret = process.env.KROGER_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    // Configuration, not an outage: neither retried nor counted by the breaker
+    throw new KrogerError("Missing KROGER_CLIENT_ID or KROGER_CLIENT_SECRET in Vercel Environment Variables");
+  }
+
+  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString("base64");
+  const now = Date.now();
+
+  let response;
+  try {
+    response = await fetchWithTimeout(KROGER_AUTH_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${credentials}`,
+      },
+      body: "grant_type=client_credentials&scope=product.compact",
+    }, TIMEOUT_MS);
+  } catch (err) {
+    throw toKrogerError(err, "Kroger auth failed");
+  }
+
+  if (!response.ok) {
+    throw await errorFromResponse(response, "Kroger auth failed");
+  }
+
+  const responseText = await response.text();
+
+  let data;
+  try {
+    data = JSON.parse(responseText);
+  } catch {
+    throw new KrogerUpstreamError(`Kroger auth returned non-JSON: ${responseText.slice(0, 300)}`);
+  }
+
+  if (!data.access_token) {
+    throw new KrogerUpstreamError("Kroger auth response missing access_token");
+  }
+
+  cachedToken = data.access_token;
+  tokenExpiresAt = now + (data.expires_in || 1800) * 1000;
+
+  console.log(`Kroger token refreshed, expires in ${data.expires_in}s`);
+  return cachedToken;
+}
+
+async function getKrogerToken() {
+  // Return cached token if still valid (with 60s buffer)
+  if (cachedToken && Date.now() < tokenExpiresAt - 60000) {
+    return cachedToken;
+  }
+
+  // Concurrent cold requests share one token request
+  if (!pendingToken) {
+    pendingToken = requestKrogerToken().finally(() => {
+      pendingToken = null;
+    });
+  }
+  return pendingToken;
+}
+
+/** Token cache state, for the health / debug actions — never the token itself. */
+function getTokenState() {
+  return { hasToken: !!cachedToken, expiresAt: tokenExpiresAt };
+}
+
+function resetKrogerToken() {
+  cachedToken = null;
+  tokenExpiresAt = 0;
+}
+
+/** ---------------------------
+ *  Kroger API Calls
+ *  --------------------------- */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/** Full jitter: anywhere up to the exponential ceiling. */
+function backoffMs(attempt) {
+  return Math.random() * Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+}
+
+async function attemptFetch(url) {
+  const token = await getKrogerToken();
+
+  const response = await fetchWithTimeout(url, {
+    method: "GET",
+    headers: {
+      Accept: "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+  }, TIMEOUT_MS);
+
+  if (response.status === 401) {
+    // Kroger revoked the token early: drop it so the retry fetches a new one
+    if (cachedToken === token) resetKrogerToken();
+  }
+
+  return response;
+}
+
+/**
+ * GET a Kroger API endpoint.
+ *
+ * @param {string} endpoint  e.g. "/products"
+ * @param {object} [params]  query string; empty values are dropped
+ * @returns {Promise<object>} parsed JSON
+ * @throws {KrogerUpstreamError|KrogerRequestError}
+ */
+async function krogerFetch(endpoint, params = {}) {
+  const queryString = Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== "")
+    .map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`)
+    .join("&");
+
+  const url = `${KROGER_API_BASE}${endpoint}${queryString ? "?" + queryString : ""}`;
+  const label = `Kroger API error ${endpoint}`;
+
+  beforeRequest();
+
+  let refreshedToken = false;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    let waitMs = null;
+
+    try {
+      const response = await attemptFetch(url);
+
+      if (response.ok) {
+        const data = await response.json();
+        recordSuccess();
+        return data;
+      }
+
+      if (response.status === 401 && !refreshedToken) {
+        // One free retry with a fresh token; does not count as an attempt
+        refreshedToken = true;
+        attempt--;
+        continue;
+      }
+
+      lastError = await errorFromResponse(response, label);
+      if (!(lastError instanceof KrogerUpstreamError)) break;
+
+      const retryAfterMs = parseRetryAfter(response.headers?.get?.("retry-after"));
+      if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) break;
+      waitMs = retryAfterMs;
+    } catch (err) {
+      lastError = toKrogerError(err, label);
+      if (!(lastError instanceof KrogerUpstreamError)) break;
+    }
+
+    if (attempt < MAX_RETRIES) {
+      await sleep(waitMs ?? backoffMs(attempt));
+    }
+  }
+
+  recordFailure(lastError);
+  throw lastError;
+}
+
+module.exports = {
+  KROGER_API_BASE,
+  KROGER_OAUTH_BASE,
+  KrogerError,
+  KrogerUpstreamError,
+  KrogerRequestError,
+  getKrogerToken,
+  getTokenState,
+  resetKrogerToken,
+  getCircuitState,
+  resetCircuit,
+  krogerFetch,
+};
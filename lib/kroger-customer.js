@@ -0,0 +1,506 @@
+/**
+ * Kroger customer OAuth + cart (shared)
+ *
+ * Authorization-code flow for a signed-in user's own Kroger account,
+ * scopes `cart.basic:write profile.compact`:
+ *
+ *   1. createStartTicket(userId) → a one-time ticket the signed-in app
+ *      (on another site, with a bearer token) turns into a URL for the
+ *      browser to open top-level. redeemStartTicket(ticket) consumes it
+ *      there, on this API's own site.
+ *   2. buildAuthorizeUrl(userId)  → Kroger login / consent page. `state`
+ *      is an HMAC-signed { userId, expiry, nonce }; the nonce is stored
+ *      in kroger_oauth_states and handed back for the caller to set as
+ *      a first-party httpOnly cookie, tying the flow to the browser that
+ *      redeemed the ticket
+ *   3. completeConnection(code, state, cookieNonce) → checks the state
+ *      against that cookie, consumes the nonce (each state works once),
+ *      exchanges the code, reads the Kroger profile id and stores the
+ *      tokens per user in Supabase
+ *   4. getCustomerAccessToken(userId) → refreshes shortly before expiry
+ *      (Kroger rotates refresh tokens; one refresh per user in flight).
+ *      When Kroger answers invalid_grant the row is re-read: another
+ *      instance may have rotated the token first, and its newer token is
+ *      used instead. Only a refresh token that is still current and
+ *      rejected as invalid_grant drops the connection.
+ *   5. addToCart(userId, items) → PUT /cart/add
+ *
+ * Functions return { error, status } instead of throwing for expected
+ * failures (not connected, consent revoked, bad state) so handlers can
+ * pass them straight through.
+ *
+ * Supabase table (service role only — RLS on, no policies):
+ *
+ *   create table kroger_customer_tokens (
+ *     user_id       uuid primary key references auth.users (id) on delete cascade,
+ *     access_token  text not null,
+ *     refresh_token text not null,
+ *     expires_at    timestamptz not null,
+ *     scope         text,
+ *     profile_id    text,
+ *     connected_at  timestamptz not null default now(),
+ *     updated_at    timestamptz not null default now()
+ *   );
+ *   alter table kroger_customer_tokens enable row level security;
+ *
+ *   create table kroger_oauth_states (   -- start tickets and state nonces
+ *     nonce       text primary key,
+ *     user_id     uuid not null references auth.users (id) on delete cascade,
+ *     expires_at  timestamptz not null,
+ *     created_at  timestamptz not null default now()
+ *   );
+ *   alter table kroger_oauth_states enable row level security;
+ *
+ * Environment Variables:
+ *   KROGER_CLIENT_ID / KROGER_CLIENT_SECRET
+ *   KROGER_REDIRECT_URI          e.g. https://…/api/kroger/account?action=callback
+ *                                (must match the app registered with Kroger)
+ *   KROGER_OAUTH_STATE_SECRET    (optional, defaults to KROGER_CLIENT_SECRET)
+ *   KROGER_TIMEOUT_MS            (optional, default 8000, as lib/kroger-client.js)
+ *   KROGER_API_URL / KROGER_OAUTH_URL  (optional, see lib/kroger.js)
+ */
+
+const crypto = require("crypto");
+const { KROGER_API_BASE, KROGER_OAUTH_BASE, parseKrogerUpc } = require("./kroger");
+const { isSupabaseConfigured, supabaseRest } = require("./supabase");
+const { fetchWithTimeout } = require("./http");
+
+const TABLE = "kroger_customer_tokens";
+const STATE_TABLE = "kroger_oauth_states";
+const CUSTOMER_SCOPES = "cart.basic:write profile.compact";
+const STATE_TTL_MS = 10 * 60 * 1000;
+// The app opens the start URL as soon as it has it
+const START_TTL_MS = 2 * 60 * 1000;
+const OAUTH_NONCE_COOKIE = "kroger_oauth_nonce";
+const TIMEOUT_MS = parseInt(process.env.KROGER_TIMEOUT_MS) || 8000;
+const REFRESH_MARGIN_MS = 60 * 1000;
+const CART_MODALITIES = ["PICKUP", "DELIVERY"];
+const MAX_CART_ITEMS = 50;
+
+// userId → in-flight refresh, so concurrent requests do not burn a rotated refresh token twice
+const pendingRefresh = new Map();
+
+function isCustomerOAuthConfigured() {
+  return !!(
+    process.env.KROGER_CLIENT_ID &&
+    process.env.KROGER_CLIENT_SECRET &&
+    process.env.KROGER_REDIRECT_URI &&
+    isSupabaseConfigured()
+  );
+}
+
+/** ---------------------------
+ *  OAuth state
+ *  --------------------------- */
+function stateSecret() {
+  return process.env.KROGER_OAUTH_STATE_SECRET || process.env.KROGER_CLIENT_SECRET;
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", stateSecret()).update(payload).digest("base64url");
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Signed { userId, expiry, nonce, purpose } with the nonce recorded so
+ * the token can be used once. `purpose` keeps a start ticket from being
+ * replayed as a state and vice versa.
+ */
+async function issueSignedToken(userId, purpose, ttlMs) {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const expiresAt = Date.now() + ttlMs;
+
+  await supabaseRest(STATE_TABLE, {
+    method: "POST",
+    body: { nonce, user_id: userId, expires_at: new Date(expiresAt).toISOString() },
+    headers: { Prefer: "return=minimal" },
+  });
+
+  const payload = Buffer.from(JSON.stringify({ u: userId, e: expiresAt, n: nonce, p: purpose })).toString("base64url");
+  return { token: `${payload}.${sign(payload)}`, nonce, expiresAt };
+}
+
+/** Signature, expiry and purpose; does not consume the nonce. */
+function readSignedToken(token, purpose) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+  if (!safeEqual(sign(payload), signature)) return null;
+
+  try {
+    const { u, e, n, p } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!u || !n || p !== purpose || !(Date.now() < e)) return null;
+    return { userId: u, nonce: n };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Issues a state and records its nonce so it can be used once.
+ * @returns {Promise<{ state: string, nonce: string, expiresAt: number }>}
+ */
+async function createOAuthState(userId) {
+  const { token, nonce, expiresAt } = await issueSignedToken(userId, "state", STATE_TTL_MS);
+  return { state: token, nonce, expiresAt };
+}
+
+/**
+ * Signature, expiry, and the nonce matching the one in the browser's
+ * cookie. Does not consume the nonce — see consumeOAuthNonce().
+ *
+ * @returns {{ userId: string, nonce: string } | null}
+ */
+function verifyOAuthState(state, cookieNonce) {
+  const verified = readSignedToken(state, "state");
+  if (!verified || !cookieNonce || !safeEqual(verified.nonce, cookieNonce)) return null;
+  return verified;
+}
+
+/** Deletes the nonce; true only for the one request that deleted it. */
+async function consumeOAuthNonce(nonce, userId) {
+  const rows = await supabaseRest(
+    `${STATE_TABLE}?nonce=eq.${encodeURIComponent(nonce)}&user_id=eq.${encodeURIComponent(userId)}` +
+    `&expires_at=gt.${new Date().toISOString()}`,
+    { method: "DELETE", headers: { Prefer: "return=representation" } }
+  );
+  return Array.isArray(rows) && rows.length === 1;
+}
+
+/**
+ * One-time ticket for starting the flow in the browser; see redeemStartTicket().
+ * @returns {Promise<{ ticket: string, expiresAt: number }>}
+ */
+async function createStartTicket(userId) {
+  const { token, expiresAt } = await issueSignedToken(userId, "start", START_TTL_MS);
+  return { ticket: token, expiresAt };
+}
+
+/**
+ * Consumes a start ticket; null when it is invalid, expired or already used.
+ * @returns {Promise<{ userId: string } | null>}
+ */
+async function redeemStartTicket(ticket) {
+  const verified = readSignedToken(ticket, "start");
+  if (!verified || !(await consumeOAuthNonce(verified.nonce, verified.userId))) return null;
+  return { userId: verified.userId };
+}
+
+/**
+ * @returns {Promise<{ authorizeUrl: string, nonce: string, expiresAt: number }>}
+ *   the caller sets `nonce` as the OAUTH_NONCE_COOKIE cookie
+ */
+async function buildAuthorizeUrl(userId) {
+  const { state, nonce, expiresAt } = await createOAuthState(userId);
+  const params = new URLSearchParams({
+    scope: CUSTOMER_SCOPES,
+    response_type: "code",
+    client_id: process.env.KROGER_CLIENT_ID,
+    redirect_uri: process.env.KROGER_REDIRECT_URI,
+    state,
+  });
+  return { authorizeUrl: `${KROGER_OAUTH_BASE}/authorize?${params}`, nonce, expiresAt };
+}
+
+/** ---------------------------
+ *  Token endpoint
+ *  --------------------------- */
+async function requestToken(form) {
+  const credentials = Buffer.from(
+    `${process.env.KROGER_CLIENT_ID}:${process.env.KROGER_CLIENT_SECRET}`
+  ).toString("base64");
+
+  let response;
+  try {
+    response = await fetchWithTimeout(`${KROGER_OAUTH_BASE}/token`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        Authorization: `Basic ${credentials}`,
+      },
+      body: new URLSearchParams(form).toString(),
+    }, TIMEOUT_MS);
+  } catch (err) {
+    return { error: `Kroger token request failed: ${err.message}`, status: 504 };
+  }
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // fall through with data = null
+  }
+
+  if (!response.ok || !data?.access_token) {
+    return {
+      error: `Kroger token request failed (${response.status}): ${(data?.error_description || data?.error || text).slice(0, 300)}`,
+      status: response.status,
+      // The grant was revoked, expired or already used (e.g. rotated by another instance)
+      invalidGrant: data?.error === "invalid_grant",
+    };
+  }
+
+  return { token: data };
+}
+
+/** Optional: a failed or slow profile read leaves profile_id null. */
+async function fetchProfileId(accessToken) {
+  try {
+    const response = await fetchWithTimeout(`${KROGER_API_BASE}/identity/profile`, {
+      headers: { Accept: "application/json", Authorization: `Bearer ${accessToken}` },
+    }, TIMEOUT_MS);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data?.data?.id || null;
+  } catch (err) {
+    console.error("Kroger profile read failed:", err.message);
+    return null;
+  }
+}
+
+/** ---------------------------
+ *  Storage
+ *  --------------------------- */
+function tokenRow(userId, token) {
+  return {
+    user_id: userId,
+    access_token: token.access_token,
+    refresh_token: token.refresh_token,
+    expires_at: new Date(Date.now() + (token.expires_in || 1800) * 1000).toISOString(),
+    scope: token.scope || CUSTOMER_SCOPES,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+async function saveTokenRow(row) {
+  await supabaseRest(`${TABLE}?on_conflict=user_id`, {
+    method: "POST",
+    body: row,
+    headers: { Prefer: "return=minimal, resolution=merge-duplicates" },
+  });
+}
+
+async function getConnection(userId) {
+  const rows = await supabaseRest(
+    `${TABLE}?user_id=eq.${encodeURIComponent(userId)}&select=*&limit=1`
+  );
+  return Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * @param {string} userId
+ * @param {string} [refreshToken]  only delete while this is still the stored one
+ */
+async function deleteConnection(userId, refreshToken) {
+  pendingRefresh.delete(userId);
+  const onlyIf = refreshToken ? `&refresh_token=eq.${encodeURIComponent(refreshToken)}` : "";
+  await supabaseRest(`${TABLE}?user_id=eq.${encodeURIComponent(userId)}${onlyIf}`, { method: "DELETE" });
+}
+
+/** Public view of a stored connection — never the tokens themselves. */
+function describeConnection(row) {
+  if (!row) return { connected: false };
+  return {
+    connected: true,
+    scopes: (row.scope || "").split(" ").filter(Boolean),
+    profileId: row.profile_id || null,
+    connectedAt: row.connected_at || null,
+  };
+}
+
+/** ---------------------------
+ *  Connect / refresh
+ *  --------------------------- */
+
+/**
+ * Callback half of the flow.
+ * @returns {Promise<{ userId: string, connection: object } | { error: string, status: number }>}
+ */
+async function completeConnection(code, state, cookieNonce) {
+  const verified = verifyOAuthState(state, cookieNonce);
+  if (!verified) return { error: "Invalid or expired state", status: 400 };
+  if (!code) return { error: "Missing authorization code", status: 400 };
+  if (!(await consumeOAuthNonce(verified.nonce, verified.userId))) {
+    return { error: "State already used", status: 400 };
+  }
+
+  const { userId } = verified;
+
+  const exchanged = await requestToken({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: process.env.KROGER_REDIRECT_URI,
+  });
+  if (exchanged.error) return { error: exchanged.error, status: 502 };
+
+  const row = {
+    ...tokenRow(userId, exchanged.token),
+    profile_id: await fetchProfileId(exchanged.token.access_token),
+    connected_at: new Date().toISOString(),
+  };
+  await saveTokenRow(row);
+
+  return { userId, connection: describeConnection(row) };
+}
+
+function isFresh(row) {
+  return Date.parse(row.expires_at) - REFRESH_MARGIN_MS > Date.now();
+}
+
+const RECONNECT = { error: "Kroger connection expired. Please reconnect.", status: 409, reconnect: true };
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.retried]  already retried with a re-read row
+ */
+async function refreshConnection(userId, row, { retried = false } = {}) {
+  const refreshed = await requestToken({
+    grant_type: "refresh_token",
+    refresh_token: row.refresh_token,
+  });
+
+  if (refreshed.error) {
+    if (!refreshed.invalidGrant) return { error: refreshed.error, status: 502 };
+
+    // Another instance may have rotated the refresh token since we read it
+    const current = await getConnection(userId);
+    if (!current) return RECONNECT;
+
+    if (current.refresh_token === row.refresh_token) {
+      await deleteConnection(userId, row.refresh_token);
+      return RECONNECT;
+    }
+    if (retried) return { error: refreshed.error, status: 502 };
+    if (isFresh(current) && current.access_token !== row.access_token) {
+      return { accessToken: current.access_token };
+    }
+    return refreshConnection(userId, current, { retried: true });
+  }
+
+  // Kroger may or may not rotate the refresh token
+  const next = tokenRow(userId, {
+    ...refreshed.token,
+    refresh_token: refreshed.token.refresh_token || row.refresh_token,
+  });
+  await saveTokenRow(next);
+  return { accessToken: next.access_token };
+}
+
+/**
+ * @param {string} userId
+ * @param {object} [options]
+ * @param {boolean} [options.forceRefresh]  after Kroger rejected the current token
+ * @returns {Promise<{ accessToken: string } | { error: string, status: number, reconnect?: boolean }>}
+ */
+async function getCustomerAccessToken(userId, { forceRefresh = false } = {}) {
+  const row = await getConnection(userId);
+  if (!row) return { error: "Kroger account not connected", status: 409, reconnect: true };
+
+  if (!forceRefresh && isFresh(row)) {
+    return { accessToken: row.access_token };
+  }
+
+  if (!pendingRefresh.has(userId)) {
+    pendingRefresh.set(
+      userId,
+      refreshConnection(userId, row).finally(() => pendingRefresh.delete(userId))
+    );
+  }
+  return pendingRefresh.get(userId);
+}
+
+/** ---------------------------
+ *  Cart
+ *  --------------------------- */
+
+/**
+ * @param {Array<{ upc: string, quantity?: number, modality?: string }>} items
+ * @returns {{ items?: object[], error?: string, index?: number }}
+ */
+function normalizeCartItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return { error: "items must be a non-empty array" };
+  if (items.length > MAX_CART_ITEMS) return { error: `Maximum ${MAX_CART_ITEMS} items per request` };
+
+  const normalized = [];
+  for (const [index, item] of items.entries()) {
+    const upc = parseKrogerUpc(item?.upc);
+    const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+    const modality = String(item?.modality || "PICKUP").toUpperCase();
+
+    if (!upc) return { error: "Invalid upc", index };
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+      return { error: "quantity must be a whole number from 1 to 99", index };
+    }
+    if (!CART_MODALITIES.includes(modality)) {
+      return { error: `modality must be one of ${CART_MODALITIES.join(", ")}`, index };
+    }
+    normalized.push({ upc, quantity, modality });
+  }
+  return { items: normalized };
+}
+
+async function putCart(accessToken, items) {
+  return fetchWithTimeout(`${KROGER_API_BASE}/cart/add`, {
+    method: "PUT",
+    headers: {
+      Accept: "application/json",
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${accessToken}`,
+    },
+    body: JSON.stringify({ items }),
+  }, TIMEOUT_MS);
+}
+
+/**
+ * @param {string} userId
+ * @param {object[]} items  from normalizeCartItems()
+ */
+async function addToCart(userId, items) {
+  let auth = await getCustomerAccessToken(userId);
+  if (auth.error) return auth;
+
+  let response = await putCart(auth.accessToken, items);
+
+  // Token revoked or expired early: refresh once and retry
+  if (response.status === 401) {
+    auth = await getCustomerAccessToken(userId, { forceRefresh: true });
+    if (auth.error) return auth;
+    response = await putCart(auth.accessToken, items);
+  }
+
+  if (!response.ok) {
+    const text = await response.text();
+    return {
+      error: `Kroger cart update failed (${response.status}): ${text.slice(0, 300)}`,
+      status: response.status === 400 ? 400 : 502,
+    };
+  }
+
+  return { added: items.length, items };
+}
+
+module.exports = {
+  CUSTOMER_SCOPES,
+  OAUTH_NONCE_COOKIE,
+  STATE_TTL_MS,
+  START_TTL_MS,
+  isCustomerOAuthConfigured,
+  createStartTicket,
+  redeemStartTicket,
+  createOAuthState,
+  verifyOAuthState,
+  consumeOAuthNonce,
+  buildAuthorizeUrl,
+  completeConnection,
+  getConnection,
+  deleteConnection,
+  describeConnection,
+  getCustomerAccessToken,
+  normalizeCartItems,
+  addToCart,
+};
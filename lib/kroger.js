@@ -0,0 +1,772 @@
+/**
+ * Kroger Public API client (shared)
+ *
+ * Location search (zip or lat/lng, chain and department filters,
+ * distance and open-now from lib/store-hours.js), product search and the
+ * product-detail normalizer used by /api/kroger and
+ * /api/kroger/compare-basket, and the scan-and-price lookup /api/barcode
+ * runs when a scan carries a locationId: exact-UPC price, promo, stock,
+ * fulfillment and aisle, plus the cheapest equivalent items at that store
+ * by unit price (lib/units.js parsePackageSize).
+ *
+ * Requests go through lib/kroger-client.js (token, timeouts, retries,
+ * circuit breaker); its typed errors are re-exported here.
+ *
+ * Product and location responses are cached in the "kroger-products" and
+ * "kroger-locations" namespaces (lib/shared-cache.js): shared across
+ * instances when a cache store is configured, served stale while one
+ * request refreshes them. Every priced product fetched for a store is
+ * recorded in the price history (lib/price-history.js) when it is loaded.
+ *
+ * Product IDs and UPCs:
+ *   Kroger's `upc` / `productId` for packaged goods is the GTIN without
+ *   its check digit, left-padded to 13 digits:
+ *
+ *     UPC-A 011110417008  →  GTIN-13 0011110417008  →  Kroger 0001111041700
+ *
+ * Environment Variables:
+ *   KROGER_CLIENT_ID
+ *   KROGER_CLIENT_SECRET
+ *   KROGER_API_URL / KROGER_OAUTH_URL and retry / breaker tuning
+ *   (optional, see lib/kroger-client.js)
+ *
+ * Kroger Public API Docs:
+ *   - Auth: https://developer.kroger.com/api-products/api/authorization-endpoints-public
+ *   - Locations: https://developer.kroger.com/api-products/api/location-api-public
+ *   - Products: https://developer.kroger.com/api-products/api/product-api-public
+ */
+
+const { parseBarcode } = require("./gtin");
+const {
+  KROGER_API_BASE,
+  KROGER_OAUTH_BASE,
+  KrogerError,
+  KrogerUpstreamError,
+  KrogerRequestError,
+  getKrogerToken,
+  getTokenState,
+  resetKrogerToken,
+  getCircuitState,
+  krogerFetch,
+} = require("./kroger-client");
+const { getCacheKey } = require("./cache");
+const { createSharedCache } = require("./shared-cache");
+const { parsePackageSize, computeUnitPrice, unitPriceLabel } = require("./units");
+const { recordPriceSnapshots } = require("./price-history");
+const { normalizeHours, openStatus } = require("./store-hours");
+
+// Prices and stock move during the day; keep product data short-lived
+const PRODUCT_CACHE_TTL_MS = 5 * 60 * 1000;
+const PRODUCT_CACHE_STALE_MS = 10 * 60 * 1000;
+
+const EQUIVALENTS_SEARCH_LIMIT = 25;
+const MAX_EQUIVALENTS = 3;
+
+// Kroger-family banner mapping
+const KROGER_BANNERS = {
+  'KROGER': 'Kroger',
+  'RALPHS': "Ralphs",
+  'FRED MEYER': 'Fred Meyer',
+  'HARRIS TEETER': 'Harris Teeter',
+  "SMITH'S": "Smith's",
+  'SMITHS': "Smith's",
+  'KING SOOPERS': 'King Soopers',
+  "FRY'S": "Fry's",
+  'FRYS': "Fry's",
+  'QFC': 'QFC',
+  'PAY LESS': 'Pay Less',
+  'PAY-LESS': 'Pay Less',
+  "MARIANO'S": "Mariano's",
+  'MARIANOS': "Mariano's",
+  "PICK 'N SAVE": "Pick 'n Save",
+  'PICK N SAVE': "Pick 'n Save",
+  'METRO MARKET': 'Metro Market',
+  "DILLON'S": "Dillon's",
+  'DILLONS': "Dillon's",
+  "BAKER'S": "Baker's",
+  'BAKERS': "Baker's",
+  'GERBES': 'Gerbes',
+  'JAY C': 'Jay C',
+  "OWEN'S": "Owen's",
+  'OWENS': "Owen's",
+  'CITY MARKET': 'City Market',
+  'FOOD 4 LESS': 'Food 4 Less',
+  'FOODS CO': 'Foods Co',
+  'RULER': 'Ruler Foods',
+  'COPPS': 'Copps',
+  'ROUNDYS': "Roundy's",
+};
+
+// Store details and hours rarely change
+const LOCATION_CACHE_TTL_MS = 60 * 60 * 1000;
+const LOCATION_CACHE_STALE_MS = 60 * 60 * 1000;
+
+// lib/shared-cache.js: LRU per instance + the shared store when configured
+const productCache = createSharedCache({
+  namespace: "kroger-products",
+  ttlMs: PRODUCT_CACHE_TTL_MS,
+  staleMs: PRODUCT_CACHE_STALE_MS,
+  maxEntries: 1000,
+});
+const locationCache = createSharedCache({
+  namespace: "kroger-locations",
+  ttlMs: LOCATION_CACHE_TTL_MS,
+  staleMs: LOCATION_CACHE_STALE_MS,
+});
+
+/** ---------------------------
+ *  UPC helpers
+ *  --------------------------- */
+
+/**
+ * GTIN-13 or GTIN-14 (with check digit) → Kroger's 13-digit UPC /
+ * productId: the GTIN-14 without its check digit.
+ */
+function krogerUpcFromGtin(gtin) {
+  return gtin.slice(0, -1).padStart(13, "0");
+}
+
+/**
+ * Accepts a scanned barcode (UPC-A, UPC-E, EAN-13, GTIN-14) or Kroger's
+ * own 13-digit form as returned in `upc` by product search.
+ *
+ * @returns {string|null} Kroger UPC, or null when unusable
+ */
+function parseKrogerUpc(raw) {
+  const value = String(raw || "").trim();
+  const parsed = parseBarcode(value);
+  if (!parsed.error) return krogerUpcFromGtin(parsed.gtin14);
+  if (/^\d{13}$/.test(value)) return value;
+  return null;
+}
+
+/** ---------------------------
+ *  Normalizers
+ *  --------------------------- */
+function pickImageSize(sizes = [], preferred = ["large", "medium"]) {
+  for (const size of preferred) {
+    const match = sizes.find((s) => s.size === size);
+    if (match) return match.url;
+  }
+  return sizes[0]?.url || null;
+}
+
+/** Best single image: the front perspective, else whatever comes first. */
+function pickImageUrl(images = []) {
+  const front = images.find((img) => img.perspective === "front");
+  const image = front || images[0];
+  return image ? pickImageSize(image.sizes) : null;
+}
+
+/** Every perspective, sizes keyed by name: { thumbnail, small, medium, large, xlarge } */
+function normalizeImages(images = []) {
+  return images.map((img) => ({
+    perspective: img.perspective || null,
+    featured: !!img.featured,
+    sizes: Object.fromEntries((img.sizes || []).map((s) => [s.size, s.url])),
+  }));
+}
+
+function normalizeAisleLocations(locations = []) {
+  return locations.map((loc) => ({
+    description: loc.description || null,
+    number: loc.number || null,
+    side: loc.side || null,
+    shelfNumber: loc.shelfNumber || null,
+    bayNumber: loc.bayNumber || null,
+  }));
+}
+
+function normalizeFulfillment(fulfillment = {}) {
+  return {
+    curbside: fulfillment.curbside || false,
+    delivery: fulfillment.delivery || false,
+    inStore: fulfillment.inStore || false,
+    shipToHome: fulfillment.shipToHome || false,
+  };
+}
+
+function normalizeItem(item) {
+  const fulfillment = normalizeFulfillment(item.fulfillment);
+  const stockLevel = item.inventory?.stockLevel || null;
+
+  return {
+    itemId: item.itemId || null,
+    size: item.size || null,
+    soldBy: item.soldBy || null,
+    price: item.price?.regular || null,
+    promoPrice: item.price?.promo > 0 ? item.price.promo : null,
+    nationalPrice: item.nationalPrice?.regular || null,
+    nationalPromoPrice: item.nationalPrice?.promo > 0 ? item.nationalPrice.promo : null,
+    stockLevel,
+    inStock: stockLevel ? stockLevel !== "TEMPORARILY_OUT_OF_STOCK" : fulfillment.inStore,
+    fulfillment,
+  };
+}
+
+/**
+ * Kroger's `nutritionInformation` block, when the product has one.
+ * Nutrients keep Kroger's display names and units; the barcode pipeline
+ * remains the source of truth for normalized nutrition.
+ */
+function normalizeNutrition(product) {
+  const info = Array.isArray(product.nutritionInformation)
+    ? product.nutritionInformation[0]
+    : product.nutritionInformation;
+  if (!info) return null;
+
+  return {
+    servingSize: info.servingSize
+      ? {
+        quantity: info.servingSize.quantity ?? null,
+        unit: info.servingSize.unitOfMeasure?.abbreviation || info.servingSize.unitOfMeasure?.name || null,
+      }
+      : null,
+    servingsPerPackage: info.servingsPerPackage?.value ?? info.servingsPerPackage ?? null,
+    ingredients: info.ingredientStatement || null,
+    nutrients: (info.nutrients || []).map((n) => ({
+      code: n.code || null,
+      name: n.displayName || n.description || null,
+      quantity: n.quantity ?? null,
+      unit: n.unitOfMeasure?.abbreviation || n.unitOfMeasure?.name || null,
+      percentDailyValue: n.percentDailyIntake ?? null,
+    })),
+  };
+}
+
+function normalizeProductDetail(product) {
+  const items = (product.items || []).map((item) => withUnitPrice(normalizeItem(item)));
+
+  return {
+    productId: product.productId,
+    upc: product.upc,
+    brand: product.brand || null,
+    description: product.description || null,
+    countryOrigin: product.countryOrigin || null,
+    categories: product.categories || [],
+    temperature: product.temperature?.indicator || null,
+    imageUrl: pickImageUrl(product.images),
+    images: normalizeImages(product.images),
+    aisleLocations: normalizeAisleLocations(product.aisleLocations),
+    items,
+    nutrition: normalizeNutrition(product),
+  };
+}
+
+/** ---------------------------
+ *  Location Search
+ *  --------------------------- */
+const MAX_LOCATION_RESULTS = 200;
+
+function bannerFor(loc) {
+  const name = (loc.name || "").toUpperCase();
+  const chain = (loc.chain || "").toUpperCase();
+
+  for (const [key, displayName] of Object.entries(KROGER_BANNERS)) {
+    if (name.includes(key) || chain.includes(key)) return displayName;
+  }
+  return "Kroger";
+}
+
+function normalizeLocation(loc) {
+  return {
+    locationId: loc.locationId,
+    name: loc.name,
+    banner: bannerFor(loc),
+    chain: loc.chain,
+    address: {
+      line1: loc.address?.addressLine1,
+      city: loc.address?.city,
+      state: loc.address?.state,
+      zipCode: loc.address?.zipCode,
+    },
+    geolocation: {
+      lat: loc.geolocation?.latitude,
+      lng: loc.geolocation?.longitude,
+    },
+    phone: loc.phone,
+    departments: (loc.departments || []).map((d) => d.name),
+    hours: normalizeHours(loc.hours),
+  };
+}
+
+/** Great-circle distance in miles, one decimal. */
+function distanceMiles(from, to) {
+  if (![from.lat, from.lng, to.lat, to.lng].every(Number.isFinite)) return null;
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(to.lat - from.lat);
+  const dLng = rad(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return Math.round(3958.8 * 2 * Math.asin(Math.sqrt(a)) * 10) / 10;
+}
+
+/** "Harris Teeter", "harris-teeter", "HARRIS TEETER" all compare equal. */
+function chainKey(value) {
+  return String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+function matchesChain(location, chain) {
+  const wanted = chainKey(chain);
+  return chainKey(location.banner) === wanted || chainKey(location.chain) === wanted;
+}
+
+/** Every requested department ("pharmacy", "deli", "fuel") by name. */
+function hasDepartments(location, departments) {
+  const names = location.departments.map((d) => String(d).toLowerCase());
+  return departments.every((wanted) => names.some((name) => name.includes(wanted)));
+}
+
+/** Per-request fields: distance from the caller and open-now in the store's timezone. */
+function decorateLocation(location, { origin, timezone, now }) {
+  const status = openStatus(location.hours, { now, timezone });
+  return {
+    ...location,
+    distanceMiles: origin ? distanceMiles(origin, location.geolocation) : null,
+    openNow: status.openNow,
+    todayHours: status.today,
+  };
+}
+
+/**
+ * Kroger has no zip centroid to offer, so a zip search measures from a
+ * store in that zip, else the nearest store it returned (results come
+ * nearest first). Pass the unfiltered list.
+ */
+function originForZip(zip, locations) {
+  const located = locations.filter((loc) => Number.isFinite(loc.geolocation.lat) && Number.isFinite(loc.geolocation.lng));
+  const anchor = located.find((loc) => String(loc.address.zipCode || "").slice(0, 5) === zip) || located[0];
+  if (!anchor) return null;
+  return { zip, lat: anchor.geolocation.lat, lng: anchor.geolocation.lng, approximate: true };
+}
+
+function fetchLocations(params) {
+  return locationCache.getOrLoad(getCacheKey("locations", params), async () => {
+    const data = await krogerFetch("/locations", params);
+    return (data.data || []).map(normalizeLocation);
+  });
+}
+
+/**
+ * @param {object} options
+ * @param {number} [options.lat]          lat/lng or zip required
+ * @param {number} [options.lng]
+ * @param {string} [options.zip]
+ * @param {number} [options.radiusMiles]
+ * @param {number} [options.limit]
+ * @param {string} [options.chain]        banner or chain name, e.g. "Ralphs"
+ * @param {string[]} [options.departments] e.g. ["pharmacy", "fuel"]
+ * @param {string} [options.timezone]     caller's IANA zone, for stores without one
+ */
+async function searchLocations({ lat, lng, zip, radiusMiles = 25, limit = 10, chain, departments = [], timezone } = {}) {
+  const hasOrigin = Number.isFinite(lat) && Number.isFinite(lng);
+  const filtering = !!chain || departments.length > 0;
+
+  // Filters are applied here, so fetch the widest page Kroger allows
+  const params = {
+    "filter.radiusInMiles": radiusMiles,
+    "filter.limit": filtering ? MAX_LOCATION_RESULTS : limit,
+  };
+  if (hasOrigin) {
+    params["filter.lat.near"] = Math.round(lat * 100) / 100;
+    params["filter.lon.near"] = Math.round(lng * 100) / 100;
+  } else {
+    params["filter.zipCode.near"] = zip;
+  }
+
+  const now = new Date();
+
+  let locations = await fetchLocations(params);
+  const origin = hasOrigin ? { lat, lng } : originForZip(zip, locations);
+  if (chain) locations = locations.filter((loc) => matchesChain(loc, chain));
+  if (departments.length > 0) locations = locations.filter((loc) => hasDepartments(loc, departments));
+
+  locations = locations.map((loc) => decorateLocation(loc, { origin, timezone, now }));
+  if (origin) locations.sort((a, b) => (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity));
+  locations = locations.slice(0, limit);
+
+  return {
+    success: true,
+    count: locations.length,
+    origin: origin || { zip },
+    filters: { chain: chain || null, departments },
+    locations,
+    krogerNearby: locations.length > 0,
+    nearestBanner: locations.length > 0 ? locations[0].banner : null,
+    nearestLocationId: locations.length > 0 ? locations[0].locationId : null,
+  };
+}
+
+/**
+ * GET /locations/{id}.
+ * @returns {Promise<{ location: object } | { notFound: true }>}
+ */
+async function getLocation(locationId, { lat, lng, timezone } = {}) {
+  // Unknown ids are not cached: a new store should show up at once
+  const location = await locationCache.getOrLoad(getCacheKey("location", { locationId }), async () => {
+    let data;
+    try {
+      data = await krogerFetch(`/locations/${encodeURIComponent(locationId)}`);
+    } catch (err) {
+      if (err.status === 404 || err.status === 400) return null;
+      throw err;
+    }
+    return data?.data?.locationId ? normalizeLocation(data.data) : null;
+  }, { ttlFor: (found) => (found ? LOCATION_CACHE_TTL_MS : 0) });
+
+  if (!location) return { notFound: true };
+
+  const origin = Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  return { location: decorateLocation(location, { origin, timezone, now: new Date() }) };
+}
+
+/** ---------------------------
+ *  Product Search
+ *  --------------------------- */
+
+// Our fulfillment names → Kroger's filter.fulfillment codes
+const FULFILLMENT_FILTERS = {
+  inStore: "ais",
+  curbside: "csp",
+  delivery: "dth",
+  shipToHome: "sth",
+};
+
+function compareNullsLast(a, b) {
+  if (a === null) return b === null ? 0 : 1;
+  if (b === null) return -1;
+  return a - b;
+}
+
+const PRODUCT_SORTS = {
+  price: (a, b) => compareNullsLast(effectivePrice(a), effectivePrice(b)),
+  unitPrice: (a, b) => compareNullsLast(effectiveUnitPrice(a), effectiveUnitPrice(b)),
+};
+
+/**
+ * Search result with every size in `items[]`. The top-level price, size
+ * and stock come from the first in-stock size (else the first size), so
+ * callers that only want one price keep working.
+ */
+function normalizeSearchProduct(product) {
+  const items = (product.items || []).map((item) => withUnitPrice(normalizeItem(item)));
+  const primary = items.find((item) => item.inStock) || items[0] || null;
+
+  return {
+    productId: product.productId,
+    upc: product.upc,
+    brand: product.brand,
+    description: product.description,
+    imageUrl: pickImageUrl(product.images),
+    price: primary?.price ?? null,
+    promoPrice: primary?.promoPrice ?? null,
+    size: primary?.size ?? null,
+    soldBy: primary?.soldBy ?? null,
+    packageSize: primary?.packageSize ?? null,
+    unitPrice: primary?.unitPrice ?? null,
+    promoUnitPrice: primary?.promoUnitPrice ?? null,
+    unitPriceBasis: primary?.unitPriceBasis ?? null,
+    inStock: primary?.inStock || false,
+    fulfillment: primary?.fulfillment || normalizeFulfillment(),
+    items,
+    categories: product.categories || [],
+    temperature: product.temperature?.indicator,
+  };
+}
+function fetchProducts(params, locationId) {
+  return productCache.getOrLoad(getCacheKey("products", params), async () => {
+    const data = await krogerFetch("/products", params);
+    const products = (data.data || []).map(normalizeSearchProduct);
+
+    // Awaited so the write survives the response; it never throws and is time-bounded
+    await recordPriceSnapshots(products, locationId);
+
+    return { products, total: data.meta?.pagination?.total ?? null };
+  });
+}
+
+/**
+ * @param {string|null} term
+ * @param {string|null} locationId    prices and stock need one
+ * @param {number} limit              1–50 (Kroger's page size)
+ * @param {object} [options]
+ * @param {number} [options.start]    results to skip, for paging
+ * @param {string} [options.brand]    exact brand, e.g. "Simple Truth Organic"
+ * @param {string[]} [options.fulfillment]  any of curbside, delivery, inStore, shipToHome
+ * @param {string[]} [options.productIds]   up to 50
+ * @param {string} [options.sort]     "price" | "unitPrice"; default Kroger relevance
+ * @param {boolean} [options.inStockOnly]
+ */
+async function searchProducts(term, locationId, limit, options = {}) {
+  const { start = 0, brand, fulfillment = [], productIds = [], sort, inStockOnly = false } = options;
+
+  const params = { "filter.limit": limit };
+  if (term) params["filter.term"] = term;
+  if (locationId) params["filter.locationId"] = locationId;
+  if (start > 0) params["filter.start"] = start;
+  if (brand) params["filter.brand"] = brand;
+  if (fulfillment.length > 0) {
+    params["filter.fulfillment"] = fulfillment.map((f) => FULFILLMENT_FILTERS[f]).join(",");
+  }
+  if (productIds.length > 0) params["filter.productId"] = productIds.join(",");
+
+  const page = await fetchProducts(params, locationId);
+
+  // Stock and sort apply to this page only; Kroger pages by relevance
+  let products = page.products;
+  if (inStockOnly) products = products.filter((p) => p.items.some((item) => item.inStock));
+  if (PRODUCT_SORTS[sort]) products = [...products].sort(PRODUCT_SORTS[sort]);
+
+  const pageSize = page.products.length;
+
+  return {
+    success: true,
+    term: term || null,
+    locationId: locationId || null,
+    filters: {
+      brand: brand || null,
+      fulfillment,
+      productIds,
+      inStockOnly,
+    },
+    sort: PRODUCT_SORTS[sort] ? sort : "relevance",
+    start,
+    limit,
+    total: page.total,
+    nextStart: pageSize === limit && (page.total === null || start + pageSize < page.total)
+      ? start + pageSize
+      : null,
+    count: products.length,
+    products,
+  };
+}
+
+/** ---------------------------
+ *  Product detail
+ *  --------------------------- */
+
+/**
+ * GET /products/{id}. Prices, stock and aisles only come back when
+ * `locationId` is given.
+ *
+ * @returns {Promise<{ product: object } | { notFound: true }>}
+ */
+async function getProductDetail(productId, locationId) {
+  const cacheKey = getCacheKey("product", { productId, locationId: locationId || null });
+
+  return productCache.getOrLoad(cacheKey, async () => {
+    let data;
+    try {
+      data = await krogerFetch(`/products/${encodeURIComponent(productId)}`, {
+        "filter.locationId": locationId,
+      });
+    } catch (err) {
+      if (err.status === 404 || err.status === 400) return { notFound: true };
+      throw err;
+    }
+
+    if (!data?.data?.productId) return { notFound: true };
+
+    const product = normalizeProductDetail(data.data);
+    await recordPriceSnapshots([{ ...product, ...product.items[0] }], locationId);
+    return { product };
+  });
+}
+
+/** ---------------------------
+ *  Scan-and-price
+ *  --------------------------- */
+
+/** What the shopper pays today: the promo when there is one. */
+function effectivePrice(item) {
+  return item.promoPrice || item.price || null;
+}
+
+/**
+ * Adds packageSize plus `unitPrice` (regular) and `promoUnitPrice` per
+ * 100 g / 100 ml / item, parsed from the free-text `size`.
+ */
+function withUnitPrice(product) {
+  const packageSize = parsePackageSize(product.size);
+  return {
+    ...product,
+    packageSize,
+    unitPrice: computeUnitPrice(product.price, packageSize),
+    promoUnitPrice: computeUnitPrice(product.promoPrice, packageSize),
+    unitPriceBasis: packageSize ? unitPriceLabel(packageSize.unit) : null,
+  };
+}
+
+/** What is actually paid per unit: the promo unit price when on promo. */
+function effectiveUnitPrice(product) {
+  return product.promoUnitPrice ?? product.unitPrice ?? null;
+}
+
+function cheaperBy(priceOf) {
+  return (best, p) => (best === null || priceOf(p) < priceOf(best) ? p : best);
+}
+
+/**
+ * Cheapest of `products` (from searchProducts) per unit rather than per
+ * package, so a 5 lb bag can beat a 1 lb one. Unit prices only compare
+ * within one canonical unit: the first (most relevant) product with a
+ * parsable size sets it. When no size parses, the lowest shelf price wins.
+ *
+ * @returns {object|null}
+ */
+function pickCheapest(products) {
+  const priced = (products || []).filter((p) => effectivePrice(p) > 0);
+  const reference = priced.find((p) => effectiveUnitPrice(p) !== null);
+
+  if (!reference) return priced.reduce(cheaperBy(effectivePrice), null);
+
+  return priced
+    .filter((p) => effectiveUnitPrice(p) !== null && p.packageSize.unit === reference.packageSize.unit)
+    .reduce(cheaperBy(effectiveUnitPrice), null);
+}
+
+/** "Kroger® 2% Reduced Fat Milk" → "2% Reduced Fat Milk": same thing, any brand. */
+function equivalentSearchTerm(product) {
+  const brandWords = new Set(String(product.brand || "").toLowerCase().split(/\s+/));
+  return String(product.description || "")
+    .replace(/[®™©]/g, "")
+    .split(/\s+/)
+    .filter((word) => word && !brandWords.has(word.toLowerCase()))
+    .slice(0, 6)
+    .join(" ");
+}
+
+/**
+ * Same-kind items at the store (same unit of measure, overlapping
+ * category), cheapest unit price first.
+ */
+async function findEquivalents(scanned, locationId) {
+  const searchTerm = equivalentSearchTerm(scanned);
+  if (!searchTerm || !scanned.packageSize) return { searchTerm: searchTerm || null, equivalents: [] };
+
+  const { products } = await searchProducts(searchTerm, locationId, EQUIVALENTS_SEARCH_LIMIT);
+  const categories = new Set(scanned.categories || []);
+  const scannedUnitPrice = effectiveUnitPrice(scanned);
+
+  const equivalents = products
+    .filter((p) => p.productId !== scanned.productId)
+    .filter((p) => effectiveUnitPrice(p) !== null && p.packageSize.unit === scanned.packageSize.unit)
+    .filter((p) => categories.size === 0 || p.categories.length === 0 || p.categories.some((c) => categories.has(c)))
+    .sort((a, b) => effectiveUnitPrice(a) - effectiveUnitPrice(b))
+    .slice(0, MAX_EQUIVALENTS)
+    .map((p) => ({
+      productId: p.productId,
+      upc: p.upc,
+      brand: p.brand,
+      description: p.description,
+      imageUrl: p.imageUrl,
+      size: p.size,
+      price: p.price,
+      promoPrice: p.promoPrice,
+      unitPrice: p.unitPrice,
+      promoUnitPrice: p.promoUnitPrice,
+      unitPriceBasis: p.unitPriceBasis,
+      inStock: p.inStock,
+      cheaper: scannedUnitPrice !== null && effectiveUnitPrice(p) < scannedUnitPrice,
+      savingsPercent: scannedUnitPrice
+        ? Math.round((1 - effectiveUnitPrice(p) / scannedUnitPrice) * 100)
+        : null,
+    }));
+
+  return { searchTerm, equivalents };
+}
+
+/**
+ * What a scan needs from the shopper's store: exact-UPC price, promo,
+ * stock, fulfillment options and aisle, plus the cheapest equivalent
+ * items there by unit price. Never throws — a Kroger outage (or a code
+ * Kroger cannot take) must not fail a scan.
+ *
+ * @param {string} gtin      GTIN-14 (or GTIN-13) from lib/gtin.js
+ * @param {string} locationId
+ */
+async function getLocalProductInfo(gtin, locationId) {
+  let upc = null;
+  let result;
+  try {
+    upc = krogerUpcFromGtin(gtin);
+    result = await getProductDetail(upc, locationId);
+  } catch (err) {
+    return { found: false, locationId, upc, error: err.message };
+  }
+  if (result.notFound) return { found: false, locationId, upc };
+
+  const { product } = result;
+  const item = product.items[0] || {};
+  const scanned = withUnitPrice({
+    productId: product.productId,
+    brand: product.brand,
+    description: product.description,
+    categories: product.categories,
+    size: item.size || null,
+    price: item.price ?? null,
+    promoPrice: item.promoPrice ?? null,
+  });
+
+  const local = {
+    found: true,
+    locationId,
+    productId: product.productId,
+    upc: product.upc,
+    brand: product.brand,
+    description: product.description,
+    size: scanned.size,
+    price: scanned.price,
+    promoPrice: scanned.promoPrice,
+    onPromo: !!scanned.promoPrice,
+    unitPrice: scanned.unitPrice,
+    promoUnitPrice: scanned.promoUnitPrice,
+    unitPriceBasis: scanned.unitPriceBasis,
+    stockLevel: item.stockLevel ?? null,
+    inStock: item.inStock ?? null,
+    fulfillment: item.fulfillment || normalizeFulfillment(),
+    aisle: product.aisleLocations[0]?.description || null,
+    aisleLocations: product.aisleLocations,
+    equivalentsSearchTerm: null,
+    equivalents: [],
+  };
+
+  try {
+    const { searchTerm, equivalents } = await findEquivalents(scanned, locationId);
+    local.equivalentsSearchTerm = searchTerm;
+    local.equivalents = equivalents;
+  } catch (err) {
+    local.equivalentsError = err.message;
+  }
+
+  return local;
+}
+
+module.exports = {
+  KROGER_API_BASE,
+  KROGER_OAUTH_BASE,
+  KROGER_BANNERS,
+  FULFILLMENT_FILTERS,
+  locationCache,
+  productCache,
+  KrogerError,
+  KrogerUpstreamError,
+  KrogerRequestError,
+  getKrogerToken,
+  getTokenState,
+  resetKrogerToken,
+  getCircuitState,
+  krogerFetch,
+  krogerUpcFromGtin,
+  parseKrogerUpc,
+  pickImageUrl,
+  normalizeFulfillment,
+  normalizeProductDetail,
+  searchLocations,
+  getLocation,
+  searchProducts,
+  getProductDetail,
+  getLocalProductInfo,
+  effectiveUnitPrice,
+  pickCheapest,
+  equivalentSearchTerm,
+};
@@ -0,0 +1,157 @@
+/**
+ * Pluggable key/value stores with per-entry TTL (shared)
+ *
+ * Every store implements:
+ *   async get(key)              → value | null   (null when missing/expired)
+ *   async set(key, value, ttlMs)
+ *   async delete(key)
+ *   name                        → "supabase" | "upstash"
+ *
+ * createSharedStore() picks the backend that outlives one instance from
+ * `store` (or the CACHE_STORE / KV_STORE env vars). When none is set,
+ * Upstash is used if configured; Supabase is opt-in ("supabase"), since
+ * a PostgREST round-trip on every cache read can cost more than the
+ * upstream call it saves. Every call is bounded by CACHE_STORE_TIMEOUT_MS.
+ * lib/shared-cache.js puts an in-memory LRU in front of it.
+ *
+ * Supabase table (one table, namespaced keys):
+ *
+ *   create table kv_cache (
+ *     key        text primary key,
+ *     value      jsonb not null,
+ *     expires_at timestamptz not null,
+ *     updated_at timestamptz not null default now()
+ *   );
+ *   create index kv_cache_expires_at_idx on kv_cache (expires_at);
+ *
+ * Upstash / Vercel KV: plain string keys ("<namespace>:<key>") holding
+ * JSON, expired by Redis itself (PX).
+ *
+ * Environment Variables (optional):
+ *   CACHE_STORE                   "memory" | "supabase" | "upstash"
+ *   UPSTASH_REDIS_REST_URL        (or KV_REST_API_URL)
+ *   UPSTASH_REDIS_REST_TOKEN      (or KV_REST_API_TOKEN)
+ *   CACHE_STORE_TIMEOUT_MS        round-trip budget, default 500 (Upstash)
+ *                                 or 1000 (Supabase)
+ */
+
+const { fetchWithTimeout } = require("./http");
+const { isSupabaseConfigured, supabaseRest } = require("./supabase");
+
+const SUPABASE_TABLE = "kv_cache";
+const DEFAULT_UPSTASH_TIMEOUT_MS = 500;
+const DEFAULT_SUPABASE_TIMEOUT_MS = 1000;
+
+function createSupabaseStore({ namespace, timeoutMs = DEFAULT_SUPABASE_TIMEOUT_MS }) {
+  const prefixed = (key) => `${namespace}:${key}`;
+
+  return {
+    name: "supabase",
+    async get(key) {
+      const rows = await supabaseRest(
+        `${SUPABASE_TABLE}?key=eq.${encodeURIComponent(prefixed(key))}&select=value,expires_at&limit=1`,
+        { timeoutMs }
+      );
+      const row = Array.isArray(rows) ? rows[0] : null;
+      if (!row || Date.parse(row.expires_at) <= Date.now()) return null;
+      return row.value;
+    },
+    async set(key, value, ttlMs) {
+      await supabaseRest(SUPABASE_TABLE, {
+        method: "POST",
+        body: {
+          key: prefixed(key),
+          value,
+          expires_at: new Date(Date.now() + ttlMs).toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+        headers: { Prefer: "return=minimal, resolution=merge-duplicates" },
+        timeoutMs,
+      });
+    },
+    async delete(key) {
+      await supabaseRest(`${SUPABASE_TABLE}?key=eq.${encodeURIComponent(prefixed(key))}`, {
+        method: "DELETE",
+        timeoutMs,
+      });
+    },
+  };
+}
+
+function getUpstashConfig() {
+  const url = process.env.UPSTASH_REDIS_REST_URL || process.env.KV_REST_API_URL;
+  const token = process.env.UPSTASH_REDIS_REST_TOKEN || process.env.KV_REST_API_TOKEN;
+  return url && token ? { url: url.replace(/\/+$/, ""), token } : null;
+}
+
+function createUpstashStore({ namespace, url, token, timeoutMs = DEFAULT_UPSTASH_TIMEOUT_MS }) {
+  const prefixed = (key) => `${namespace}:${key}`;
+
+  async function command(args) {
+    const response = await fetchWithTimeout(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(args),
+    }, timeoutMs);
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`Upstash cache error (${response.status}): ${data.error || "no body"}`);
+    }
+    return data.result;
+  }
+
+  return {
+    name: "upstash",
+    async get(key) {
+      const raw = await command(["GET", prefixed(key)]);
+      return raw === null || raw === undefined ? null : JSON.parse(raw);
+    },
+    async set(key, value, ttlMs) {
+      await command(["SET", prefixed(key), JSON.stringify(value), "PX", String(Math.max(1, Math.round(ttlMs)))]);
+    },
+    async delete(key) {
+      await command(["DEL", prefixed(key)]);
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.namespace   Key prefix, e.g. "barcode"
+ * @param {string} [options.store]     "memory" | "supabase" | "upstash"
+ *                                     (default: CACHE_STORE, KV_STORE, then
+ *                                     upstash when configured)
+ * @returns {object|null} a store shared by every instance, or null for memory only
+ */
+function createSharedStore({ namespace, store } = {}) {
+  const upstash = getUpstashConfig();
+  const backend = (
+    store ||
+    process.env.CACHE_STORE ||
+    process.env.KV_STORE ||
+    (upstash ? "upstash" : "memory")
+  ).toLowerCase();
+  const timeoutMs = parseInt(process.env.CACHE_STORE_TIMEOUT_MS);
+
+  if (backend === "upstash" && upstash) {
+    return createUpstashStore({ namespace, ...upstash, timeoutMs: timeoutMs || DEFAULT_UPSTASH_TIMEOUT_MS });
+  }
+  if (backend === "supabase" && isSupabaseConfigured()) {
+    return createSupabaseStore({ namespace, timeoutMs: timeoutMs || DEFAULT_SUPABASE_TIMEOUT_MS });
+  }
+  if (backend !== "memory") {
+    console.error(`Cache store "${backend}" is not configured for ${namespace}; using memory only`);
+  }
+  return null;
+}
+
+module.exports = {
+  createSupabaseStore,
+  createUpstashStore,
+  createSharedStore,
+  getUpstashConfig,
+};
@@ -0,0 +1,257 @@
+/**
+ * Meal nutrition calculator (shared)
+ *
+ * Totals a plate of foods. Each item names its food one of three ways and
+ * is resolved through the existing pipelines:
+ *
+ *   { barcode: "036000291452" }   lib/barcode-lookup.js (cached provider chain)
+ *   { foodId: "33691" }           FatSecret food.get.v4
+ *   { query: "banana" }           FatSecret foods.search → best match → food.get.v4
+ *
+ * plus an optional quantity (default 1) and unit (default "serving").
+ * Units are converted against the food's servings (lib/units.js):
+ *
+ *   serving      × the default serving
+ *   cup, slice…  × a serving with the same measure ("1 cup" = 1 cup serving)
+ *   g, oz, lb…   per-100 g values, else a serving with a gram weight
+ *   ml, l, tsp…  per-100 ml values, else a serving with a ml volume
+ *
+ * Items that cannot be resolved or converted are reported with a reason
+ * instead of failing the whole meal.
+ */
+
+const { callFatSecret, toArray } = require("./fatsecret");
+const { getFood } = require("./providers/fatsecret");
+const { parseBarcode } = require("./gtin");
+const { lookupBarcodeCached } = require("./barcode-lookup");
+const { localeParams } = require("./region");
+const { createTtlCache, getCacheKey } = require("./cache");
+const {
+  normalizeFatSecretFood,
+  scaleNutrition,
+  addNutrition,
+  emptyNutrition,
+  percentDailyValues,
+  getDefaultServing,
+  toNumber,
+} = require("./nutrition");
+const { normalizeUnit, matchesMeasure } = require("./units");
+
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const foodCache = createTtlCache({ ttlMs: CACHE_TTL_MS });
+
+// FatSecret error code for a food_id that does not exist
+const INVALID_ID_ERROR_CODE = 106;
+
+async function getFoodProduct(foodId, locale) {
+  const cacheKey = getCacheKey("food", { foodId, ...locale });
+  const cached = foodCache.get(cacheKey);
+  if (cached) return cached;
+
+  const data = await getFood(foodId, locale);
+
+  if (data?.error) {
+    if (Number(data.error.code) === INVALID_ID_ERROR_CODE) return { reason: "food_not_found" };
+    return { reason: "fatsecret_error", error: data.error.message || String(data.error.code) };
+  }
+  if (!data?.food) return { reason: "food_not_found" };
+
+  const result = {
+    product: normalizeFatSecretFood(data.food, { region: locale.region, language: locale.language }),
+  };
+  foodCache.set(cacheKey, result);
+  return result;
+}
+
+async function searchFoodProduct(query, locale) {
+  const data = await callFatSecret("foods.search", {
+    search_expression: query,
+    max_results: 1,
+    ...localeParams(locale),
+  });
+
+  if (data?.error) {
+    return { reason: "fatsecret_error", error: data.error.message || String(data.error.code) };
+  }
+
+  const best = toArray(data?.foods?.food)[0];
+  if (!best) return { reason: "no_search_match" };
+  return getFoodProduct(String(best.food_id), locale);
+}
+
+function hasValue(item, key) {
+  return item[key] !== undefined && item[key] !== null && item[key] !== "";
+}
+
+/**
+ * @returns {Promise<{ product } | { reason, error? }>}
+ */
+async function resolveFood(item, locale) {
+  const { region, language } = locale;
+
+  if (hasValue(item, "barcode")) {
+    const parsed = parseBarcode(String(item.barcode));
+    if (parsed.error) return { reason: "invalid_barcode", error: parsed.reason };
+
+    const result = await lookupBarcodeCached(parsed, { attempts: locale.attempts });
+    return result.found ? { product: result.product } : { reason: "barcode_not_found" };
+  }
+
+  if (hasValue(item, "foodId")) {
+    const foodId = String(item.foodId).trim();
+    if (!/^\d+$/.test(foodId)) return { reason: "invalid_food_id" };
+    return getFoodProduct(foodId, { region, language });
+  }
+
+  return searchFoodProduct(String(item.query).trim(), { region, language });
+}
+
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 100) / 100;
+}
+
+function fromServing(serving, factor, basis) {
+  return {
+    basis,
+    servingDescription: serving.description,
+    grams: serving.grams !== null ? round(serving.grams * factor) : null,
+    ml: serving.ml !== null ? round(serving.ml * factor) : null,
+    nutrition: scaleNutrition(serving.nutrition, factor),
+  };
+}
+
+/** Metric amount via per-100 values, else via a serving declared in that unit. */
+function fromMetric(product, amount, metricUnit) {
+  const per100 = metricUnit === "g" ? product.per100g : product.per100ml;
+  const base = {
+    basis: metricUnit === "g" ? "per100g" : "per100ml",
+    servingDescription: null,
+    grams: metricUnit === "g" ? round(amount) : null,
+    ml: metricUnit === "ml" ? round(amount) : null,
+  };
+
+  if (per100) return { ...base, nutrition: scaleNutrition(per100, amount / 100) };
+
+  const serving = product.servings.find((s) => s.metricUnit === metricUnit && s.metricAmount > 0);
+  if (serving) {
+    return { ...base, basis: "serving_metric", nutrition: scaleNutrition(serving.nutrition, amount / serving.metricAmount) };
+  }
+
+  return null;
+}
+
+/**
+ * Nutrition for `quantity` × `unit` of a product.
+ * @returns {{ basis, servingDescription, grams, ml, nutrition } | { reason, availableUnits }}
+ */
+function computePortion(product, quantity, unitInput) {
+  const unit = normalizeUnit(unitInput);
+  const availableUnits = [...new Set([
+    "serving",
+    ...product.servings.map((s) => s.measurementDescription).filter(Boolean),
+    ...(product.per100g || product.servings.some((s) => s.grams) ? ["g", "oz", "lb"] : []),
+    ...(product.per100ml || product.servings.some((s) => s.ml) ? ["ml", "cup", "tbsp", "tsp"] : []),
+  ])];
+  const unconvertible = { reason: "unit_not_convertible", availableUnits };
+
+  if (unit.kind === "serving") {
+    const serving = getDefaultServing(product);
+    return serving ? fromServing(serving, quantity, "serving") : { reason: "no_servings", availableUnits };
+  }
+
+  // A declared serving in the same measure beats any metric conversion
+  const measure = unit.kind === "household" ? unit.unit : unit.measure;
+  const measured = product.servings.find((s) => matchesMeasure(s.measurementDescription, measure));
+  if (measured) {
+    return fromServing(measured, quantity / (measured.numberOfUnits || 1), "measure");
+  }
+
+  if (unit.kind === "mass") return fromMetric(product, quantity * unit.factor, "g") || unconvertible;
+  if (unit.kind === "volume") return fromMetric(product, quantity * unit.factor, "ml") || unconvertible;
+
+  return unconvertible;
+}
+
+function describeInput(item) {
+  const input = {};
+  for (const key of ["barcode", "foodId", "query", "quantity", "unit"]) {
+    if (item[key] !== undefined) input[key] = item[key];
+  }
+  return input;
+}
+
+/** Exactly one of barcode / foodId / query, and a positive quantity if given. */
+function validateItem(item) {
+  if (!item || typeof item !== "object") return "Item must be an object";
+
+  const keys = ["barcode", "foodId", "query"].filter((k) => hasValue(item, k));
+  if (keys.length !== 1) return "Item needs exactly one of barcode, foodId or query";
+
+  if (item.quantity !== undefined) {
+    const quantity = toNumber(item.quantity);
+    if (!(quantity > 0)) return "quantity must be a positive number";
+  }
+  return null;
+}
+
+/**
+ * @param {object} item
+ * @param {object} locale  From resolveLocale()
+ * @returns {Promise<object>}  { status: "resolved", … } | { status: "unresolved", reason, … }
+ */
+async function calculateItem(item, locale) {
+  const input = describeInput(item || {});
+
+  const invalid = validateItem(item);
+  if (invalid) return { status: "unresolved", input, reason: "invalid_item", error: invalid };
+
+  let resolved;
+  try {
+    resolved = await resolveFood(item, locale);
+  } catch (err) {
+    return { status: "unresolved", input, reason: "lookup_failed", error: err.message };
+  }
+  if (!resolved.product) return { status: "unresolved", input, ...resolved };
+
+  const { product } = resolved;
+  const quantity = item.quantity !== undefined ? toNumber(item.quantity) : 1;
+  const unit = item.unit ? String(item.unit) : "serving";
+  const portion = computePortion(product, quantity, unit);
+
+  const food = {
+    source: product.source,
+    foodId: product.foodId,
+    barcode: product.barcode,
+    name: product.name,
+    brand: product.brand,
+  };
+
+  if (portion.reason) return { status: "unresolved", input, food, ...portion };
+
+  return {
+    status: "resolved",
+    input,
+    food,
+    quantity,
+    unit,
+    ...portion,
+    percentDailyValues: percentDailyValues(portion.nutrition),
+  };
+}
+
+/** Totals across resolved items (see lib/nutrition.js addNutrition). */
+function totalNutrition(items) {
+  return items
+    .filter((item) => item.status === "resolved")
+    .reduce((total, item) => addNutrition(total, item.nutrition), emptyNutrition());
+}
+
+module.exports = {
+  foodCache,
+  resolveFood,
+  computePortion,
+  validateItem,
+  calculateItem,
+  totalNutrition,
+};
@@ -0,0 +1,509 @@
+/**
+ * Normalized product / nutrition document (shared)
+ *
+ * FatSecret's food.get payload is awkward to consume directly:
+ *   • servings.serving is an object for one serving, an array for many
+ *   • every number arrives as a string ("12.50")
+ *   • nutrients a product does not declare are simply missing
+ *
+ * normalizeFatSecretFood() turns it into a stable, versioned document
+ * that the scanner, /api/agent and /api/harmony-agent can rely on without
+ * defensive parsing. Bump PRODUCT_SCHEMA_VERSION on any breaking change.
+ *
+ * Shape (schemaVersion 1):
+ *   {
+ *     schemaVersion, source, foodId, barcode,
+ *     region, language,       // FatSecret database that answered
+ *     name, brand, type, url, imageUrl,
+ *     ingredients,            // string | null
+ *     additives,              // ["e330", …] | null when unknown
+ *     isOrganic, isNonGMO,    // boolean | null when unknown
+ *     fruitVegPercent,        // fruit/veg/nuts share, number | null
+ *     allergens,              // { [allergen]: "contains" | "free" | "unknown" }
+ *     dietary,                // { vegan, vegetarian }: "yes" | "no" | "unknown"
+ *     servings: [{
+ *       id, description, isDefault,
+ *       numberOfUnits, measurementDescription,
+ *       metricAmount, metricUnit,  // as declared by FatSecret
+ *       grams, ml,                 // number | null
+ *       nutrition,                 // see emptyNutrition()
+ *     }],
+ *     per100g,                // nutrition | null
+ *     per100ml,               // nutrition | null
+ *     sources,                // field path → provider, see mergeProducts()
+ *     healthScore,            // lib/health-score.js, set by the barcode pipeline
+ *   }
+ *
+ * All nutrient values are numbers or null (never strings, never missing).
+ *
+ * Search hits (foods.search, /api/foods) come from normalizeFatSecretSearchHit()
+ * in the same shape with source "fatsecret-search": identity fields plus one
+ * serving parsed from food_description (calories, fat, carbohydrate,
+ * protein). Everything else stays null / unknown until the food is fetched
+ * by foodId.
+ */
+
+const { toArray } = require("./fatsecret");
+const { strongerStatus } = require("./allergens");
+
+const PRODUCT_SCHEMA_VERSION = 1;
+
+// FatSecret serving field → [group, normalized key]. Units are fixed per key.
+const NUTRIENT_FIELDS = {
+  calories: [null, "calories"],              // kcal
+  protein: ["macros", "protein"],            // g
+  carbohydrate: ["macros", "carbohydrate"],  // g
+  fat: ["macros", "fat"],                    // g
+  saturated_fat: ["macros", "saturatedFat"],
+  trans_fat: ["macros", "transFat"],
+  polyunsaturated_fat: ["macros", "polyunsaturatedFat"],
+  monounsaturated_fat: ["macros", "monounsaturatedFat"],
+  fiber: ["macros", "fiber"],
+  sugar: ["macros", "sugar"],
+  added_sugars: ["macros", "addedSugars"],
+  cholesterol: ["micros", "cholesterolMg"],
+  sodium: ["micros", "sodiumMg"],
+  potassium: ["micros", "potassiumMg"],
+  calcium: ["micros", "calciumMg"],
+  iron: ["micros", "ironMg"],
+  vitamin_a: ["micros", "vitaminAMcg"],
+  vitamin_c: ["micros", "vitaminCMg"],
+  vitamin_d: ["micros", "vitaminDMcg"],
+};
+
+// FatSecret food_attributes allergen name → our allergen key (lib/allergens.js)
+const FATSECRET_ALLERGENS = {
+  egg: "eggs",
+  fish: "fish",
+  gluten: "gluten",
+  lactose: "lactose",
+  milk: "milk",
+  nuts: "treeNuts",
+  peanuts: "peanuts",
+  sesame: "sesame",
+  shellfish: "shellfish",
+  soy: "soy",
+};
+
+// FatSecret food_attributes preference name → our dietary key
+const FATSECRET_PREFERENCES = {
+  vegan: "vegan",
+  vegetarian: "vegetarian",
+};
+
+// FDA reference daily values (2,000 kcal diet), same keys/units as nutrition
+const DAILY_VALUES = {
+  calories: 2000,
+  macros: {
+    protein: 50,
+    carbohydrate: 275,
+    fat: 78,
+    saturatedFat: 20,
+    fiber: 28,
+    addedSugars: 50,
+  },
+  micros: {
+    cholesterolMg: 300,
+    sodiumMg: 2300,
+    potassiumMg: 4700,
+    calciumMg: 1300,
+    ironMg: 18,
+    vitaminAMcg: 900,
+    vitaminCMg: 90,
+    vitaminDMcg: 20,
+  },
+};
+
+function emptyNutrition() {
+  const nutrition = { calories: null, macros: {}, micros: {} };
+  for (const [group, key] of Object.values(NUTRIENT_FIELDS)) {
+    if (group) nutrition[group][key] = null;
+  }
+  return nutrition;
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(value, digits = 2) {
+  if (value === null) return null;
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+/** Build a nutrition object from { calories, protein, sodiumMg, … } keyed by normalized name. */
+function buildNutrition(values) {
+  const nutrition = emptyNutrition();
+  nutrition.calories = toNumber(values.calories);
+  for (const [group, key] of Object.values(NUTRIENT_FIELDS)) {
+    if (group) nutrition[group][key] = toNumber(values[key]);
+  }
+  return nutrition;
+}
+
+function hasNutrition(nutrition) {
+  if (!nutrition) return false;
+  if (nutrition.calories !== null) return true;
+  return ["macros", "micros"].some((group) =>
+    Object.values(nutrition[group]).some((v) => v !== null)
+  );
+}
+
+function parseNutrition(serving) {
+  const nutrition = emptyNutrition();
+  for (const [field, [group, key]] of Object.entries(NUTRIENT_FIELDS)) {
+    const value = toNumber(serving[field]);
+    if (group) nutrition[group][key] = value;
+    else nutrition[key] = value;
+  }
+  return nutrition;
+}
+
+function scaleNutrition(nutrition, factor) {
+  const scaled = emptyNutrition();
+  scaled.calories = nutrition.calories === null ? null : round(nutrition.calories * factor);
+  for (const group of ["macros", "micros"]) {
+    for (const [key, value] of Object.entries(nutrition[group])) {
+      scaled[group][key] = value === null ? null : round(value * factor);
+    }
+  }
+  return scaled;
+}
+
+/** Sum of two nutrition objects; a nutrient is null only when both are. */
+function addNutrition(a, b) {
+  const sum = emptyNutrition();
+  const add = (x, y) => (x === null && y === null ? null : round((x || 0) + (y || 0)));
+  sum.calories = add(a.calories, b.calories);
+  for (const group of ["macros", "micros"]) {
+    for (const key of Object.keys(sum[group])) {
+      sum[group][key] = add(a[group][key], b[group][key]);
+    }
+  }
+  return sum;
+}
+
+/** Whole-number %DV for every nutrient with a daily value (null when unknown). */
+function percentDailyValues(nutrition) {
+  const percent = (value, dv) => (value === null ? null : Math.round((value / dv) * 100));
+  const result = { calories: percent(nutrition.calories, DAILY_VALUES.calories), macros: {}, micros: {} };
+  for (const group of ["macros", "micros"]) {
+    for (const [key, dv] of Object.entries(DAILY_VALUES[group])) {
+      result[group][key] = percent(nutrition[group][key], dv);
+    }
+  }
+  return result;
+}
+
+function normalizeServing(serving) {
+  const metricAmount = toNumber(serving.metric_serving_amount);
+  const metricUnit = serving.metric_serving_unit ? String(serving.metric_serving_unit).toLowerCase() : null;
+
+  return {
+    id: serving.serving_id ? String(serving.serving_id) : null,
+    description: serving.serving_description || null,
+    isDefault: serving.is_default === "1" || serving.is_default === 1,
+    numberOfUnits: toNumber(serving.number_of_units),
+    measurementDescription: serving.measurement_description || null,
+    metricAmount,
+    metricUnit,
+    grams: metricUnit === "g" ? metricAmount : null,
+    ml: metricUnit === "ml" ? metricAmount : null,
+    nutrition: parseNutrition(serving),
+  };
+}
+
+/** A serving built from metric values, for providers without FatSecret's shape. */
+function createServing({ id = null, description = null, metricAmount, metricUnit, nutrition }) {
+  const unit = metricUnit ? String(metricUnit).toLowerCase() : null;
+  const amount = toNumber(metricAmount);
+  return {
+    id,
+    description: description || (amount !== null && unit ? `${amount} ${unit}` : null),
+    isDefault: true,
+    numberOfUnits: 1,
+    measurementDescription: null,
+    metricAmount: amount,
+    metricUnit: unit,
+    grams: unit === "g" ? amount : null,
+    ml: unit === "ml" ? amount : null,
+    nutrition,
+  };
+}
+
+/** Per-100 values from the first serving (default first) declared in `unit`. */
+function computePer100(servings, unit) {
+  const ordered = [...servings].sort((a, b) => Number(b.isDefault) - Number(a.isDefault));
+  const base = ordered.find((s) => s.metricUnit === unit && s.metricAmount > 0);
+  if (!base) return null;
+  return scaleNutrition(base.nutrition, 100 / base.metricAmount);
+}
+
+/** FatSecret attribute value: "1" contains, "0" does not, "-1" unknown. */
+function parseAttributeValue(value) {
+  const n = parseInt(value);
+  if (n === 1) return 1;
+  if (n === 0) return 0;
+  return null;
+}
+
+/**
+ * food_attributes (food.get.v4, include_food_attributes=true) →
+ * { allergens, dietary }. Attributes FatSecret lists but we don't map
+ * are ignored; missing attributes leave both maps empty (= unknown).
+ */
+function parseFoodAttributes(attributes) {
+  const allergens = {};
+  const dietary = {};
+
+  for (const a of toArray(attributes?.allergens?.allergen)) {
+    const key = FATSECRET_ALLERGENS[String(a.name || "").toLowerCase()];
+    if (!key) continue;
+    const value = parseAttributeValue(a.value);
+    allergens[key] = value === 1 ? "contains" : value === 0 ? "free" : "unknown";
+  }
+
+  for (const p of toArray(attributes?.preferences?.preference)) {
+    const key = FATSECRET_PREFERENCES[String(p.name || "").toLowerCase()];
+    if (!key) continue;
+    const value = parseAttributeValue(p.value);
+    dietary[key] = value === 1 ? "yes" : value === 0 ? "no" : "unknown";
+  }
+
+  return { allergens, dietary };
+}
+
+/** Skeleton every provider fills in, so documents always have every key. */
+function createProduct(source, fields = {}) {
+  return {
+    schemaVersion: PRODUCT_SCHEMA_VERSION,
+    source,
+    foodId: null,
+    barcode: null,
+    region: null,
+    language: null,
+    name: null,
+    brand: null,
+    type: null,
+    url: null,
+    imageUrl: null,
+    ingredients: null,
+    additives: null,
+    isOrganic: null,
+    isNonGMO: null,
+    fruitVegPercent: null,
+    allergens: {},
+    dietary: {},
+    servings: [],
+    per100g: null,
+    per100ml: null,
+    sources: {},
+    healthScore: null,
+    ...fields,
+  };
+}
+
+/**
+ * @param {object} food     FatSecret food.get → food
+ * @param {object} [extra]  { barcode, region, language }
+ */
+function normalizeFatSecretFood(food, extra = {}) {
+  if (!food) return null;
+
+  const servings = toArray(food.servings?.serving).map(normalizeServing);
+  const { allergens, dietary } = parseFoodAttributes(food.food_attributes);
+
+  return createProduct("fatsecret", {
+    foodId: food.food_id ? String(food.food_id) : null,
+    barcode: extra.barcode || null,
+    region: extra.region || null,
+    language: extra.language || null,
+    name: food.food_name || null,
+    brand: food.brand_name || null,
+    type: food.food_type || null,
+    url: food.food_url || null,
+    // FatSecret food.get does not expose ingredient statements
+    ingredients: null,
+    allergens,
+    dietary,
+    servings,
+    per100g: computePer100(servings, "g"),
+    per100ml: computePer100(servings, "ml"),
+  });
+}
+
+// "Per 100g - Calories: 22kcal | Fat: 0.20g | Carbs: 3.26g | Protein: 3.09g"
+const SEARCH_DESCRIPTION_RE = /^Per\s+(.+?)\s+-\s+(.*)$/i;
+const SEARCH_DESCRIPTION_FIELDS = { calories: "calories", fat: "fat", carbs: "carbohydrate", protein: "protein" };
+
+function parseSearchDescription(text) {
+  const match = SEARCH_DESCRIPTION_RE.exec(String(text || "").trim());
+  if (!match) return null;
+
+  const values = {};
+  for (const part of match[2].split("|")) {
+    const [label, value] = part.split(":").map((s) => s.trim());
+    const key = SEARCH_DESCRIPTION_FIELDS[String(label).toLowerCase()];
+    if (key) values[key] = value;
+  }
+
+  const metric = /^([\d.]+)\s*(g|ml)$/i.exec(match[1]);
+  return createServing({
+    description: match[1],
+    metricAmount: metric ? metric[1] : null,
+    metricUnit: metric ? metric[2] : null,
+    nutrition: buildNutrition(values),
+  });
+}
+
+/**
+ * @param {object} food     FatSecret foods.search → foods.food[]
+ * @param {object} [extra]  { region, language }
+ */
+function normalizeFatSecretSearchHit(food, extra = {}) {
+  if (!food) return null;
+
+  const serving = parseSearchDescription(food.food_description);
+  const servings = serving ? [serving] : [];
+
+  return createProduct("fatsecret-search", {
+    foodId: food.food_id ? String(food.food_id) : null,
+    region: extra.region || null,
+    language: extra.language || null,
+    name: food.food_name || null,
+    brand: food.brand_name || null,
+    type: food.food_type || null,
+    url: food.food_url || null,
+    servings,
+    per100g: computePer100(servings, "g"),
+    per100ml: computePer100(servings, "ml"),
+  });
+}
+
+const MERGED_SCALAR_FIELDS = [
+  "name", "brand", "imageUrl", "ingredients",
+  "additives", "isOrganic", "isNonGMO", "fruitVegPercent",
+];
+
+const DIETARY_RANK = { no: 2, yes: 1, unknown: 0 };
+
+function mergeNutrition(products, field, sources) {
+  let merged = null;
+  for (const product of products) {
+    const nutrition = product[field];
+    if (!hasNutrition(nutrition)) continue;
+    if (!merged) merged = emptyNutrition();
+
+    if (merged.calories === null && nutrition.calories !== null) {
+      merged.calories = nutrition.calories;
+      sources[`${field}.calories`] = product.source;
+    }
+    for (const group of ["macros", "micros"]) {
+      for (const [key, value] of Object.entries(nutrition[group])) {
+        if (merged[group][key] === null && value !== null) {
+          merged[group][key] = value;
+          sources[`${field}.${group}.${key}`] = product.source;
+        }
+      }
+    }
+  }
+  return merged;
+}
+
+/**
+ * Merge documents from several providers, in priority order, into one.
+ * Each field (and each nutrient inside per100g / per100ml) comes from the
+ * first provider that has a value for it; `sources` records which one,
+ * keyed by field path:
+ *
+ *   { name: "fatsecret", ingredients: "openfoodfacts",
+ *     "per100g.macros.sugar": "usda", "allergens.milk": "openfoodfacts" }
+ *
+ * Allergens and dietary flags err on the side of caution instead: any
+ * provider reporting "contains" (or vegan "no") wins over one reporting
+ * "free" ("yes"), which wins over "unknown".
+ *
+ * Identity fields (foodId, type, url, region, language) and `source`
+ * come from the first (primary) document.
+ */
+function mergeProducts(products) {
+  const list = products.filter(Boolean);
+  if (list.length === 0) return null;
+
+  const primary = list[0];
+  const sources = {};
+  const merged = createProduct(primary.source, {
+    foodId: primary.foodId,
+    barcode: list.map((p) => p.barcode).find(Boolean) || null,
+    region: primary.region,
+    language: primary.language,
+    type: primary.type,
+    url: primary.url,
+  });
+
+  for (const field of MERGED_SCALAR_FIELDS) {
+    const from = list.find((p) => p[field] !== null && p[field] !== undefined && p[field] !== "");
+    if (from) {
+      merged[field] = from[field];
+      sources[field] = from.source;
+    }
+  }
+
+  const servingsFrom = list.find((p) => p.servings && p.servings.length > 0);
+  if (servingsFrom) {
+    merged.servings = servingsFrom.servings;
+    sources.servings = servingsFrom.source;
+  }
+
+  merged.per100g = mergeNutrition(list, "per100g", sources);
+  merged.per100ml = mergeNutrition(list, "per100ml", sources);
+
+  for (const product of list) {
+    for (const [allergen, status] of Object.entries(product.allergens || {})) {
+      const current = merged.allergens[allergen];
+      if (current && strongerStatus(current, status) === current) continue;
+      merged.allergens[allergen] = status;
+      sources[`allergens.${allergen}`] = product.source;
+    }
+    for (const [flag, value] of Object.entries(product.dietary || {})) {
+      const current = merged.dietary[flag];
+      if (current && (DIETARY_RANK[value] || 0) <= (DIETARY_RANK[current] || 0)) continue;
+      merged.dietary[flag] = value;
+      sources[`dietary.${flag}`] = product.source;
+    }
+  }
+
+  merged.sources = sources;
+  return merged;
+}
+
+/** The serving the UI should show first: FatSecret's default, else the first. */
+function getDefaultServing(product) {
+  if (!product || !product.servings || product.servings.length === 0) return null;
+  return product.servings.find((s) => s.isDefault) || product.servings[0];
+}
+
+module.exports = {
+  PRODUCT_SCHEMA_VERSION,
+  NUTRIENT_FIELDS,
+  FATSECRET_ALLERGENS,
+  DAILY_VALUES,
+  emptyNutrition,
+  buildNutrition,
+  hasNutrition,
+  toNumber,
+  parseNutrition,
+  scaleNutrition,
+  addNutrition,
+  percentDailyValues,
+  createProduct,
+  createServing,
+  parseFoodAttributes,
+  normalizeFatSecretFood,
+  normalizeFatSecretSearchHit,
+  mergeProducts,
+  getDefaultServing,
+};
@@ -0,0 +1,309 @@
+/**
+ * Kroger price history + deal detection (shared)
+ *
+ * Every priced product fetched from Kroger for a store (lib/kroger.js
+ * search and detail, the agent's ingredient pricing) is recorded as one
+ * snapshot per (productId, locationId, date). The latest observation of
+ * the day wins. Dates are UTC.
+ *
+ * From those snapshots:
+ *   summarizePriceHistory()  30/90-day lows, average, promo cadence and a
+ *                            "best time to buy" signal:
+ *                              buy_now            at or below the 90-day low
+ *                              good_price         near the 30-day low or well under average
+ *                              wait               above average and promos recur
+ *                              typical            none of the above
+ *                              insufficient_data  fewer than MIN_OBSERVATIONS days
+ *   findDeals()              products at a store priced at or near their
+ *                            90-day low
+ *
+ * Recording never throws and is skipped when Supabase is not configured.
+ * A warm instance skips rows it has already written with the same price.
+ * Writes are bounded by SNAPSHOT_WRITE_TIMEOUT_MS. lib/kroger.js awaits
+ * them (a serverless instance may be frozen once the response is sent, so
+ * an unawaited write can be lost); a slow Supabase adds at most that much
+ * to an uncached Kroger search.
+ *
+ * Supabase table:
+ *
+ *   create table kroger_price_snapshots (
+ *     product_id    text not null,
+ *     location_id   text not null,
+ *     observed_on   date not null,
+ *     upc           text,
+ *     brand         text,
+ *     description   text,
+ *     size          text,
+ *     regular_price numeric,
+ *     promo_price   numeric,
+ *     price         numeric not null,   -- what the shopper paid: promo when present
+ *     updated_at    timestamptz not null default now(),
+ *     primary key (product_id, location_id, observed_on)
+ *   );
+ *   create index kroger_price_snapshots_location_idx
+ *     on kroger_price_snapshots (location_id, observed_on);
+ */
+
+const { isSupabaseConfigured, supabaseRest } = require("./supabase");
+const { createTtlCache } = require("./cache");
+
+const TABLE = "kroger_price_snapshots";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_DAYS = 90;
+const MIN_OBSERVATIONS = 5;
+
+// Within this fraction of the low still counts as "at the low"
+const DEFAULT_DEAL_THRESHOLD = 0.05;
+const MAX_DEAL_ROWS = 5000;
+
+const SNAPSHOT_WRITE_TIMEOUT_MS = 1000;
+
+const recorded = createTtlCache({ ttlMs: 6 * 60 * 60 * 1000, maxEntries: 5000 });
+
+function isoDate(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function daysAgo(days) {
+  return isoDate(Date.now() - days * DAY_MS);
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/** ---------------------------
+ *  Recording
+ *  --------------------------- */
+
+/**
+ * @param {object[]} products  { productId, upc, brand, description, size, price, promoPrice }
+ * @param {string} locationId
+ */
+async function recordPriceSnapshots(products, locationId) {
+  if (!locationId || !isSupabaseConfigured()) return;
+
+  const observedOn = isoDate();
+  const rows = [];
+
+  for (const p of products || []) {
+    const price = p.promoPrice || p.price;
+    if (!p.productId || !(price > 0)) continue;
+
+    const key = `${p.productId}:${locationId}:${observedOn}`;
+    if (recorded.get(key) === price) continue;
+    recorded.set(key, price);
+
+    rows.push({
+      product_id: p.productId,
+      location_id: locationId,
+      observed_on: observedOn,
+      upc: p.upc || null,
+      brand: p.brand || null,
+      description: p.description || null,
+      size: p.size || null,
+      regular_price: p.price || null,
+      promo_price: p.promoPrice || null,
+      price,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  if (rows.length === 0) return;
+
+  try {
+    await supabaseRest(`${TABLE}?on_conflict=product_id,location_id,observed_on`, {
+      method: "POST",
+      body: rows,
+      headers: { Prefer: "return=minimal, resolution=merge-duplicates" },
+      timeoutMs: SNAPSHOT_WRITE_TIMEOUT_MS,
+    });
+  } catch (err) {
+    for (const row of rows) recorded.entries.delete(`${row.product_id}:${locationId}:${observedOn}`);
+    console.error("Price snapshot write failed:", err.message);
+  }
+}
+
+/** ---------------------------
+ *  Reading
+ *  --------------------------- */
+function toObservation(row) {
+  return {
+    date: row.observed_on,
+    price: Number(row.price),
+    regularPrice: row.regular_price === null ? null : Number(row.regular_price),
+    promoPrice: row.promo_price === null ? null : Number(row.promo_price),
+  };
+}
+
+/** Oldest first. */
+async function getPriceHistory(productId, locationId, days = HISTORY_DAYS) {
+  const rows = await supabaseRest(
+    `${TABLE}?product_id=eq.${encodeURIComponent(productId)}` +
+    `&location_id=eq.${encodeURIComponent(locationId)}` +
+    `&observed_on=gte.${daysAgo(days)}` +
+    "&select=observed_on,price,regular_price,promo_price,upc,brand,description,size" +
+    "&order=observed_on.asc"
+  );
+
+  const list = rows || [];
+  const latest = list[list.length - 1];
+
+  return {
+    product: latest
+      ? { productId, upc: latest.upc, brand: latest.brand, description: latest.description, size: latest.size }
+      : null,
+    observations: list.map(toObservation),
+  };
+}
+
+/** Start dates of consecutive promo runs. */
+function promoRunStarts(observations) {
+  const starts = [];
+  let inRun = false;
+  for (const o of observations) {
+    if (o.promoPrice && !inRun) starts.push(o.date);
+    inRun = !!o.promoPrice;
+  }
+  return starts;
+}
+
+/**
+ * @param {object[]} observations  oldest first, from getPriceHistory()
+ */
+function summarizePriceHistory(observations) {
+  if (observations.length === 0) {
+    return { observations: 0, signal: "insufficient_data", reason: "No prices recorded for this store yet" };
+  }
+
+  // History can span more than 90 days; the lows and averages do not
+  const since30 = daysAgo(30);
+  const since90 = daysAgo(HISTORY_DAYS);
+  const last30 = observations.filter((o) => o.date >= since30);
+  const last90 = observations.filter((o) => o.date >= since90);
+  const current = observations[observations.length - 1];
+  const prices90 = (last90.length > 0 ? last90 : [current]).map((o) => o.price);
+
+  const low90 = Math.min(...prices90);
+  const high90 = Math.max(...prices90);
+  const low30 = last30.length > 0 ? Math.min(...last30.map((o) => o.price)) : null;
+  const average90 = round2(prices90.reduce((sum, p) => sum + p, 0) / prices90.length);
+
+  const starts = promoRunStarts(last90);
+  const gaps = starts.slice(1).map((date, i) => (Date.parse(date) - Date.parse(starts[i])) / DAY_MS);
+  const promoCycleDays = gaps.length > 0 ? Math.round(gaps.reduce((s, g) => s + g, 0) / gaps.length) : null;
+  const lastPromoStart = starts[starts.length - 1] || null;
+
+  const summary = {
+    observations: observations.length,
+    firstSeen: observations[0].date,
+    lastSeen: current.date,
+    currentPrice: current.price,
+    onPromo: !!current.promoPrice,
+    low30,
+    low90,
+    high90,
+    average90,
+    percentAboveLow90: low90 > 0 ? Math.round((current.price / low90 - 1) * 100) : null,
+    promoDays: last90.filter((o) => o.promoPrice).length,
+    lastPromoStart,
+    promoCycleDays,
+    expectedNextPromo: promoCycleDays && lastPromoStart
+      ? isoDate(Date.parse(lastPromoStart) + promoCycleDays * DAY_MS)
+      : null,
+  };
+
+  if (last90.length < MIN_OBSERVATIONS) {
+    return { ...summary, signal: "insufficient_data", reason: `Only ${last90.length} day(s) of prices in the last 90 days` };
+  }
+  if (current.price <= low90) {
+    return { ...summary, signal: "buy_now", reason: "At its lowest price in 90 days" };
+  }
+  if ((low30 !== null && current.price <= low30 * (1 + DEFAULT_DEAL_THRESHOLD)) || current.price <= average90 * 0.9) {
+    return { ...summary, signal: "good_price", reason: "Near its 30-day low or well under its usual price" };
+  }
+  if (current.price > average90 * 1.05 && starts.length > 0) {
+    return {
+      ...summary,
+      signal: "wait",
+      reason: summary.expectedNextPromo
+        ? `Above its usual price; promos recur about every ${promoCycleDays} days`
+        : "Above its usual price; it has been on promo recently",
+    };
+  }
+  return { ...summary, signal: "typical", reason: "Around its usual price" };
+}
+
+/**
+ * Products at `locationId` whose latest price (seen in the last
+ * `freshDays`) is within `threshold` of their 90-day low and below their
+ * 90-day high — a price that never moves is not a deal.
+ *
+ * Reads the newest MAX_DEAL_ROWS rows of the window, so a busy store loses
+ * its oldest history first, never its current prices.
+ */
+async function findDeals(locationId, { threshold = DEFAULT_DEAL_THRESHOLD, limit = 20, freshDays = 3 } = {}) {
+  const rows = await supabaseRest(
+    `${TABLE}?location_id=eq.${encodeURIComponent(locationId)}` +
+    `&observed_on=gte.${daysAgo(HISTORY_DAYS)}` +
+    "&select=product_id,observed_on,price,regular_price,promo_price,upc,brand,description,size" +
+    `&order=observed_on.desc&limit=${MAX_DEAL_ROWS}`
+  );
+
+  // Oldest first from here on, as summarizePriceHistory() expects
+  const byProduct = new Map();
+  for (const row of (rows || []).reverse()) {
+    if (!byProduct.has(row.product_id)) byProduct.set(row.product_id, []);
+    byProduct.get(row.product_id).push(row);
+  }
+
+  const freshSince = daysAgo(freshDays);
+  const deals = [];
+
+  for (const [productId, productRows] of byProduct) {
+    const latest = productRows[productRows.length - 1];
+    if (latest.observed_on < freshSince || productRows.length < 2) continue;
+
+    const summary = summarizePriceHistory(productRows.map(toObservation));
+    if (summary.currentPrice >= summary.high90) continue;
+    if (summary.currentPrice > summary.low90 * (1 + threshold)) continue;
+
+    deals.push({
+      productId,
+      upc: latest.upc ?? null,
+      brand: latest.brand ?? null,
+      description: latest.description ?? null,
+      size: latest.size ?? null,
+      price: summary.currentPrice,
+      regularPrice: latest.regular_price === null ? null : Number(latest.regular_price),
+      onPromo: summary.onPromo,
+      low90: summary.low90,
+      high90: summary.high90,
+      average90: summary.average90,
+      savingsVsAverage: round2(summary.average90 - summary.currentPrice),
+      percentBelowAverage: Math.round((1 - summary.currentPrice / summary.average90) * 100),
+      signal: summary.signal,
+      observations: summary.observations,
+      lastSeen: summary.lastSeen,
+    });
+  }
+
+  deals.sort((a, b) => b.percentBelowAverage - a.percentBelowAverage);
+
+  return {
+    locationId,
+    threshold,
+    productsTracked: byProduct.size,
+    count: Math.min(deals.length, limit),
+    deals: deals.slice(0, limit),
+  };
+}
+
+module.exports = {
+  HISTORY_DAYS,
+  recordPriceSnapshots,
+  getPriceHistory,
+  summarizePriceHistory,
+  findDeals,
+};
@@ -0,0 +1,138 @@
+/**
+ * Barcode provider: FatSecret Platform API
+ *
+ *   1. For each region in the fallback order (lib/region.js), try each
+ *      equivalent barcode variant (lib/gtin.js) with
+ *      food.find_id_for_barcode until one returns a non-zero food_id
+ *   2. food.get.v4 for that id, in the region/language that matched,
+ *      with food_attributes (allergens, vegan/vegetarian)
+ *   3. Normalize (lib/nutrition.js)
+ *
+ * FatSecret returns food_id = 0 when a barcode has no match; calling
+ * food.get with ID 0 fails with "Invalid ID: please check your food_id",
+ * so the pipeline stops there and reports not found.
+ *
+ * Any other `{ error }` payload (credentials, scope, quota, IP) is thrown
+ * as a provider error, as is a food.get failure after a barcode match, so
+ * the lookup is not mistaken for — and cached as — "not found". Only
+ * parameter errors (codes 101–108, e.g. a variant FatSecret rejects as a
+ * barcode) count as a miss for that variant.
+ *
+ * Base URL: FATSECRET_API_URL (see lib/fatsecret.js)
+ */
+
+const { callFatSecret } = require("../fatsecret");
+const { normalizeFatSecretFood } = require("../nutrition");
+const { DEFAULT_REGION, localeParams } = require("../region");
+
+const name = "fatsecret";
+
+// FatSecret "invalid parameter" error codes: about the input, not the account
+const PARAMETER_ERROR_CODES = { min: 101, max: 108 };
+
+function fatSecretError(step, error) {
+  const err = new Error(`FatSecret ${step} error ${error.code}: ${error.message}`);
+  err.code = error.code;
+  return err;
+}
+
+function isParameterError(error) {
+  const code = Number(error?.code);
+  return code >= PARAMETER_ERROR_CODES.min && code <= PARAMETER_ERROR_CODES.max;
+}
+
+function extractFoodId(barcodeResult) {
+  const foodId = barcodeResult?.food_id?.value || barcodeResult?.food_id;
+  if (!foodId || foodId === 0 || foodId === "0") return null;
+  return String(foodId);
+}
+
+/**
+ * food.get.v4 with food attributes for one food_id, in a region/language.
+ * Also used by the meal calculator (lib/meal.js) for FatSecret food IDs.
+ * @returns {Promise<object>}  Raw FatSecret response ({ food } or { error })
+ */
+async function getFood(foodId, locale = {}) {
+  return callFatSecret("food.get.v4", {
+    food_id: foodId,
+    include_food_attributes: "true",
+    flag_default_serving: "true",
+    ...localeParams(locale)
+  });
+}
+
+/**
+ * @param {object} parsed  Result of parseBarcode() (must not be an error)
+ * @param {object} [options]
+ * @param {Array<{ region, language }>} [options.attempts]  From resolveLocale()
+ * @returns {Promise<{ found: boolean, product?, matchedVariant, meta }>}
+ *   meta: { region, language, triedVariants, regionsTried, raw?, details? }
+ */
+async function lookup(parsed, options = {}) {
+  const attempts = options.attempts || [{ region: DEFAULT_REGION, language: "en" }];
+  const triedVariants = [];
+  const regionsTried = [];
+  let lastResult = null;
+
+  for (const locale of attempts) {
+    regionsTried.push(locale.region);
+
+    for (const variant of parsed.variants) {
+      triedVariants.push(variant);
+
+      lastResult = await callFatSecret("food.find_id_for_barcode", {
+        barcode: variant,
+        region: locale.region
+      });
+
+      if (lastResult?.error && !isParameterError(lastResult.error)) {
+        throw fatSecretError("food.find_id_for_barcode", lastResult.error);
+      }
+
+      const foodId = extractFoodId(lastResult);
+      if (!foodId) continue;
+
+      const foodResult = await getFood(foodId, locale);
+      if (foodResult?.error) throw fatSecretError("food.get", foodResult.error);
+
+      const product = normalizeFatSecretFood(foodResult?.food, {
+        barcode: parsed.gtin13 || parsed.gtin14,
+        region: locale.region,
+        language: locale.language,
+      });
+      if (!product) throw new Error(`FatSecret food.get returned no food for food_id ${foodId}`);
+
+      return {
+        found: true,
+        matchedVariant: variant,
+        product,
+        meta: {
+          region: locale.region,
+          language: locale.language,
+          triedVariants: [...new Set(triedVariants)],
+          regionsTried,
+          raw: foodResult,
+        },
+      };
+    }
+  }
+
+  return {
+    found: false,
+    matchedVariant: null,
+    meta: {
+      region: null,
+      language: null,
+      triedVariants: [...new Set(triedVariants)],
+      regionsTried,
+      details: lastResult,
+    },
+  };
+}
+
+module.exports = {
+  name,
+  extractFoodId,
+  getFood,
+  lookup,
+};
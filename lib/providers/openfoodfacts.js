@@ -0,0 +1,189 @@
+/**
+ * Barcode provider: Open Food Facts
+ *
+ *   GET {OPENFOODFACTS_BASE_URL}/api/v2/product/{gtin}.json
+ *
+ * Strong on ingredient statements and allergen tags, which FatSecret
+ * does not expose. Nutriments are declared per 100 g (or per 100 ml for
+ * drinks); energy in kcal, everything else in grams.
+ *
+ * Environment Variables (optional):
+ *   OPENFOODFACTS_BASE_URL   default https://world.openfoodfacts.org
+ *   OPENFOODFACTS_USER_AGENT default "HarmoniousFoodFinder/1.0"
+ */
+
+const { fetchWithTimeout } = require("../http");
+const { buildNutrition, hasNutrition, scaleNutrition, createProduct, createServing, toNumber } = require("../nutrition");
+
+const name = "openfoodfacts";
+
+const FIELDS = [
+  "code", "product_name", "brands", "image_front_url", "image_url",
+  "ingredients_text", "allergens_tags", "traces_tags",
+  "additives_tags", "labels_tags",
+  "nutriments", "serving_size", "serving_quantity", "serving_quantity_unit",
+].join(",");
+
+function getBaseUrl() {
+  return (process.env.OPENFOODFACTS_BASE_URL || "https://world.openfoodfacts.org").replace(/\/+$/, "");
+}
+
+// OFF allergen tag (after "en:") → our allergen key
+const ALLERGEN_TAGS = {
+  milk: "milk",
+  eggs: "eggs",
+  fish: "fish",
+  crustaceans: "shellfish",
+  molluscs: "shellfish",
+  nuts: "treeNuts",
+  peanuts: "peanuts",
+  soybeans: "soy",
+  gluten: "gluten",
+  sesame: "sesame",
+  celery: "celery",
+  mustard: "mustard",
+  lupin: "lupin",
+  "sulphur-dioxide-and-sulphites": "sulphites",
+};
+
+function parseAllergens(tags) {
+  const allergens = {};
+  for (const tag of tags || []) {
+    const key = ALLERGEN_TAGS[stripLanguage(tag)];
+    if (key) allergens[key] = "contains";
+  }
+  return allergens;
+}
+
+const ORGANIC_LABELS = ["organic", "eu-organic", "usda-organic", "fr-bio-01", "ab-agriculture-biologique"];
+const NON_GMO_LABELS = ["non-gmo-project", "no-gmos", "non-gmo", "ohne-gentechnik"];
+
+function stripLanguage(tag) {
+  return String(tag).replace(/^[a-z]{2}:/, "");
+}
+
+/** "en:e330" → "e330"; null when OFF has not analysed the ingredients */
+function parseAdditives(tags) {
+  return Array.isArray(tags) ? tags.map(stripLanguage) : null;
+}
+
+/** true when a label is present, null otherwise (absence is not a "no") */
+function hasLabel(tags, labels) {
+  return (tags || []).some((tag) => labels.includes(stripLanguage(tag))) ? true : null;
+}
+
+/** Grams → milligrams / micrograms for the micro nutrients OFF stores in g. */
+function mg(value) {
+  const n = toNumber(value);
+  return n === null ? null : Math.round(n * 1000 * 100) / 100;
+}
+function mcg(value) {
+  const n = toNumber(value);
+  return n === null ? null : Math.round(n * 1000000 * 100) / 100;
+}
+
+function parseNutriments(n = {}) {
+  return buildNutrition({
+    calories: n["energy-kcal_100g"],
+    protein: n.proteins_100g,
+    carbohydrate: n.carbohydrates_100g,
+    fat: n.fat_100g,
+    saturatedFat: n["saturated-fat_100g"],
+    transFat: n["trans-fat_100g"],
+    polyunsaturatedFat: n["polyunsaturated-fat_100g"],
+    monounsaturatedFat: n["monounsaturated-fat_100g"],
+    fiber: n.fiber_100g,
+    sugar: n.sugars_100g,
+    addedSugars: n["added-sugars_100g"],
+    cholesterolMg: mg(n.cholesterol_100g),
+    sodiumMg: mg(n.sodium_100g),
+    potassiumMg: mg(n.potassium_100g),
+    calciumMg: mg(n.calcium_100g),
+    ironMg: mg(n.iron_100g),
+    vitaminAMcg: mcg(n["vitamin-a_100g"]),
+    vitaminCMg: mg(n["vitamin-c_100g"]),
+    vitaminDMcg: mcg(n["vitamin-d_100g"]),
+  });
+}
+
+function normalizeOffProduct(p, barcode) {
+  const per100 = parseNutriments(p.nutriments);
+  const isLiquid = String(p.serving_quantity_unit || "").toLowerCase() === "ml";
+  const servingQuantity = toNumber(p.serving_quantity);
+
+  const servings = [];
+  if (servingQuantity > 0 && hasNutrition(per100)) {
+    servings.push(createServing({
+      description: p.serving_size || null,
+      metricAmount: servingQuantity,
+      metricUnit: isLiquid ? "ml" : "g",
+      nutrition: scaleNutrition(per100, servingQuantity / 100),
+    }));
+  }
+
+  return createProduct(name, {
+    foodId: p.code ? String(p.code) : null,
+    barcode,
+    name: p.product_name || null,
+    brand: p.brands ? String(p.brands).split(",")[0].trim() : null,
+    type: "Brand",
+    url: p.code ? `${getBaseUrl()}/product/${p.code}` : null,
+    imageUrl: p.image_front_url || p.image_url || null,
+    ingredients: p.ingredients_text || null,
+    additives: parseAdditives(p.additives_tags),
+    isOrganic: hasLabel(p.labels_tags, ORGANIC_LABELS),
+    isNonGMO: hasLabel(p.labels_tags, NON_GMO_LABELS),
+    fruitVegPercent: toNumber(
+      p.nutriments?.["fruits-vegetables-nuts_100g"] ??
+      p.nutriments?.["fruits-vegetables-nuts-estimate-from-ingredients_100g"]
+    ),
+    allergens: parseAllergens(p.allergens_tags),
+    servings,
+    per100g: !isLiquid && hasNutrition(per100) ? per100 : null,
+    per100ml: isLiquid && hasNutrition(per100) ? per100 : null,
+  });
+}
+
+/**
+ * @param {object} parsed   Result of parseBarcode()
+ * @param {object} [options] { timeoutMs }
+ */
+async function lookup(parsed, options = {}) {
+  const code = parsed.gtin13 || parsed.gtin14;
+  const url = `${getBaseUrl()}/api/v2/product/${code}.json?fields=${FIELDS}`;
+
+  const response = await fetchWithTimeout(url, {
+    headers: {
+      Accept: "application/json",
+      "User-Agent": process.env.OPENFOODFACTS_USER_AGENT || "HarmoniousFoodFinder/1.0",
+    },
+  }, options.timeoutMs);
+
+  if (response.status === 404) {
+    return { found: false, matchedVariant: null, meta: {} };
+  }
+  if (!response.ok) {
+    throw new Error(`Open Food Facts error (${response.status})`);
+  }
+
+  const data = await response.json();
+  if (data.status !== 1 || !data.product) {
+    return { found: false, matchedVariant: null, meta: {} };
+  }
+
+  return {
+    found: true,
+    matchedVariant: code,
+    product: normalizeOffProduct(data.product, code),
+    meta: {},
+  };
+}
+
+module.exports = {
+  name,
+  ALLERGEN_TAGS,
+  parseAllergens,
+  parseAdditives,
+  normalizeOffProduct,
+  lookup,
+};
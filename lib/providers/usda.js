@@ -0,0 +1,138 @@
+/**
+ * Barcode provider: USDA FoodData Central (Branded Foods)
+ *
+ *   GET {USDA_FDC_BASE_URL}/v1/foods/search?query={gtin}&dataType=Branded
+ *
+ * Branded food nutrients are reported per 100 g / 100 ml; the label
+ * serving comes from servingSize + servingSizeUnit.
+ *
+ * Environment Variables:
+ *   USDA_FDC_API_KEY     required — provider is skipped without it
+ *   USDA_FDC_BASE_URL    optional, default https://api.nal.usda.gov/fdc
+ */
+
+const { fetchWithTimeout } = require("../http");
+const { buildNutrition, hasNutrition, scaleNutrition, createProduct, createServing, toNumber } = require("../nutrition");
+
+const name = "usda";
+
+// FDC nutrient number → normalized key (units already match: g, mg, mcg)
+const NUTRIENT_NUMBERS = {
+  "208": "calories",
+  "203": "protein",
+  "205": "carbohydrate",
+  "204": "fat",
+  "606": "saturatedFat",
+  "605": "transFat",
+  "646": "polyunsaturatedFat",
+  "645": "monounsaturatedFat",
+  "291": "fiber",
+  "269": "sugar",
+  "539": "addedSugars",
+  "601": "cholesterolMg",
+  "307": "sodiumMg",
+  "306": "potassiumMg",
+  "301": "calciumMg",
+  "303": "ironMg",
+  "320": "vitaminAMcg",
+  "401": "vitaminCMg",
+  "328": "vitaminDMcg",
+};
+
+function getBaseUrl() {
+  return (process.env.USDA_FDC_BASE_URL || "https://api.nal.usda.gov/fdc").replace(/\/+$/, "");
+}
+
+function isConfigured() {
+  return !!process.env.USDA_FDC_API_KEY;
+}
+
+/** FDC stores UPCs as 12, 13 or 14 digits; compare on the GTIN-14 form. */
+function sameGtin(a, b) {
+  if (!a || !b) return false;
+  return String(a).padStart(14, "0") === String(b).padStart(14, "0");
+}
+
+function normalizeFdcFood(food, barcode) {
+  const values = {};
+  for (const n of food.foodNutrients || []) {
+    const key = NUTRIENT_NUMBERS[String(n.nutrientNumber)];
+    if (key && values[key] === undefined) values[key] = n.value;
+  }
+  const per100 = buildNutrition(values);
+
+  const unit = String(food.servingSizeUnit || "").toLowerCase();
+  const isLiquid = unit === "ml";
+  const servingSize = toNumber(food.servingSize);
+
+  const servings = [];
+  if (servingSize > 0 && (unit === "g" || unit === "ml") && hasNutrition(per100)) {
+    servings.push(createServing({
+      description: food.householdServingFullText || null,
+      metricAmount: servingSize,
+      metricUnit: unit,
+      nutrition: scaleNutrition(per100, servingSize / 100),
+    }));
+  }
+
+  return createProduct(name, {
+    foodId: food.fdcId ? String(food.fdcId) : null,
+    barcode,
+    name: food.description || null,
+    brand: food.brandName || food.brandOwner || null,
+    type: "Brand",
+    url: food.fdcId ? `https://fdc.nal.usda.gov/food-details/${food.fdcId}/nutrients` : null,
+    ingredients: food.ingredients || null,
+    servings,
+    per100g: !isLiquid && hasNutrition(per100) ? per100 : null,
+    per100ml: isLiquid && hasNutrition(per100) ? per100 : null,
+  });
+}
+
+/**
+ * @param {object} parsed   Result of parseBarcode()
+ * @param {object} [options] { timeoutMs }
+ */
+async function lookup(parsed, options = {}) {
+  if (!isConfigured()) {
+    return { found: false, skipped: true, matchedVariant: null, meta: { reason: "USDA_FDC_API_KEY not set" } };
+  }
+
+  const code = parsed.gtin13 && parsed.gtin13.startsWith("0") ? parsed.gtin13.slice(1) : (parsed.gtin13 || parsed.gtin14);
+  const params = new URLSearchParams({
+    query: code,
+    dataType: "Branded",
+    pageSize: "5",
+    api_key: process.env.USDA_FDC_API_KEY,
+  });
+
+  const response = await fetchWithTimeout(`${getBaseUrl()}/v1/foods/search?${params}`, {
+    headers: { Accept: "application/json" },
+  }, options.timeoutMs);
+
+  if (!response.ok) {
+    throw new Error(`USDA FoodData Central error (${response.status})`);
+  }
+
+  const data = await response.json();
+  const match = (data.foods || []).find((f) => sameGtin(f.gtinUpc, parsed.gtin14));
+
+  if (!match) {
+    return { found: false, matchedVariant: null, meta: {} };
+  }
+
+  return {
+    found: true,
+    matchedVariant: String(match.gtinUpc),
+    product: normalizeFdcFood(match, parsed.gtin13 || parsed.gtin14),
+    meta: {},
+  };
+}
+
+module.exports = {
+  name,
+  NUTRIENT_NUMBERS,
+  isConfigured,
+  normalizeFdcFood,
+  lookup,
+};
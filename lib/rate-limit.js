@@ -0,0 +1,323 @@
+/**
+ * Rate limiting (shared by every route)
+ *
+ * Fixed-window counters kept in a pluggable store:
+ *
+ *   memory   per-instance Map — dev, tests, and the fallback below
+ *   upstash  Upstash / Vercel KV Redis REST API — one count shared by
+ *            every serverless instance, survives cold starts
+ *
+ * RATE_LIMIT_STORE picks one; by default upstash is used when its REST
+ * URL and token are set. If the shared store errors or times out, the
+ * request is counted in the memory store instead of failing.
+ *
+ * Who a bucket belongs to, strongest first:
+ *   api key  X-API-Key listed in RATE_LIMIT_API_KEYS (tier from the list)
+ *   user     passed in by handlers after they verified the caller
+ *   ip       everyone else
+ *
+ * Limits are per route and per tier (anonymous, free, pro, partner, or
+ * any tier named in RATE_LIMIT_API_KEYS). Each route declares its base
+ * limit; tiers scale it by TIER_MULTIPLIERS unless RATE_LIMITS overrides:
+ *
+ *   RATE_LIMITS='{"barcode": {"anonymous": 100, "pro": 1000}, "kroger": 150}'
+ *
+ * (a number replaces the route's base limit, an object sets tiers).
+ *
+ * A request can cost more than one unit (a 100-code barcode batch costs
+ * 100), so a route's limit is then units per window, not requests.
+ *
+ * Every response carries the IETF RateLimit-Limit / -Remaining / -Reset /
+ * -Policy headers, the legacy X-RateLimit-* ones, and Retry-After on 429.
+ *
+ * Environment Variables (optional):
+ *   RATE_LIMIT_STORE              "memory" | "upstash"
+ *   UPSTASH_REDIS_REST_URL        (or KV_REST_API_URL)
+ *   UPSTASH_REDIS_REST_TOKEN      (or KV_REST_API_TOKEN)
+ *   RATE_LIMIT_STORE_TIMEOUT_MS   default 500
+ *   RATE_LIMIT_API_KEYS           "key1=partner,key2=internal"
+ *   RATE_LIMITS                   JSON, see above
+ */
+
+const crypto = require("crypto");
+const { fetchWithTimeout } = require("./http");
+const { getUpstashConfig } = require("./kv-store");
+
+const DEFAULT_STORE_TIMEOUT_MS = 500;
+
+const TIER_MULTIPLIERS = {
+  anonymous: 1,
+  free: 1,
+  pro: 3,
+  partner: 10,
+};
+
+// Every limiter created in this instance, for diagnostics
+const limiters = new Map();
+
+function getClientIp(req) {
+  const xff = req.headers["x-forwarded-for"];
+  if (typeof xff === "string" && xff.length > 0) {
+    return xff.split(",")[0].trim();
+  }
+  return (
+    req.headers["x-real-ip"] ||
+    req.connection?.remoteAddress ||
+    req.socket?.remoteAddress ||
+    "unknown"
+  );
+}
+
+/** ---------------------------
+ *  Stores
+ *  --------------------------- */
+function createMemoryRateStore() {
+  const buckets = new Map();
+  let lastCleanup = 0;
+
+  function cleanup(now) {
+    if (now - lastCleanup < 60 * 1000) return;
+    lastCleanup = now;
+    for (const [key, bucket] of buckets.entries()) {
+      if (now >= bucket.resetAt) buckets.delete(key);
+    }
+  }
+
+  async function increment(key, windowMs, by = 1) {
+    const now = Date.now();
+    cleanup(now);
+
+    let bucket = buckets.get(key);
+    if (!bucket || now >= bucket.resetAt) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(key, bucket);
+    }
+    bucket.count += by;
+    return { count: bucket.count, resetAt: bucket.resetAt };
+  }
+
+  return { name: "memory", increment, buckets };
+}
+
+/**
+ * One pipeline round-trip per request:
+ *   SET key 0 PX window NX   start the window if this is the first hit
+ *   INCRBY key n             count this request (n = its cost, usually 1)
+ *   PTTL key                 time left in the window
+ */
+function createUpstashRateStore({ url, token, timeoutMs }) {
+  async function pipeline(commands) {
+    const response = await fetchWithTimeout(`${url}/pipeline`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(commands),
+    }, timeoutMs);
+
+    if (!response.ok) {
+      throw new Error(`Upstash rate store error (${response.status})`);
+    }
+
+    const results = await response.json();
+    const failed = results.find((r) => r.error);
+    if (failed) throw new Error(`Upstash rate store error: ${failed.error}`);
+    return results.map((r) => r.result);
+  }
+
+  async function increment(key, windowMs, by = 1) {
+    const [, count, ttlMs] = await pipeline([
+      ["SET", key, "0", "PX", String(windowMs), "NX"],
+      ["INCRBY", key, String(by)],
+      ["PTTL", key],
+    ]);
+
+    // A key that somehow lost its expiry would never reset
+    if (ttlMs < 0) await pipeline([["PEXPIRE", key, String(windowMs)]]);
+
+    return { count: Number(count), resetAt: Date.now() + (ttlMs > 0 ? ttlMs : windowMs) };
+  }
+
+  return { name: "upstash", increment };
+}
+
+const memoryStore = createMemoryRateStore();
+let sharedStore;
+
+function getRateStore() {
+  if (sharedStore !== undefined) return sharedStore;
+
+  const configured = (process.env.RATE_LIMIT_STORE || "").toLowerCase();
+  const upstash = getUpstashConfig();
+
+  if (configured === "memory" || (!upstash && configured !== "upstash")) {
+    sharedStore = memoryStore;
+  } else if (!upstash) {
+    console.error("RATE_LIMIT_STORE=upstash but UPSTASH_REDIS_REST_URL/TOKEN are not set; using memory");
+    sharedStore = memoryStore;
+  } else {
+    sharedStore = createUpstashRateStore({
+      ...upstash,
+      timeoutMs: parseInt(process.env.RATE_LIMIT_STORE_TIMEOUT_MS) || DEFAULT_STORE_TIMEOUT_MS,
+    });
+  }
+  return sharedStore;
+}
+
+/** ---------------------------
+ *  Identity + limits
+ *  --------------------------- */
+function parseApiKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.RATE_LIMIT_API_KEYS || "").split(",")) {
+    const [key, tier] = entry.split("=").map((s) => (s || "").trim());
+    if (key) keys.set(hashKey(key), tier || "partner");
+  }
+  return keys;
+}
+
+function hashKey(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 16);
+}
+
+function parseRouteOverrides() {
+  if (!process.env.RATE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch (err) {
+    console.error("Invalid RATE_LIMITS JSON, ignoring:", err.message);
+    return {};
+  }
+}
+
+/**
+ * @param {object} req
+ * @param {object} [caller]  { user, tier } once the handler has verified them
+ * @returns {{ id: string, kind: "apiKey" | "user" | "ip", tier: string }}
+ */
+function resolveIdentity(req, caller = {}) {
+  const apiKey = req.headers["x-api-key"];
+  if (typeof apiKey === "string" && apiKey) {
+    const hashed = hashKey(apiKey);
+    const tier = parseApiKeys().get(hashed);
+    if (tier) return { id: `key:${hashed}`, kind: "apiKey", tier };
+  }
+
+  const userId = caller.user?.id || caller.userId;
+  if (userId) return { id: `user:${userId}`, kind: "user", tier: caller.tier || "free" };
+
+  return { id: `ip:${getClientIp(req)}`, kind: "ip", tier: "anonymous" };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.route        name used in keys and RATE_LIMITS
+ * @param {number} [options.windowMs]
+ * @param {number} options.maxRequests  base limit (anonymous tier)
+ * @param {object} [options.tiers]      explicit per-tier limits
+ */
+function createRateLimiter({ route, windowMs = 60 * 1000, maxRequests, tiers = {} }) {
+  function getLimit(tier) {
+    const override = parseRouteOverrides()[route];
+    if (typeof override === "number") return Math.round(override * (TIER_MULTIPLIERS[tier] || 1));
+    if (override && typeof override[tier] === "number") return override[tier];
+    if (typeof tiers[tier] === "number") return tiers[tier];
+    return Math.round(maxRequests * (TIER_MULTIPLIERS[tier] || 1));
+  }
+
+  /** @param {number} [cost]  units this request uses, default 1 */
+  async function checkRateLimit(identity, cost = 1) {
+    const limit = getLimit(identity.tier);
+    const key = `rl:${route}:${identity.id}`;
+    const store = getRateStore();
+
+    let counted;
+    let storeName = store.name;
+    try {
+      counted = await store.increment(key, windowMs, cost);
+    } catch (err) {
+      console.error(`Rate limit store ${store.name} failed, using memory:`, err.message);
+      counted = await memoryStore.increment(key, windowMs, cost);
+      storeName = memoryStore.name;
+    }
+
+    return {
+      allowed: counted.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - counted.count),
+      resetSeconds: Math.max(0, Math.ceil((counted.resetAt - Date.now()) / 1000)),
+      windowSeconds: Math.round(windowMs / 1000),
+      tier: identity.tier,
+      store: storeName,
+    };
+  }
+
+  function describe() {
+    return {
+      route,
+      windowSeconds: Math.round(windowMs / 1000),
+      limits: Object.fromEntries(Object.keys({ ...TIER_MULTIPLIERS, ...tiers }).map((t) => [t, getLimit(t)])),
+    };
+  }
+
+  const limiter = { route, checkRateLimit, getLimit, describe };
+  limiters.set(route, limiter);
+  return limiter;
+}
+
+/**
+ * Apply a limiter to a request. Sets the RateLimit headers and, when the
+ * caller is over the limit, answers 429 and resolves to false.
+ *
+ * @param {object} [caller]  { user, tier } for handlers that authenticate,
+ *   and `cost` for requests that do the work of several (e.g. a batch)
+ */
+async function enforceRateLimit(limiter, req, res, caller = {}) {
+  const cost = Math.max(1, Math.ceil(caller.cost || 1));
+  const rl = await limiter.checkRateLimit(resolveIdentity(req, caller), cost);
+
+  res.setHeader("RateLimit-Limit", String(rl.limit));
+  res.setHeader("RateLimit-Remaining", String(rl.remaining));
+  res.setHeader("RateLimit-Reset", String(rl.resetSeconds));
+  res.setHeader("RateLimit-Policy", `${rl.limit};w=${rl.windowSeconds}`);
+  res.setHeader("X-RateLimit-Limit", String(rl.limit));
+  res.setHeader("X-RateLimit-Remaining", String(rl.remaining));
+  res.setHeader("X-RateLimit-Reset", String(rl.resetSeconds));
+
+  if (!rl.allowed) {
+    res.statusCode = 429;
+    res.setHeader("Retry-After", String(rl.resetSeconds));
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({
+      error: "Too many requests",
+      message: `Rate limit exceeded. Try again in ~${rl.resetSeconds}s.`,
+      tier: rl.tier,
+    }));
+    return false;
+  }
+
+  return true;
+}
+
+/** Store + per-route limits for every limiter loaded in this instance. */
+function describeRateLimiters() {
+  const store = getRateStore();
+  return {
+    store: store.name,
+    memoryBuckets: memoryStore.buckets.size,
+    routes: [...limiters.values()].map((l) => l.describe()),
+  };
+}
+
+module.exports = {
+  TIER_MULTIPLIERS,
+  getClientIp,
+  createMemoryRateStore,
+  createUpstashRateStore,
+  getRateStore,
+  resolveIdentity,
+  createRateLimiter,
+  enforceRateLimit,
+  describeRateLimiters,
+};
@@ -0,0 +1,187 @@
+/**
+ * FatSecret recipes (shared)
+ *
+ *   searchRecipes()  → recipes.search.v3
+ *   getRecipe()      → recipe.get.v2
+ *
+ * Both return normalized recipe documents; FatSecret responses are cached
+ * per warm instance. Family safety is not part of the cached document —
+ * it depends on the caller, so handlers add it with withFamilySafety().
+ *
+ * Recipe shape:
+ *   {
+ *     id, name, description, url, imageUrl,
+ *     servings, prepTimeMin, cookTimeMin, rating,
+ *     types: string[],
+ *     ingredients: [{
+ *       foodId, name, description,   // description: "2 cups chopped onion"
+ *       quantity, unit, servingId, url,
+ *       allergens: string[],         // keys detected in this ingredient
+ *     }],
+ *     directions: [{ step, text }],
+ *     nutritionPerServing,           // see lib/nutrition.js emptyNutrition()
+ *     allergens,                     // { [allergen]: "contains" }, detected from ingredients
+ *   }
+ *
+ * Search results carry the same shape with whatever FatSecret includes in
+ * a search hit (ingredient descriptions only, calories + macros only, no
+ * directions).
+ */
+
+const { callFatSecret, toArray } = require("./fatsecret");
+const { parseNutrition, toNumber } = require("./nutrition");
+const { detectAllergens } = require("./allergens");
+const { familySafety } = require("./family");
+const { createTtlCache, getCacheKey } = require("./cache");
+
+const CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const recipeCache = createTtlCache({ ttlMs: CACHE_TTL_MS });
+
+// FatSecret error code for a recipe_id that does not exist
+const INVALID_ID_ERROR_CODE = 106;
+
+function normalizeIngredient(ingredient) {
+  const description = typeof ingredient === "string"
+    ? ingredient
+    : ingredient.ingredient_description || ingredient.food_name || "";
+
+  return {
+    foodId: ingredient.food_id ? String(ingredient.food_id) : null,
+    name: ingredient.food_name || null,
+    description,
+    quantity: toNumber(ingredient.number_of_units),
+    unit: ingredient.measurement_description || null,
+    servingId: ingredient.serving_id ? String(ingredient.serving_id) : null,
+    url: ingredient.ingredient_url || null,
+    allergens: Object.keys(detectAllergens(`${ingredient.food_name || ""} ${description}`)),
+  };
+}
+
+function recipeAllergens(ingredients) {
+  const allergens = {};
+  for (const ingredient of ingredients) {
+    for (const key of ingredient.allergens) allergens[key] = "contains";
+  }
+  return allergens;
+}
+
+/** recipes.search.v3 → recipes.recipe[] */
+function normalizeRecipeSummary(recipe) {
+  const ingredients = toArray(recipe.recipe_ingredients?.ingredient).map(normalizeIngredient);
+
+  return {
+    id: String(recipe.recipe_id),
+    name: recipe.recipe_name || null,
+    description: recipe.recipe_description || null,
+    url: null,
+    imageUrl: recipe.recipe_image || null,
+    servings: null,
+    prepTimeMin: null,
+    cookTimeMin: null,
+    rating: null,
+    types: toArray(recipe.recipe_types?.recipe_type),
+    ingredients,
+    directions: [],
+    nutritionPerServing: recipe.recipe_nutrition ? parseNutrition(recipe.recipe_nutrition) : null,
+    allergens: recipeAllergens(ingredients),
+  };
+}
+
+/** recipe.get.v2 → recipe */
+function normalizeRecipe(recipe) {
+  const ingredients = toArray(recipe.ingredients?.ingredient).map(normalizeIngredient);
+  const serving = toArray(recipe.serving_sizes?.serving)[0];
+
+  return {
+    id: String(recipe.recipe_id),
+    name: recipe.recipe_name || null,
+    description: recipe.recipe_description || null,
+    url: recipe.recipe_url || null,
+    imageUrl: toArray(recipe.recipe_images?.recipe_image)[0] || null,
+    servings: toNumber(recipe.number_of_servings),
+    prepTimeMin: toNumber(recipe.preparation_time_min),
+    cookTimeMin: toNumber(recipe.cooking_time_min),
+    rating: toNumber(recipe.rating),
+    types: toArray(recipe.recipe_types?.recipe_type),
+    ingredients,
+    directions: toArray(recipe.directions?.direction)
+      .map((d) => ({ step: toNumber(d.direction_number), text: d.direction_description || "" }))
+      .sort((a, b) => (a.step ?? 0) - (b.step ?? 0)),
+    nutritionPerServing: serving ? parseNutrition(serving) : null,
+    allergens: recipeAllergens(ingredients),
+  };
+}
+
+/**
+ * @param {object} params { query, type, maxCalories, page, maxResults }
+ * @returns {Promise<{ recipes, totalResults } | { error }>}
+ */
+async function searchRecipes({ query, type, maxCalories, page, maxResults }) {
+  const cacheKey = getCacheKey("recipes.search", { query: (query || "").toLowerCase(), type, maxCalories, page, maxResults });
+  const cached = recipeCache.get(cacheKey);
+  if (cached) return cached;
+
+  const data = await callFatSecret("recipes.search.v3", {
+    search_expression: query,
+    recipe_types: type,
+    "calories.to": maxCalories,
+    page_number: page,
+    max_results: maxResults,
+  });
+
+  if (data?.error) return { error: data.error };
+
+  const result = {
+    totalResults: parseInt(data?.recipes?.total_results) || 0,
+    recipes: toArray(data?.recipes?.recipe).map(normalizeRecipeSummary),
+  };
+
+  recipeCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * @returns {Promise<{ recipe } | { notFound: true } | { error }>}
+ */
+async function getRecipe(recipeId) {
+  const cacheKey = getCacheKey("recipe.get", { recipeId });
+  const cached = recipeCache.get(cacheKey);
+  if (cached) return cached;
+
+  const data = await callFatSecret("recipe.get.v2", { recipe_id: recipeId });
+
+  if (data?.error) {
+    if (Number(data.error.code) === INVALID_ID_ERROR_CODE) return { notFound: true };
+    return { error: data.error };
+  }
+  if (!data?.recipe) return { notFound: true };
+
+  const result = { recipe: normalizeRecipe(data.recipe) };
+  recipeCache.set(cacheKey, result);
+  return result;
+}
+
+/**
+ * Adds `familySafety` (lib/family.js) to a recipe; null when the caller
+ * has no family profiles loaded (anonymous request).
+ */
+function withFamilySafety(recipe, profiles) {
+  if (!profiles) return { ...recipe, familySafety: null };
+
+  const text = recipe.ingredients.map((i) => `${i.name || ""} ${i.description}`).join(", ");
+  return {
+    ...recipe,
+    familySafety: familySafety({ ingredients: text, allergens: recipe.allergens }, profiles),
+  };
+}
+
+module.exports = {
+  recipeCache,
+  normalizeIngredient,
+  normalizeRecipeSummary,
+  normalizeRecipe,
+  searchRecipes,
+  getRecipe,
+  withFamilySafety,
+};
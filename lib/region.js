@@ -0,0 +1,143 @@
+/**
+ * FatSecret region / language resolution (shared)
+ *
+ * FatSecret keeps a separate product database per region, so a Canadian
+ * or UK barcode never matches in the US database. resolveLocale() picks
+ * the region and language for a request from, in order:
+ *
+ *   1. ?region= / ?language= query parameters
+ *   2. Vercel geo header (x-vercel-ip-country)
+ *   3. Accept-Language region subtag (en-CA → CA)
+ *   4. DEFAULT_REGION
+ *
+ * and builds the fallback order (local region first, then
+ * FATSECRET_FALLBACK_REGIONS, default "US").
+ *
+ * Environment Variables (optional):
+ *   FATSECRET_FALLBACK_REGIONS   comma-separated, e.g. "US,GB"
+ */
+
+const DEFAULT_REGION = "US";
+
+// FatSecret region code → languages its localized database supports.
+// The first language is the region's default.
+const REGION_LANGUAGES = {
+  AR: ["es"], AU: ["en"], AT: ["de"], BE: ["nl", "fr"], BR: ["pt"],
+  CA: ["en", "fr"], CL: ["es"], CN: ["zh"], CO: ["es"], CZ: ["cs"],
+  DK: ["da"], FI: ["fi"], FR: ["fr"], DE: ["de"], GR: ["el"],
+  HK: ["zh", "en"], HU: ["hu"], IN: ["en", "hi"], ID: ["id"], IE: ["en"],
+  IL: ["he"], IT: ["it"], JP: ["ja"], MY: ["en", "ms"], MX: ["es"],
+  NL: ["nl"], NZ: ["en"], NO: ["no"], PE: ["es"], PH: ["en"],
+  PL: ["pl"], PT: ["pt"], PR: ["es", "en"], RO: ["ro"], RU: ["ru"],
+  SA: ["ar"], SG: ["en"], SK: ["sk"], ZA: ["en"], KR: ["ko"],
+  ES: ["es"], SE: ["sv"], CH: ["de", "fr", "it"], TW: ["zh"], TR: ["tr"],
+  AE: ["ar", "en"], GB: ["en"], US: ["en"], VE: ["es"],
+};
+
+// Common aliases clients send that FatSecret does not use
+const REGION_ALIASES = { UK: "GB" };
+
+function normalizeRegion(value) {
+  if (!value || typeof value !== "string") return null;
+  const code = value.trim().toUpperCase();
+  const region = REGION_ALIASES[code] || code;
+  return REGION_LANGUAGES[region] ? region : null;
+}
+
+function normalizeLanguage(value, region) {
+  if (!value || typeof value !== "string") return null;
+  const lang = value.trim().toLowerCase().split(/[-_]/)[0];
+  return (REGION_LANGUAGES[region] || []).includes(lang) ? lang : null;
+}
+
+/** Accept-Language → [{ language, region }] ordered by q-value. */
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== "string") return [];
+  return header
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith("q="));
+      const [language, region] = tag.split("-");
+      return {
+        language: (language || "").toLowerCase(),
+        region: region ? region.toUpperCase() : null,
+        q: q ? parseFloat(q.slice(2)) || 0 : 1,
+        index,
+      };
+    })
+    .filter((entry) => entry.language && entry.language !== "*")
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+}
+
+function getFallbackRegions() {
+  const configured = (process.env.FATSECRET_FALLBACK_REGIONS || DEFAULT_REGION)
+    .split(",")
+    .map(normalizeRegion)
+    .filter(Boolean);
+  return configured.length > 0 ? configured : [DEFAULT_REGION];
+}
+
+/**
+ * @returns {{ region, language, source, attempts: Array<{ region, language }> }}
+ *   `attempts` is the ordered list of region/language pairs to query.
+ */
+function resolveLocale(req) {
+  const query = req.query || {};
+  const accepted = parseAcceptLanguage(req.headers["accept-language"]);
+
+  let region = normalizeRegion(query.region);
+  let source = region ? "query" : null;
+
+  if (!region) {
+    region = normalizeRegion(req.headers["x-vercel-ip-country"]);
+    if (region) source = "geo";
+  }
+  if (!region) {
+    const match = accepted.find((entry) => normalizeRegion(entry.region));
+    if (match) {
+      region = normalizeRegion(match.region);
+      source = "accept-language";
+    }
+  }
+  if (!region) {
+    region = DEFAULT_REGION;
+    source = "default";
+  }
+
+  let language = normalizeLanguage(query.language, region);
+  if (!language) {
+    const match = accepted.find((entry) => normalizeLanguage(entry.language, region));
+    language = match ? match.language : REGION_LANGUAGES[region][0];
+  }
+
+  const attempts = [{ region, language }];
+  for (const fallback of getFallbackRegions()) {
+    if (!attempts.some((a) => a.region === fallback)) {
+      attempts.push({ region: fallback, language: REGION_LANGUAGES[fallback][0] });
+    }
+  }
+
+  return { region, language, source, attempts };
+}
+
+/**
+ * FatSecret params for a region/language pair. English is the default
+ * language everywhere and must not be sent for regions without it.
+ */
+function localeParams({ region, language }) {
+  return {
+    region,
+    language: language && language !== "en" ? language : undefined,
+  };
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  REGION_LANGUAGES,
+  normalizeRegion,
+  normalizeLanguage,
+  parseAcceptLanguage,
+  resolveLocale,
+  localeParams,
+};
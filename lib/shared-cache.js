@@ -0,0 +1,222 @@
+/**
+ * Namespaced read-through cache (shared)
+ *
+ * One caching layer for upstream data (Kroger, barcode providers, agent
+ * pricing):
+ *
+ *   memory   size-bounded LRU per instance (lib/cache.js)
+ *   shared   optional store every instance sees — Upstash / Vercel KV, or
+ *            the Supabase kv_cache table when CACHE_STORE=supabase
+ *            (lib/kv-store.js)
+ *
+ * getOrLoad(key, loader) serves, in order:
+ *   fresh    younger than the namespace TTL
+ *   stale    within the stale-while-revalidate window after it: returned
+ *            at once while one background load refreshes it
+ *   miss     loader() runs once per key per instance; concurrent misses
+ *            wait on the same promise instead of calling upstream again
+ *
+ * Loader errors are never cached. Shared-store errors and timeouts
+ * (CACHE_STORE_TIMEOUT_MS) are logged and treated as misses, so a slow or
+ * down store costs at most that budget per store call, plus the upstream
+ * calls it would have saved.
+ *
+ * Every cache counts hits, stale hits, misses, coalesced waits, loads,
+ * load errors and LRU evictions; describeCaches() reports them for
+ * /api/admin/diagnostics.
+ *
+ * Environment Variables (optional):
+ *   CACHE_TTLS   per-namespace overrides in seconds, e.g.
+ *                '{"kroger-products": 600, "barcode": {"ttl": 86400, "stale": 3600}}'
+ *   CACHE_STORE  shared backend, see lib/kv-store.js
+ */
+
+const { createTtlCache } = require("./cache");
+const { createSharedStore } = require("./kv-store");
+
+// Every cache created in this instance, for diagnostics
+const caches = new Map();
+
+function parseTtlOverrides() {
+  if (!process.env.CACHE_TTLS) return {};
+  try {
+    return JSON.parse(process.env.CACHE_TTLS);
+  } catch (err) {
+    console.error("Invalid CACHE_TTLS JSON, ignoring:", err.message);
+    return {};
+  }
+}
+
+/** Namespace defaults, then CACHE_TTLS (a number is the TTL, an object sets ttl / stale). */
+function resolveTtls(namespace, ttlMs, staleMs) {
+  const override = parseTtlOverrides()[namespace];
+  if (typeof override === "number") return { ttlMs: override * 1000, staleMs };
+  if (override && typeof override === "object") {
+    return {
+      ttlMs: typeof override.ttl === "number" ? override.ttl * 1000 : ttlMs,
+      staleMs: typeof override.stale === "number" ? override.stale * 1000 : staleMs,
+    };
+  }
+  return { ttlMs, staleMs };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.namespace     key prefix and CACHE_TTLS name, e.g. "kroger-products"
+ * @param {number} options.ttlMs         how long an entry is fresh
+ * @param {number} [options.staleMs]     stale-while-revalidate window after that
+ * @param {number} [options.maxEntries]  in-memory LRU cap
+ * @param {boolean} [options.shared]     false keeps entries in this instance only
+ * @param {string} [options.store]       shared backend override (lib/kv-store.js)
+ */
+function createSharedCache({ namespace, ttlMs, staleMs = 0, maxEntries = 500, shared = true, store }) {
+  const ttls = resolveTtls(namespace, ttlMs, staleMs);
+  const memory = createTtlCache({ ttlMs: ttls.ttlMs + ttls.staleMs, maxEntries });
+  const sharedStore = shared ? createSharedStore({ namespace, store }) : null;
+  const inflight = new Map();
+  const counters = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    coalesced: 0,
+    loads: 0,
+    loadErrors: 0,
+    sharedHits: 0,
+    sharedErrors: 0,
+  };
+
+  // Entries are { value, storedAt, ttlMs, staleMs } so every instance ages them alike
+  async function readEntry(key) {
+    const local = memory.get(key);
+    if (local) return local;
+    if (!sharedStore) return null;
+
+    try {
+      const entry = await sharedStore.get(key);
+      if (!entry || typeof entry.storedAt !== "number") return null;
+      const remainingMs = entry.storedAt + entry.ttlMs + entry.staleMs - Date.now();
+      if (remainingMs <= 0) return null;
+      counters.sharedHits++;
+      memory.set(key, entry, remainingMs);
+      return entry;
+    } catch (err) {
+      counters.sharedErrors++;
+      console.error(`Cache ${namespace} read failed:`, err.message);
+      return null;
+    }
+  }
+
+  async function writeEntry(key, value, entryTtlMs, entryStaleMs) {
+    const entry = { value, storedAt: Date.now(), ttlMs: entryTtlMs, staleMs: entryStaleMs };
+    memory.set(key, entry, entryTtlMs + entryStaleMs);
+    if (!sharedStore) return;
+
+    try {
+      await sharedStore.set(key, entry, entryTtlMs + entryStaleMs);
+    } catch (err) {
+      counters.sharedErrors++;
+      console.error(`Cache ${namespace} write failed:`, err.message);
+    }
+  }
+
+  /** One loader call per key at a time; the result is stored unless ttlFor() says 0. */
+  function refresh(key, loader, { ttlFor } = {}) {
+    if (inflight.has(key)) return inflight.get(key);
+
+    const promise = (async () => {
+      counters.loads++;
+      try {
+        const value = await loader();
+        const entryTtlMs = ttlFor ? ttlFor(value) : ttls.ttlMs;
+        if (entryTtlMs > 0) await writeEntry(key, value, entryTtlMs, ttls.staleMs);
+        return value;
+      } catch (err) {
+        counters.loadErrors++;
+        throw err;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+
+    inflight.set(key, promise);
+    return promise;
+  }
+
+  /**
+   * @param {string} key
+   * @param {() => Promise<*>} loader
+   * @param {object} [options]
+   * @param {(value) => number} [options.ttlFor]  per-value TTL in ms; 0 skips caching it
+   * @returns {Promise<{ value: *, status: "hit" | "stale" | "miss" | "coalesced" }>}
+   */
+  async function load(key, loader, options = {}) {
+    const entry = await readEntry(key);
+    const ageMs = entry ? Date.now() - entry.storedAt : Infinity;
+
+    if (ageMs < entry?.ttlMs) {
+      counters.hits++;
+      return { value: entry.value, status: "hit" };
+    }
+
+    if (ageMs < entry?.ttlMs + entry?.staleMs) {
+      counters.staleHits++;
+      refresh(key, loader, options).catch((err) => {
+        console.error(`Cache ${namespace} revalidation failed:`, err.message);
+      });
+      return { value: entry.value, status: "stale" };
+    }
+
+    counters.misses++;
+    if (inflight.has(key)) {
+      counters.coalesced++;
+      return { value: await inflight.get(key), status: "coalesced" };
+    }
+    return { value: await refresh(key, loader, options), status: "miss" };
+  }
+
+  async function getOrLoad(key, loader, options) {
+    return (await load(key, loader, options)).value;
+  }
+
+  /** Fresh or stale value, without loading. */
+  async function get(key) {
+    const entry = await readEntry(key);
+    return entry ? entry.value : null;
+  }
+
+  async function set(key, value, entryTtlMs = ttls.ttlMs) {
+    await writeEntry(key, value, entryTtlMs, ttls.staleMs);
+  }
+
+  async function remove(key) {
+    memory.entries.delete(key);
+    if (sharedStore) await sharedStore.delete(key);
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.staleHits + counters.misses;
+    return {
+      namespace,
+      store: sharedStore ? `memory+${sharedStore.name}` : "memory",
+      ttlSeconds: Math.round(ttls.ttlMs / 1000),
+      staleSeconds: Math.round(ttls.staleMs / 1000),
+      ...counters,
+      hitRate: lookups > 0 ? Math.round(((counters.hits + counters.staleHits) / lookups) * 1000) / 1000 : null,
+      inflight: inflight.size,
+      memory: memory.stats(),
+    };
+  }
+
+  const cache = { namespace, load, getOrLoad, get, set, delete: remove, stats };
+  caches.set(namespace, cache);
+  return cache;
+}
+
+function describeCaches() {
+  return [...caches.values()].map((cache) => cache.stats());
+}
+
+module.exports = {
+  createSharedCache,
+  describeCaches,
+};
@@ -0,0 +1,260 @@
+/**
+ * Store-brand swaps (shared)
+ *
+ * "Is there a cheaper store-brand version of this?" for one product at
+ * one Kroger store:
+ *
+ *   1. The original's detail (price, size, ingredients) by productId / UPC
+ *   2. searchProducts() once per store brand (Kroger, Simple Truth,
+ *      Simple Truth Organic, Private Selection) for the same kind of item,
+ *      same unit of measure (lib/units.js) and an overlapping category
+ *   3. Details for the closest few, for their ingredient statements
+ *   4. Ranking: ingredient similarity first, unit price second
+ *      (score = 0.6 × similarity + 0.4 × price score, where the price
+ *      score is 0.5 at the original's unit price and 1 at half of it)
+ *   5. Family safety (lib/family.js) for the original and every match.
+ *      A match with a worse verdict than the original for this family is
+ *      moved to `excluded`, never offered as a swap. A match Kroger lists
+ *      no ingredients for cannot rule out an allergy, so it is a caution
+ *      at best (lib/allergens.js) and never replaces a safe original.
+ *
+ * A search or detail Kroger rejects (KrogerRequestError) just drops that
+ * brand or candidate. KrogerUpstreamError propagates: an outage must not
+ * be reported, and cached, as "no store-brand swaps".
+ *
+ * Ingredients come from Kroger for the original and the matches alike,
+ * with allergens detected from that text (lib/allergens.js), so both
+ * sides are judged on the same evidence.
+ */
+
+const {
+  getProductDetail,
+  searchProducts,
+  effectiveUnitPrice,
+  equivalentSearchTerm,
+  KrogerRequestError,
+} = require("./kroger");
+const { familySafety } = require("./family");
+const { detectAllergens } = require("./allergens");
+const { mapWithConcurrency } = require("./concurrency");
+
+// Kroger `brand` values for its private labels
+const STORE_BRANDS = ["Kroger", "Simple Truth", "Simple Truth Organic", "Private Selection"];
+
+const SEARCH_LIMIT_PER_BRAND = 10;
+const MAX_DETAILED_CANDIDATES = 8;
+const DETAIL_CONCURRENCY = 4;
+const MIN_SIMILARITY = 0.25;
+
+const SIMILARITY_WEIGHT = 0.6;
+const PRICE_WEIGHT = 0.4;
+
+const VERDICT_RANK = { safe: 0, caution: 1, unsafe: 2 };
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isStoreBrand(brand) {
+  const normalized = String(brand || "").toLowerCase();
+  return STORE_BRANDS.some((b) => normalized === b.toLowerCase());
+}
+
+/** ---------------------------
+ *  Similarity
+ *  --------------------------- */
+
+/**
+ * "Milk, Vitamin A Palmitate (Vitamin A), Contains 2% or less of: Salt"
+ *   → ["milk", "vitamin a palmitate", "salt"]
+ */
+function parseIngredients(statement) {
+  return [...new Set(
+    String(statement || "")
+      .toLowerCase()
+      .replace(/\([^)]*\)|\[[^\]]*\]/g, "")           // parenthesised sub-ingredients
+      .replace(/contains (?:\d+%|two percent) or less of:?/g, ",")
+      .replace(/ingredients:?/g, "")
+      .split(/[,;.]|\band\b/)
+      .map((s) => s.replace(/\b(organic|natural|non-gmo)\b/g, "").replace(/[^a-z0-9 ]/g, "").replace(/\s+/g, " ").trim())
+      .filter(Boolean)
+  )];
+}
+
+function descriptionWords(product) {
+  const brandWords = new Set(String(product.brand || "").toLowerCase().split(/\s+/));
+  return String(product.description || "")
+    .toLowerCase()
+    .replace(/[®™©]/g, "")
+    .split(/[^a-z0-9%]+/)
+    .filter((w) => w && !brandWords.has(w));
+}
+
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  let shared = 0;
+  for (const item of setA) if (setB.has(item)) shared++;
+  return shared / (setA.size + setB.size - shared);
+}
+
+/** Ingredient overlap when both sides list ingredients, else description overlap. */
+function similarity(original, candidate) {
+  const a = parseIngredients(original.ingredients);
+  const b = parseIngredients(candidate.ingredients);
+  if (a.length > 0 && b.length > 0) return { similarity: round2(jaccard(a, b)), basis: "ingredients" };
+  return {
+    similarity: round2(jaccard(descriptionWords(original), descriptionWords(candidate))),
+    basis: "description",
+  };
+}
+
+function priceScore(candidateUnitPrice, originalUnitPrice) {
+  if (!(candidateUnitPrice > 0) || !(originalUnitPrice > 0)) return 0.5;
+  const savings = 1 - candidateUnitPrice / originalUnitPrice;
+  return Math.min(1, Math.max(0, 0.5 + savings));
+}
+
+/** ---------------------------
+ *  Products
+ *  --------------------------- */
+
+/** Detail → the flat shape ranked and checked here (first size is "the" size). */
+function toComparable(product) {
+  const item = product.items[0] || {};
+  const ingredients = product.nutrition?.ingredients || null;
+  return {
+    productId: product.productId,
+    upc: product.upc,
+    brand: product.brand,
+    description: product.description,
+    imageUrl: product.imageUrl,
+    categories: product.categories,
+    size: item.size || null,
+    packageSize: item.packageSize || null,
+    price: item.price ?? null,
+    promoPrice: item.promoPrice ?? null,
+    unitPrice: item.unitPrice ?? null,
+    promoUnitPrice: item.promoUnitPrice ?? null,
+    unitPriceBasis: item.unitPriceBasis || null,
+    inStock: item.inStock ?? null,
+    ingredients,
+    allergens: detectAllergens(ingredients),
+  };
+}
+
+function sameKind(original, candidate) {
+  if (candidate.productId === original.productId || !isStoreBrand(candidate.brand)) return false;
+  if (original.packageSize && candidate.packageSize?.unit !== original.packageSize.unit) return false;
+
+  const categories = new Set(original.categories || []);
+  return categories.size === 0 || candidate.categories.length === 0 || candidate.categories.some((c) => categories.has(c));
+}
+
+async function searchStoreBrands(searchTerm, locationId) {
+  const pages = await Promise.all(STORE_BRANDS.map((brand) =>
+    searchProducts(searchTerm, locationId, SEARCH_LIMIT_PER_BRAND, { brand })
+      .then((page) => page.products)
+      .catch((err) => {
+        if (!(err instanceof KrogerRequestError)) throw err;
+        console.error(`Store-brand search failed (${brand}):`, err.message);
+        return [];
+      })
+  ));
+
+  const seen = new Set();
+  return pages.flat().filter((p) => !seen.has(p.productId) && seen.add(p.productId));
+}
+
+function publicProduct(p) {
+  const { packageSize, allergens, categories, ...rest } = p;
+  return rest;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.productId      Kroger productId or UPC
+ * @param {string} options.locationId
+ * @param {object[]|null} [options.profiles]  family profiles; null skips safety
+ * @returns {Promise<object>} `{ notFound: true }` when Kroger has no such product
+ */
+async function findStoreBrandSwaps({ productId, locationId, profiles = null }) {
+  const detail = await getProductDetail(productId, locationId);
+  if (detail.notFound) return { notFound: true };
+
+  const original = toComparable(detail.product);
+  const originalSafety = profiles ? familySafety(original, profiles) : null;
+  const originalUnitPrice = effectiveUnitPrice(original);
+  const searchTerm = equivalentSearchTerm(original);
+
+  const base = {
+    original: { ...publicProduct(original), storeBrand: isStoreBrand(original.brand), familySafety: originalSafety },
+    searchTerm: searchTerm || null,
+    storeBrands: STORE_BRANDS,
+  };
+  if (!searchTerm) return { ...base, count: 0, matches: [], excluded: [] };
+
+  // Closest by description first; only those get a detail lookup
+  const candidates = (await searchStoreBrands(searchTerm, locationId))
+    .filter((p) => sameKind(original, p))
+    .map((p) => ({ product: p, ...similarity(original, p) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, MAX_DETAILED_CANDIDATES);
+
+  const detailed = await mapWithConcurrency(candidates, DETAIL_CONCURRENCY, async ({ product }) => {
+    try {
+      const result = await getProductDetail(product.productId, locationId);
+      return result.notFound ? null : toComparable(result.product);
+    } catch (err) {
+      if (!(err instanceof KrogerRequestError)) throw err;
+      console.error("Store-brand detail failed:", product.productId, err.message);
+      return null;
+    }
+  });
+
+  const matches = [];
+  const excluded = [];
+
+  for (const candidate of detailed.filter(Boolean)) {
+    const match = similarity(original, candidate);
+    const unitPrice = effectiveUnitPrice(candidate);
+    const safety = profiles ? familySafety(candidate, profiles) : null;
+
+    const ranked = {
+      ...publicProduct(candidate),
+      similarity: match.similarity,
+      similarityBasis: match.basis,
+      cheaper: unitPrice !== null && originalUnitPrice !== null && unitPrice < originalUnitPrice,
+      savingsPercent: unitPrice !== null && originalUnitPrice
+        ? Math.round((1 - unitPrice / originalUnitPrice) * 100)
+        : null,
+      score: round2(SIMILARITY_WEIGHT * match.similarity + PRICE_WEIGHT * priceScore(unitPrice, originalUnitPrice)),
+      familySafety: safety,
+    };
+
+    if (match.similarity < MIN_SIMILARITY) {
+      excluded.push({ ...ranked, reason: "not_similar" });
+    } else if (safety && VERDICT_RANK[safety.verdict] > VERDICT_RANK[originalSafety.verdict]) {
+      excluded.push({ ...ranked, reason: "less_safe_for_family" });
+    } else {
+      matches.push(ranked);
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+
+  return {
+    ...base,
+    count: matches.length,
+    cheaperCount: matches.filter((m) => m.cheaper).length,
+    matches,
+    excluded,
+  };
+}
+
+module.exports = {
+  STORE_BRANDS,
+  parseIngredients,
+  findStoreBrandSwaps,
+};
@@ -0,0 +1,112 @@
+/**
+ * Store opening hours (shared)
+ *
+ * normalizeHours() turns Kroger's `hours` block
+ *
+ *   { timezone: "America/New_York", open24: false,
+ *     monday: { open: "06:00", close: "23:00", open24: false }, … }
+ *
+ * into one shape the app can render:
+ *
+ *   { timezone, open24, weekly: [{ day: "monday", open, close, open24, closed }, …] }
+ *
+ * openStatus() evaluates it at a moment in the store's own timezone
+ * (falling back to the caller's), including hours that run past midnight.
+ */
+
+const DAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+function isValidTimezone(timezone) {
+  if (!timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function toMinutes(hhmm) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(hhmm || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+function normalizeHours(hours) {
+  if (!hours) return null;
+
+  return {
+    timezone: isValidTimezone(hours.timezone) ? hours.timezone : null,
+    open24: !!hours.open24,
+    weekly: DAYS.map((day) => {
+      const entry = hours[day];
+      const open24 = !!(hours.open24 || entry?.open24);
+      const closed = !open24 && (!entry || toMinutes(entry.open) === null || toMinutes(entry.close) === null);
+      return {
+        day,
+        open: open24 || closed ? null : entry.open,
+        close: open24 || closed ? null : entry.close,
+        open24,
+        closed,
+      };
+    }),
+  };
+}
+
+/** Day name and minutes since midnight at `date` in `timezone`. */
+function localTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "long",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+/**
+ * @param {object|null} hours      from normalizeHours()
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {string} [options.timezone]  used when the store has none
+ * @returns {{ openNow: boolean|null, today: object|null, timezone: string|null }}
+ */
+function openStatus(hours, { now = new Date(), timezone } = {}) {
+  const tz = hours?.timezone || (isValidTimezone(timezone) ? timezone : null);
+  if (!hours) return { openNow: null, today: null, timezone: tz };
+  if (!tz) return { openNow: hours.open24 ? true : null, today: null, timezone: null };
+
+  const { day, minutes } = localTime(now, tz);
+  const index = DAYS.indexOf(day);
+  const today = hours.weekly[index];
+  const yesterday = hours.weekly[(index + 6) % 7];
+
+  const spansMidnight = (entry) => toMinutes(entry.close) <= toMinutes(entry.open);
+
+  let openNow = false;
+  if (today.open24) {
+    openNow = true;
+  } else if (!today.closed) {
+    const open = toMinutes(today.open);
+    const close = toMinutes(today.close);
+    openNow = spansMidnight(today) ? minutes >= open : minutes >= open && minutes < close;
+  }
+
+  // Still inside yesterday's hours that ran past midnight
+  if (!openNow && !yesterday.closed && !yesterday.open24 && spansMidnight(yesterday)) {
+    openNow = minutes < toMinutes(yesterday.close);
+  }
+
+  return { openNow, today, timezone: tz };
+}
+
+module.exports = {
+  DAYS,
+  isValidTimezone,
+  normalizeHours,
+  openStatus,
+};
@@ -0,0 +1,54 @@
+/**
+ * Supabase REST helpers (shared, service role)
+ *
+ * Env vars (Vercel):
+ *   SUPABASE_URL
+ *   SUPABASE_SERVICE_ROLE_KEY
+ */
+
+const { fetchWithTimeout } = require("./http");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+function isSupabaseConfigured() {
+  return !!(process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY);
+}
+
+/**
+ * PostgREST call with the service role key. Throws on non-2xx (and on
+ * timeout, TimeoutError from lib/http.js) so callers can decide whether a
+ * storage failure matters.
+ *
+ * @param {object} [options]  { method, body, headers, timeoutMs }
+ */
+async function supabaseRest(endpoint, options = {}) {
+  const { method = "GET", body, headers: extraHeaders = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  const headers = {
+    apikey: serviceKey,
+    Authorization: `Bearer ${serviceKey}`,
+    "Content-Type": "application/json",
+    ...extraHeaders,
+  };
+
+  const fetchOptions = { method, headers };
+  if (body !== undefined) fetchOptions.body = JSON.stringify(body);
+
+  const response = await fetchWithTimeout(`${process.env.SUPABASE_URL}/rest/v1/${endpoint}`, fetchOptions, timeoutMs);
+
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`Supabase ${method} ${endpoint.split("?")[0]} failed (${response.status}): ${text.slice(0, 300)}`);
+  }
+
+  if (response.status === 204) return null;
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+module.exports = {
+  isSupabaseConfigured,
+  supabaseRest,
+};
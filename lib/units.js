@@ -0,0 +1,272 @@
+/**
+ * Quantity units (shared)
+ *
+ * normalizeUnit() classifies a unit as entered by a user ("Tbsp",
+ * "ounces", "slice") so callers can convert it against a food's servings:
+ *
+ *   { kind: "serving" }                       "serving", "portion", unset
+ *   { kind: "mass",   unit: "g",  factor }    factor = grams per unit
+ *   { kind: "volume", unit: "ml", factor, measure }
+ *                                             factor = millilitres per unit
+ *   { kind: "household", unit }               "slice", "medium", "cup" …
+ *
+ * Household measures are matched against FatSecret's
+ * measurement_description ("cup", "slice", "large") by matchesMeasure().
+ * Volume units count as household too, so "1 cup" prefers a declared
+ * "cup" serving (which knows the food's density) over a metric estimate.
+ *
+ * parsePackageSize() reads retail package sizes into { quantity, unit }
+ * with unit one of g, ml or each, so shelf prices can be compared per
+ * 100 g, per 100 ml or per item via computeUnitPrice():
+ *
+ *   "16 oz", "2 lb bag", "1.5 L"           single measure
+ *   "1/2 gal", "half gallon", "1 1/2 lb"   fractions
+ *   "12 ct", "1 dozen", "each"             counts
+ *   "6 ct / 12 fl oz", "12 x 12 fl oz"     multipacks (count × measure)
+ *   "2-pack 12 oz", "pack of 2, 12 oz"     pack counts multiply too
+ *   "1 lb 8 oz"                            compound measures (summed)
+ *   "per lb"                               sold by weight: one pound
+ *
+ * Spelled-out and plural units ("ounces", "pounds", "gallons", "pieces")
+ * are accepted too.
+ */
+
+const MASS_UNITS = {
+  g: 1,
+  gram: 1,
+  grams: 1,
+  mg: 0.001,
+  kg: 1000,
+  oz: 28.3495,
+  ounce: 28.3495,
+  ounces: 28.3495,
+  lb: 453.592,
+  lbs: 453.592,
+  pound: 453.592,
+  pounds: 453.592,
+};
+
+const VOLUME_UNITS = {
+  ml: 1,
+  millilitre: 1,
+  milliliter: 1,
+  l: 1000,
+  litre: 1000,
+  liter: 1000,
+  tsp: 4.92892,
+  teaspoon: 4.92892,
+  tbsp: 14.7868,
+  tablespoon: 14.7868,
+  cup: 236.588,
+  "fl oz": 29.5735,
+  floz: 29.5735,
+  "fluid ounce": 29.5735,
+  pint: 473.176,
+  quart: 946.353,
+};
+
+const SERVING_UNITS = ["", "serving", "servings", "portion", "portions"];
+
+// Package-size units as retailers print them → [canonical unit, factor]
+const PACKAGE_UNITS = {
+  "fl oz": ["ml", 29.5735],
+  floz: ["ml", 29.5735],
+  "fluid ounce": ["ml", 29.5735],
+  "fluid ounces": ["ml", 29.5735],
+  oz: ["g", 28.3495],
+  ounce: ["g", 28.3495],
+  ounces: ["g", 28.3495],
+  lb: ["g", 453.592],
+  lbs: ["g", 453.592],
+  pound: ["g", 453.592],
+  pounds: ["g", 453.592],
+  g: ["g", 1],
+  gram: ["g", 1],
+  grams: ["g", 1],
+  kg: ["g", 1000],
+  kilogram: ["g", 1000],
+  kilograms: ["g", 1000],
+  mg: ["g", 0.001],
+  ml: ["ml", 1],
+  milliliter: ["ml", 1],
+  milliliters: ["ml", 1],
+  millilitre: ["ml", 1],
+  millilitres: ["ml", 1],
+  cl: ["ml", 10],
+  l: ["ml", 1000],
+  lt: ["ml", 1000],
+  ltr: ["ml", 1000],
+  liter: ["ml", 1000],
+  liters: ["ml", 1000],
+  litre: ["ml", 1000],
+  litres: ["ml", 1000],
+  gal: ["ml", 3785.41],
+  gallon: ["ml", 3785.41],
+  gallons: ["ml", 3785.41],
+  qt: ["ml", 946.353],
+  quart: ["ml", 946.353],
+  quarts: ["ml", 946.353],
+  pt: ["ml", 473.176],
+  pint: ["ml", 473.176],
+  pints: ["ml", 473.176],
+  ct: ["each", 1],
+  count: ["each", 1],
+  each: ["each", 1],
+  ea: ["each", 1],
+  pc: ["each", 1],
+  pcs: ["each", 1],
+  piece: ["each", 1],
+  pieces: ["each", 1],
+  pk: ["each", 1],
+  pack: ["each", 1],
+  packs: ["each", 1],
+  dozen: ["each", 12],
+  doz: ["each", 12],
+};
+
+// Unit prices are quoted per 100 g, per 100 ml or per item
+const UNIT_PRICE_BASIS = { g: 100, ml: 100, each: 1 };
+
+const PACKAGE_UNIT_PATTERN = Object.keys(PACKAGE_UNITS)
+  .sort((a, b) => b.length - a.length)
+  .map((u) => u.replace(" ", "\\s*"))
+  .join("|");
+
+const AMOUNT_PATTERN = "(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d*\\.?\\d+)";
+const SIZE_RE = new RegExp(`${AMOUNT_PATTERN}\\s*(${PACKAGE_UNIT_PATTERN})\\b`, "g");
+
+// Spellings that should compare equal when matching FatSecret measures
+const MEASURE_ALIASES = {
+  tablespoon: "tbsp",
+  teaspoon: "tsp",
+  ounce: "oz",
+  "fl oz": "floz",
+  "fluid ounce": "floz",
+  litre: "l",
+  liter: "l",
+  gram: "g",
+};
+
+function canonicalMeasure(value) {
+  let measure = String(value || "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")   // "cup (8 fl oz)" → "cup"
+    .split(",")[0]             // "cup, chopped" → "cup"
+    .replace(/\./g, "")
+    .trim();
+  // Plurals: "pinches" → "pinch", "tomatoes" → "tomato", "slices" → "slice"
+  if (/(ch|sh|ss|x|o)es$/.test(measure)) measure = measure.slice(0, -2);
+  else if (/[^s]s$/.test(measure) && measure.length > 2 && measure !== "floz") measure = measure.slice(0, -1);
+  return MEASURE_ALIASES[measure] || measure;
+}
+
+function normalizeUnit(raw) {
+  const unit = String(raw || "").toLowerCase().replace(/\./g, "").trim();
+
+  if (SERVING_UNITS.includes(unit)) return { kind: "serving" };
+  if (MASS_UNITS[unit]) return { kind: "mass", unit: "g", factor: MASS_UNITS[unit] };
+
+  const singular = unit.endsWith("s") ? unit.slice(0, -1) : unit;
+  const volume = VOLUME_UNITS[unit] || VOLUME_UNITS[singular];
+  if (volume) return { kind: "volume", unit: "ml", factor: volume, measure: canonicalMeasure(unit) };
+
+  return { kind: "household", unit: canonicalMeasure(unit) };
+}
+
+/** True when a FatSecret measurement_description names the same measure as `unit`. */
+function matchesMeasure(measurementDescription, unit) {
+  if (!measurementDescription || !unit) return false;
+  return canonicalMeasure(measurementDescription) === canonicalMeasure(unit);
+}
+
+function parseAmount(text) {
+  const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return Number(fraction[1]) / Number(fraction[2]);
+  return parseFloat(text);
+}
+
+/**
+ * @param {string} text  e.g. "16 oz", "2 lb bag", "6 ct / 12 fl oz"
+ * @returns {{ quantity: number, unit: "g" | "ml" | "each" } | null}
+ */
+function parsePackageSize(text) {
+  const normalized = String(text || "")
+    .toLowerCase()
+    .replace(/([a-z])\./g, "$1")              // "fl. oz" → "fl oz", but keep decimal points
+    .replace(/(\d)\s*[x×]\s*(?=[\d.])/g, "$1 ct / ") // "12 x 12 fl oz" → "12 ct / 12 fl oz"
+    .replace(/(\d)\s*-\s*(?=[a-z])/g, "$1 ")  // "2-pack", "12-oz"
+    .replace(/\b(?:pack|pk|case|box) of (\d+)/g, "$1 ct") // "pack of 2" → "2 ct"
+    .replace(/\bhalf\s+(?=gal)/g, "0.5 ")     // "half gallon"
+    .replace(/(^|[\s/])per\s+(?=[a-z])/g, (_, lead) => `${lead}1 `) // "per lb" → "1 lb"
+    .trim();
+  const parts = [];
+  let lastEnd = -1;
+
+  if (/^(each|ea)$/.test(normalized)) return { quantity: 1, unit: "each" };
+
+  for (const match of normalized.matchAll(SIZE_RE)) {
+    const [unit, factor] = PACKAGE_UNITS[match[2].replace(/\s+/g, " ")];
+    const amount = parseAmount(match[1]);
+    if (!(amount > 0)) continue;
+
+    // "1 lb 8 oz": an adjacent smaller unit, less than one of the larger,
+    // adds up. "1 lb / 16 oz" and dual labels ("16.9 fl oz 500 ml",
+    // "8 oz 227 g") are alternatives for the same amount, so the first wins.
+    const previous = parts[parts.length - 1];
+    const adjacent = normalized.slice(lastEnd, match.index).trim() === "";
+    if (
+      previous && adjacent && previous.unit === unit && unit !== "each" &&
+      factor < previous.lastFactor && amount * factor < previous.lastFactor
+    ) {
+      previous.quantity += amount * factor;
+      previous.lastFactor = factor;
+    } else {
+      parts.push({ quantity: amount * factor, unit, lastFactor: factor });
+    }
+    lastEnd = match.index + match[0].length;
+  }
+
+  if (parts.length === 0) return null;
+
+  // Multipacks: "6 ct / 12 fl oz" is six 12 fl oz cans, "2 pack 6 ct 12 fl oz" twelve
+  const counts = parts.filter((p) => p.unit === "each");
+  const measure = parts.find((p) => p.unit !== "each");
+  if (counts.length > 0 && measure) {
+    const count = counts.reduce((product, p) => product * p.quantity, 1);
+    return { quantity: round(count * measure.quantity), unit: measure.unit };
+  }
+
+  const { quantity, unit } = measure || counts[0];
+  return { quantity: round(quantity), unit };
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+/** Price per 100 g / 100 ml / item, or null when either side is unusable. */
+function computeUnitPrice(price, size) {
+  if (!(price > 0) || !size || !(size.quantity > 0)) return null;
+  return round((price / size.quantity) * UNIT_PRICE_BASIS[size.unit], 4);
+}
+
+/** "per 100 g", "per 100 ml", "each" */
+function unitPriceLabel(unit) {
+  if (unit === "each") return "each";
+  return `per ${UNIT_PRICE_BASIS[unit]} ${unit}`;
+}
+
+module.exports = {
+  MASS_UNITS,
+  VOLUME_UNITS,
+  UNIT_PRICE_BASIS,
+  normalizeUnit,
+  canonicalMeasure,
+  matchesMeasure,
+  parsePackageSize,
+  computeUnitPrice,
+  unitPriceLabel,
+};
@@ -0,0 +1,61 @@
+/**
+ * api/barcode/batch.js — result order and per-code rate limiting, with
+ * the lookup pipeline stubbed.
+ */
+
+process.env.RATE_LIMIT_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runHandler, stubModule } = require("./helpers");
+
+const looked = [];
+stubModule("../lib/barcode-lookup", {
+  lookupBarcodeCached: async (parsed) => {
+    looked.push(parsed.gtin14);
+    return { found: true, matchedVariant: parsed.gtin13, region: "US", cached: false, product: { gtin14: parsed.gtin14 } };
+  },
+});
+
+const handler = require("../api/barcode/batch");
+
+test("one result per input code, in input order, with repeats looked up once", async () => {
+  const codes = ["011110417008", "abc", "0011110417008", "036000291452", "011110417008"];
+  const { status, body } = await runHandler(handler, { method: "POST", body: { codes } });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map((r) => [r.index, r.code, r.status]), [
+    [0, "011110417008", "found"],
+    [1, "abc", "invalid"],
+    [2, "0011110417008", "found"],
+    [3, "036000291452", "found"],
+    [4, "011110417008", "found"],
+  ]);
+  assert.equal(body.results[4].gtin13, body.results[0].gtin13);
+  assert.equal(looked.length, 2);
+});
+
+test("each distinct code counts against the rate limit", async () => {
+  const headers = { "x-forwarded-for": "198.51.100.9" };
+  // 99 distinct UPC-As (check digit computed by parseBarcode) and one invalid code
+  const codes = [...Array.from({ length: 99 }, (_, i) => String(10000000000 + i)), "abc"];
+
+  for (let i = 0; i < 3; i++) {
+    const { status, headers: sent } = await runHandler(handler, { method: "POST", headers, body: { codes } });
+    assert.equal(status, 200);
+    assert.equal(sent["ratelimit-remaining"], String(300 - 100 * (i + 1)));
+  }
+
+  const { status } = await runHandler(handler, { method: "POST", headers, body: { codes: ["011110417008"] } });
+  assert.equal(status, 429);
+});
+
+test("repeats of one code are charged as one lookup", async () => {
+  const headers = { "x-forwarded-for": "198.51.100.10" };
+  const codes = Array.from({ length: 50 }, () => "011110417008");
+
+  const { status, headers: sent } = await runHandler(handler, { method: "POST", headers, body: { codes } });
+
+  assert.equal(status, 200);
+  assert.equal(sent["ratelimit-remaining"], "299");
+});
@@ -0,0 +1,84 @@
+/**
+ * lib/basket.js comparison, with Kroger location and product search
+ * stubbed.
+ */
+
+process.env.RATE_LIMIT_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runHandler, stubModule } = require("./helpers");
+
+const kroger = require("../lib/kroger");
+const { parsePackageSize, computeUnitPrice } = require("../lib/units");
+
+function product(productId, size, price) {
+  const packageSize = parsePackageSize(size);
+  return {
+    productId,
+    size,
+    price,
+    promoPrice: null,
+    packageSize,
+    unitPrice: computeUnitPrice(price, packageSize),
+    promoUnitPrice: null,
+  };
+}
+
+// Store A sells flour in a 5 lb bag, store B only in 1 lb bags
+const shelves = {
+  A: { flour: [product("a-flour", "5 lb", 4), product("a-flour-small", "1 lb", 1.5)], milk: [product("a-milk", "1 gal", 3)] },
+  B: { flour: [product("b-flour", "1 lb", 1.2)], milk: [product("b-milk", "1 gal", 2.5)] },
+};
+
+const locationLimits = [];
+
+stubModule("../lib/kroger", {
+  ...kroger,
+  searchLocations: async ({ limit }) => {
+    locationLimits.push(limit);
+    return { locations: ["A", "B"].map((id) => ({ locationId: id, name: `Store ${id}`, banner: "Kroger" })) };
+  },
+  searchProducts: async (term, locationId) => ({ products: shelves[locationId][term] || [] }),
+});
+
+const { compareBasket, normalizeBasketItems } = require("../lib/basket");
+const handler = require("../api/kroger/compare-basket");
+
+async function compare(items) {
+  return compareBasket({ items: normalizeBasketItems(items).items, lat: 0, lng: 0, radiusMiles: 10, maxStores: 5, concurrency: 2 });
+}
+
+test("every store is priced for the same amount of an item", async () => {
+  const result = await compare(["flour"]);
+  const [a, b] = ["A", "B"].map((id) => result.stores.find((s) => s.locationId === id));
+
+  // Shelf totals differ by package, comparable totals price 1 lb at each
+  assert.equal(a.lines[0].productId, "a-flour");
+  assert.equal(a.total, 4);
+  assert.equal(b.total, 1.2);
+  assert.equal(a.comparableTotal, 0.8);
+  assert.equal(b.comparableTotal, 1.2);
+  assert.deepEqual(a.lines[0].comparableAmount, { quantity: 453.59, unit: "g" });
+  assert.equal(result.cheapestStore.locationId, "A");
+});
+
+test("a split buys each item where its comparable total is lower", async () => {
+  const result = await compare(["flour", { term: "milk", quantity: 2 }]);
+
+  const byStore = Object.fromEntries(result.cheapestSplit.stores.map((s) => [s.locationId, s.items]));
+  assert.deepEqual(byStore, { A: ["flour"], B: ["milk"] });
+  assert.equal(result.cheapestSplit.total, 9);
+  assert.equal(result.cheapestSplit.comparableTotal, 5.8);
+  assert.equal(result.cheapestStore.locationId, "B");
+  assert.equal(result.cheapestSplit.savingsVsCheapestStore, 0.4);
+});
+
+test("large baskets compare fewer stores", async () => {
+  const items = Array.from({ length: 30 }, (_, i) => `item ${i}`);
+  const { status, body } = await runHandler(handler, { method: "POST", body: { items, lat: 39.1, lng: -84.5, maxStores: 8 } });
+
+  assert.equal(status, 200);
+  assert.equal(body.maxStores, 2);
+  assert.equal(locationLimits.at(-1), 2);
+});
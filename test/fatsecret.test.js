@@ -0,0 +1,129 @@
+/**
+ * lib/fatsecret.js — both auth modes against a stubbed token endpoint
+ * and server.api (global fetch).
+ */
+
+process.env.FATSECRET_API_URL = "https://fatsecret.test/rest/server.api";
+process.env.FATSECRET_TOKEN_URL = "https://fatsecret.test/connect/token";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const fatsecret = require("../lib/fatsecret");
+
+const ENV = ["FATSECRET_AUTH_MODE", "FATSECRET_CLIENT_ID", "FATSECRET_CLIENT_SECRET",
+  "FATSECRET_CONSUMER_KEY", "FATSECRET_CONSUMER_SECRET", "FATSECRET_OAUTH2_SCOPES"];
+
+/** Token endpoint + API stub; records every call. */
+function stubFatSecret({ apiResponses = [], expiresIn = 86400 } = {}) {
+  const calls = { token: [], api: [] };
+  let tokens = 0;
+
+  global.fetch = async (url, options = {}) => {
+    if (url === process.env.FATSECRET_TOKEN_URL) {
+      calls.token.push({ body: options.body, authorization: options.headers.Authorization });
+      tokens++;
+      return { ok: true, status: 200, text: async () => JSON.stringify({ access_token: `token-${tokens}`, expires_in: expiresIn }) };
+    }
+
+    calls.api.push({ url: new URL(url), authorization: options.headers?.Authorization || null });
+    const next = apiResponses.length > 0 ? apiResponses.shift() : { status: 200, body: { ok: true } };
+    return { ok: next.status < 400, status: next.status, text: async () => JSON.stringify(next.body) };
+  };
+  return calls;
+}
+
+test.beforeEach(() => {
+  for (const name of ENV) delete process.env[name];
+  fatsecret.resetFatSecretToken();
+});
+
+test("oauth2 is used when a client secret is set, with the scopes the proxy needs", async () => {
+  process.env.FATSECRET_CLIENT_ID = "client";
+  process.env.FATSECRET_CLIENT_SECRET = "secret";
+  const calls = stubFatSecret();
+
+  assert.equal(fatsecret.getAuthMode(), "oauth2");
+  await fatsecret.callFatSecret("foods.search", { search_expression: "apple" });
+
+  assert.equal(calls.token.length, 1);
+  const body = new URLSearchParams(calls.token[0].body);
+  assert.equal(body.get("grant_type"), "client_credentials");
+  assert.deepEqual(body.get("scope").split(" ").sort(), ["barcode", "basic", "localization", "premier"]);
+  assert.equal(calls.token[0].authorization, `Basic ${Buffer.from("client:secret").toString("base64")}`);
+  assert.equal(calls.api[0].authorization, "Bearer token-1");
+  assert.equal(calls.api[0].url.searchParams.get("method"), "foods.search");
+});
+
+test("FATSECRET_OAUTH2_SCOPES overrides the default scopes", () => {
+  process.env.FATSECRET_OAUTH2_SCOPES = "basic, barcode";
+  assert.equal(fatsecret.getScopes(), "basic barcode");
+});
+
+test("oauth2 tokens are cached and concurrent cold calls share one token request", async () => {
+  process.env.FATSECRET_CLIENT_SECRET = "secret";
+  process.env.FATSECRET_CONSUMER_KEY = "client";
+  const calls = stubFatSecret();
+
+  await Promise.all([1, 2, 3].map(() => fatsecret.callFatSecret("foods.search", {})));
+  await fatsecret.callFatSecret("foods.search", {});
+
+  assert.equal(calls.token.length, 1);
+  assert.equal(calls.api.length, 4);
+  assert.equal(fatsecret.getTokenState().hasToken, true);
+});
+
+test("oauth2 refreshes a token about to expire", async () => {
+  process.env.FATSECRET_CLIENT_SECRET = "secret";
+  process.env.FATSECRET_CONSUMER_KEY = "client";
+  const calls = stubFatSecret({ expiresIn: 30 });
+
+  await fatsecret.callFatSecret("foods.search", {});
+  await fatsecret.callFatSecret("foods.search", {});
+
+  // Inside the 60s refresh margin: every call gets a new token
+  assert.equal(calls.token.length, 2);
+});
+
+test("oauth2 refreshes once and retries when the token is rejected", async () => {
+  process.env.FATSECRET_CLIENT_SECRET = "secret";
+  process.env.FATSECRET_CONSUMER_KEY = "client";
+  const calls = stubFatSecret({ apiResponses: [{ status: 401, body: {} }, { status: 200, body: { foods: {} } }] });
+
+  const data = await fatsecret.callFatSecret("foods.search", {});
+
+  assert.deepEqual(data, { foods: {} });
+  assert.equal(calls.token.length, 2);
+  assert.deepEqual(calls.api.map((c) => c.authorization), ["Bearer token-1", "Bearer token-2"]);
+});
+
+test("oauth1 signs requests and never calls the token endpoint", async () => {
+  process.env.FATSECRET_CONSUMER_KEY = "key";
+  process.env.FATSECRET_CONSUMER_SECRET = "secret";
+  process.env.FATSECRET_CLIENT_SECRET = "secret";
+  process.env.FATSECRET_AUTH_MODE = "oauth1";
+  const calls = stubFatSecret();
+
+  assert.equal(fatsecret.getAuthMode(), "oauth1");
+  await fatsecret.callFatSecret("foods.search", { search_expression: "apple", page: undefined });
+
+  assert.equal(calls.token.length, 0);
+  const params = calls.api[0].url.searchParams;
+  assert.equal(params.get("oauth_consumer_key"), "key");
+  assert.equal(params.get("oauth_signature_method"), "HMAC-SHA1");
+  assert.equal(params.has("page"), false);
+
+  // The signature is over every other parameter
+  const signed = Object.fromEntries([...params].filter(([name]) => name !== "oauth_signature"));
+  const expected = fatsecret.buildSignature(
+    "GET",
+    process.env.FATSECRET_API_URL,
+    fatsecret.buildParameterString(signed),
+    "secret"
+  );
+  assert.equal(params.get("oauth_signature"), expected);
+});
+
+test("oauth1 is the default without a client secret", () => {
+  assert.equal(fatsecret.getAuthMode(), "oauth1");
+});
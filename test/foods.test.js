@@ -0,0 +1,63 @@
+/**
+ * /api/foods search hits as lib/nutrition.js product documents, with
+ * FatSecret stubbed.
+ */
+
+process.env.RATE_LIMIT_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runHandler, stubModule } = require("./helpers");
+
+const fatsecret = require("../lib/fatsecret");
+stubModule("../lib/fatsecret", {
+  ...fatsecret,
+  callFatSecret: async () => ({
+    foods: {
+      total_results: "2",
+      food: [
+        {
+          food_id: "33689",
+          food_name: "Greek Yogurt",
+          food_type: "Generic",
+          food_url: "https://www.fatsecret.com/calories-nutrition/generic/yogurt-greek",
+          food_description: "Per 100g - Calories: 59kcal | Fat: 0.39g | Carbs: 3.60g | Protein: 10.19g",
+        },
+        {
+          food_id: "4881",
+          food_name: "Plain Greek Yogurt",
+          brand_name: "Chobani",
+          food_type: "Brand",
+          food_url: "https://www.fatsecret.com/calories-nutrition/chobani/plain-greek-yogurt",
+          food_description: "Per 1 cup - Calories: 130kcal | Fat: 0.00g | Carbs: 9.00g | Protein: 23.00g",
+        },
+      ],
+    },
+  }),
+});
+
+const { PRODUCT_SCHEMA_VERSION, createProduct } = require("../lib/nutrition");
+const handler = require("../api/foods");
+
+test("search hits are product documents like /api/barcode's", async () => {
+  const { status, body } = await runHandler(handler, { query: { q: "greek yogurt" } });
+
+  assert.equal(status, 200);
+  assert.equal(body.count, 2);
+
+  const [generic, branded] = body.foods;
+  assert.deepEqual(Object.keys(generic).sort(), Object.keys(createProduct("x")).sort());
+  assert.equal(generic.schemaVersion, PRODUCT_SCHEMA_VERSION);
+  assert.equal(generic.source, "fatsecret-search");
+  assert.equal(generic.foodId, "33689");
+  assert.equal(generic.name, "Greek Yogurt");
+  assert.equal(generic.region, "US");
+  assert.equal(generic.per100g.calories, 59);
+  assert.equal(generic.per100g.macros.protein, 10.19);
+
+  assert.equal(branded.brand, "Chobani");
+  assert.equal(branded.servings[0].description, "1 cup");
+  assert.equal(branded.servings[0].grams, null);
+  assert.equal(branded.servings[0].nutrition.macros.carbohydrate, 9);
+  assert.equal(branded.per100g, null);
+});
@@ -0,0 +1,66 @@
+/**
+ * lib/gtin.js barcode validation, UPC-E expansion and lookup variants.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeCheckDigit, hasValidCheckDigit, expandUpcE, parseBarcode } = require("../lib/gtin");
+
+test("GS1 check digits", () => {
+  assert.equal(computeCheckDigit("03600029145"), "2");
+  assert.equal(computeCheckDigit("400638133393"), "1");
+  assert.equal(hasValidCheckDigit("036000291452"), true);
+  assert.equal(hasValidCheckDigit("036000291453"), false);
+});
+
+test("UPC-E expands by its last digit", () => {
+  assert.equal(expandUpcE("0", "496340"), "04900000634");
+  assert.equal(expandUpcE("0", "123453"), "01230000045");
+  assert.equal(expandUpcE("0", "123454"), "01234000005");
+  assert.equal(expandUpcE("0", "123457"), "01234500007");
+});
+
+test("UPC-E with and without its check digit", () => {
+  assert.deepEqual(parseBarcode("04963406"), {
+    input: "04963406",
+    format: "UPC-E",
+    gtin13: "0049000006346",
+    gtin14: "00049000006346",
+    variants: ["0049000006346", "049000006346", "00049000006346"],
+  });
+  assert.equal(parseBarcode("0496340").gtin13, "0049000006346");
+  assert.equal(parseBarcode("496340").gtin13, "0049000006346");
+  assert.match(parseBarcode("04963407").reason, /does not match UPC-E or EAN-8/);
+});
+
+test("UPC-A, EAN-13 and dashes or spaces", () => {
+  const upcA = parseBarcode("0 36000-29145 2");
+  assert.equal(upcA.format, "UPC-A");
+  assert.deepEqual(upcA.variants, ["0036000291452", "036000291452", "00036000291452"]);
+
+  assert.equal(parseBarcode("03600029145").gtin13, "0036000291452");
+  assert.equal(parseBarcode("4006381333931").format, "EAN-13");
+  assert.deepEqual(parseBarcode("4006381333931").variants, ["4006381333931", "04006381333931"]);
+});
+
+test("EAN-8 keeps its short form as a variant", () => {
+  const ean8 = parseBarcode("96385074");
+  assert.equal(ean8.format, "EAN-8");
+  assert.deepEqual(ean8.variants, ["0000096385074", "000096385074", "96385074", "00000096385074"]);
+});
+
+test("a GTIN-14 indicator has no GTIN-13 equivalent", () => {
+  const gtin14 = parseBarcode("10036000291459");
+  assert.equal(gtin14.format, "GTIN-14");
+  assert.equal(gtin14.gtin13, null);
+  assert.deepEqual(gtin14.variants, ["10036000291459"]);
+});
+
+test("invalid input is reported, not thrown", () => {
+  assert.equal(parseBarcode("").reason, "Barcode is empty");
+  assert.match(parseBarcode("12AB5").reason, /only contain digits/);
+  assert.equal(parseBarcode("12345").reason, "Expected 6-8, 11-14 digits, got 5");
+  assert.equal(parseBarcode("036000291453").reason, "Check digit should be 2, got 3");
+  assert.match(parseBarcode("2496340").reason, /must start with 0 or 1/);
+  assert.equal(parseBarcode(null).error, "Invalid barcode");
+});
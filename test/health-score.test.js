@@ -0,0 +1,79 @@
+/**
+ * lib/health-score.js Nutri-Score points, grades and the 0-100 score.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildNutrition, createProduct } = require("../lib/nutrition");
+const { HEALTH_SCORE_VERSION, computeHealthScore, withHealthScore } = require("../lib/health-score");
+
+function food(per100g, fields = {}) {
+  return createProduct("test", { per100g: buildNutrition(per100g), additives: [], ...fields });
+}
+
+function points(score) {
+  return Object.fromEntries(score.factors.map((f) => [f.factor, f.points]));
+}
+
+// 400 kcal (1673.6 kJ), 20 g sugar, 3 g saturated fat, 400 mg sodium, 3 g fiber, 10 g protein
+const biscuit = {
+  calories: 400, sugar: 20, saturatedFat: 3, sodiumMg: 400, fiber: 3, protein: 10,
+};
+
+test("a food with known Nutri-Score points", () => {
+  const score = computeHealthScore(food(biscuit));
+
+  assert.deepEqual(points(score), { energy: 4, sugar: 4, saturatedFat: 2, sodium: 4, fruitVeg: 0, fiber: 3, protein: 0 });
+  assert.deepEqual(score.nutriScore, { raw: 11, negativePoints: 14, positivePoints: 3, proteinCounted: false });
+  assert.equal(score.category, "food");
+  assert.equal(score.grade, "D");
+  assert.equal(score.score, 53);
+  assert.deepEqual(score.missing, ["fruitVeg"]);
+});
+
+test("protein counts at 11+ negative points only with maximum fruit/veg", () => {
+  const score = computeHealthScore(food(biscuit, { fruitVegPercent: 85 }));
+
+  assert.equal(score.nutriScore.proteinCounted, true);
+  assert.equal(points(score).protein, 5);
+  assert.equal(score.nutriScore.raw, 1);
+  assert.equal(score.grade, "B");
+});
+
+test("grade A, organic bonus and additive penalty", () => {
+  const plain = { calories: 0, sugar: 0, saturatedFat: 0, sodiumMg: 0, fiber: 5, protein: 0 };
+
+  const organic = computeHealthScore(food(plain, { fruitVegPercent: 0, isOrganic: true }));
+  assert.equal(organic.nutriScore.raw, -5);
+  assert.equal(organic.grade, "A");
+  assert.equal(organic.score, 87);
+
+  const additives = computeHealthScore(food(plain, { fruitVegPercent: 0, additives: ["e330", "e331", "e332", "e333", "e334", "e335"] }));
+  assert.deepEqual(additives.adjustments, [{ factor: "additives", impact: -10, detail: "e330, e331, e332, e333, e334, e335" }]);
+  assert.equal(additives.score, 72);
+});
+
+test("a beverage uses the drink tables and never grades A", () => {
+  // Cola: 42 kcal (175.7 kJ) and 10.6 g sugar per 100 ml
+  const cola = createProduct("test", {
+    per100ml: buildNutrition({ calories: 42, sugar: 10.6, saturatedFat: 0, sodiumMg: 4, fiber: 0, protein: 0 }),
+    fruitVegPercent: 0,
+    additives: [],
+  });
+  const score = computeHealthScore(cola);
+
+  assert.equal(score.category, "beverage");
+  assert.deepEqual(points(score), { energy: 6, sugar: 8, saturatedFat: 0, sodium: 0, fruitVeg: 0, fiber: 0, protein: 0 });
+  assert.equal(score.grade, "E");
+  assert.equal(score.score, 43);
+
+  const water = createProduct("test", { per100ml: buildNutrition({ calories: 0, sugar: 0, saturatedFat: 0, sodiumMg: 0 }) });
+  assert.equal(computeHealthScore(water).grade, "B");
+});
+
+test("no per-100 nutrition, no score; stale versions are re-scored", () => {
+  assert.equal(computeHealthScore(createProduct("test")), null);
+
+  const stale = food(biscuit, { healthScore: { version: HEALTH_SCORE_VERSION - 1 } });
+  assert.equal(withHealthScore(stale).healthScore.version, HEALTH_SCORE_VERSION);
+});
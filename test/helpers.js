@@ -0,0 +1,44 @@
+/**
+ * Shared test helpers: a minimal Vercel-style req/res pair for handlers.
+ * (No tests here — node --test loads it as a file with zero tests.)
+ */
+
+function mockRes() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.setHeader = (name, value) => { res.headers[name.toLowerCase()] = value; };
+  res.getHeader = (name) => res.headers[name.toLowerCase()];
+  res.end = (body) => { res.body = body; return res; };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (value) => { res.body = JSON.stringify(value); return res; };
+  return res;
+}
+
+function mockReq({ method = "GET", query = {}, headers = {}, body } = {}) {
+  return { method, query, headers: { "x-forwarded-for": "203.0.113.7", ...headers }, body };
+}
+
+/** Runs a handler; `body` comes back parsed when it is JSON. */
+async function runHandler(handler, request) {
+  const res = mockRes();
+  await handler(mockReq(request), res);
+  let body = res.body;
+  try {
+    body = JSON.parse(res.body);
+  } catch {
+    // not JSON
+  }
+  return { status: res.statusCode, headers: res.headers, body };
+}
+
+/** Replaces a module's exports for every later require() of it. */
+function stubModule(path, exports) {
+  const resolved = require.resolve(path);
+  require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports };
+}
+
+module.exports = {
+  mockReq,
+  mockRes,
+  runHandler,
+  stubModule,
+};
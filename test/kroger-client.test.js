@@ -0,0 +1,60 @@
+/**
+ * lib/kroger-client.js token cache, against a stubbed token endpoint
+ * (global fetch), and the /api/kroger health action that reports it.
+ */
+
+process.env.KROGER_CLIENT_ID = "client";
+process.env.KROGER_CLIENT_SECRET = "secret";
+process.env.KROGER_MAX_RETRIES = "0";
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.CACHE_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runHandler } = require("./helpers");
+
+const tokenRequests = [];
+
+global.fetch = async (url) => {
+  if (String(url).includes("/connect/oauth2/token")) {
+    tokenRequests.push(url);
+    return { ok: true, status: 200, text: async () => JSON.stringify({ access_token: "secret-access-token", expires_in: 1800 }) };
+  }
+  throw new Error(`Unexpected fetch ${url}`);
+};
+
+const { getKrogerToken, getTokenState, resetKrogerToken } = require("../lib/kroger-client");
+
+test("concurrent cold calls share one token request", async () => {
+  resetKrogerToken();
+  tokenRequests.length = 0;
+
+  const tokens = await Promise.all([1, 2, 3].map(() => getKrogerToken()));
+  await getKrogerToken();
+
+  assert.deepEqual(tokens, ["secret-access-token", "secret-access-token", "secret-access-token"]);
+  assert.equal(tokenRequests.length, 1);
+});
+
+test("the token state never exposes the access token", async () => {
+  resetKrogerToken();
+  assert.deepEqual(getTokenState(), { hasToken: false, expiresAt: 0 });
+
+  await getKrogerToken();
+  const state = getTokenState();
+
+  assert.deepEqual(Object.keys(state).sort(), ["expiresAt", "hasToken"]);
+  assert.equal(state.hasToken, true);
+  assert.ok(Math.abs(state.expiresAt - (Date.now() + 1800 * 1000)) < 5000);
+});
+
+test("the health action reports the token state only", async () => {
+  const handler = require("../api/kroger");
+  const { status, body } = await runHandler(handler, { query: { action: "health" } });
+
+  assert.equal(status, 200);
+  assert.equal(body.hasToken, true);
+  assert.ok(body.expiresInSeconds > 1700);
+  assert.equal(body.tokenLength, undefined);
+  assert.ok(!JSON.stringify(body).includes("secret-access-token"));
+});
@@ -0,0 +1,193 @@
+/**
+ * lib/kroger-customer.js OAuth state and token refresh, through
+ * /api/kroger/account where the browser is involved. Kroger and Supabase
+ * are stubbed via global fetch.
+ */
+
+process.env.KROGER_CLIENT_ID = "client";
+process.env.KROGER_CLIENT_SECRET = "secret";
+process.env.KROGER_REDIRECT_URI = "https://app.test/api/kroger/account?action=callback";
+process.env.SUPABASE_URL = "https://supabase.test";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service";
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.CACHE_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runHandler, stubModule } = require("./helpers");
+
+// Minimal PostgREST: eq./gt. filters, upsert on the first column, DELETE returning rows
+const tables = { kroger_customer_tokens: [], kroger_oauth_states: [] };
+
+function matches(row, params) {
+  for (const [column, filter] of params) {
+    const [op, ...rest] = filter.split(".");
+    const value = rest.join(".");
+    if (op === "eq" && String(row[column]) !== value) return false;
+    if (op === "gt" && !(String(row[column]) > value)) return false;
+  }
+  return true;
+}
+
+function supabase(url, options) {
+  const table = tables[url.pathname.split("/").pop()];
+  const filters = [...url.searchParams].filter(([k]) => !["select", "limit", "on_conflict"].includes(k));
+  const method = options.method || "GET";
+
+  if (method === "POST") {
+    const row = JSON.parse(options.body);
+    const key = Object.keys(row)[0];
+    const index = table.findIndex((r) => r[key] === row[key]);
+    if (index >= 0) table[index] = { ...table[index], ...row };
+    else table.push(row);
+    return { ok: true, status: 201, text: async () => "" };
+  }
+  if (method === "DELETE") {
+    const deleted = table.filter((r) => matches(r, filters));
+    for (const row of deleted) table.splice(table.indexOf(row), 1);
+    return { ok: true, status: 200, text: async () => JSON.stringify(deleted) };
+  }
+  return { ok: true, status: 200, text: async () => JSON.stringify(table.filter((r) => matches(r, filters))) };
+}
+
+let tokenEndpoint = async () => ({ status: 200, body: { access_token: "a1", refresh_token: "r1", expires_in: 1800 } });
+const tokenRequests = [];
+
+global.fetch = async (input, options = {}) => {
+  const url = new URL(input);
+  if (url.host === "supabase.test") return supabase(url, options);
+  if (url.pathname.endsWith("/connect/oauth2/token")) {
+    const form = Object.fromEntries(new URLSearchParams(options.body));
+    tokenRequests.push(form);
+    const { status, body } = await tokenEndpoint(form);
+    return { ok: status < 300, status, text: async () => JSON.stringify(body) };
+  }
+  if (url.pathname.endsWith("/identity/profile")) {
+    return { ok: true, status: 200, json: async () => ({ data: { id: "profile-1" } }) };
+  }
+  throw new Error(`Unexpected fetch ${url}`);
+};
+
+stubModule("../lib/auth", { verifyUser: async () => ({ id: "user-1" }) });
+
+const handler = require("../api/kroger/account");
+const { getCustomerAccessToken } = require("../lib/kroger-customer");
+
+const APP_ORIGIN = "https://app.example";
+
+// The app's cross-site fetch: any cookie in the response would be third-party
+function requestStart() {
+  return runHandler(handler, {
+    query: { action: "connect" },
+    headers: { authorization: "Bearer t", origin: APP_ORIGIN },
+  });
+}
+
+// Top-level navigation to the start URL, on the API's own site
+function openStart(startUrl) {
+  const url = new URL(startUrl);
+  return runHandler(handler, { query: Object.fromEntries(url.searchParams) });
+}
+
+async function connect() {
+  const started = await openStart((await requestStart()).body.startUrl);
+  const state = new URL(started.headers.location).searchParams.get("state");
+  return { state, cookie: started.headers["set-cookie"].split(";")[0] };
+}
+
+function callback(state, cookie) {
+  return runHandler(handler, {
+    query: { action: "callback", code: "code-1", state },
+    headers: cookie ? { cookie } : {},
+  });
+}
+
+test("a cross-site app connects through a first-party start URL", async () => {
+  const connectResponse = await requestStart();
+  assert.equal(connectResponse.status, 200);
+  assert.equal(connectResponse.headers["access-control-allow-origin"], "*");
+  assert.equal(connectResponse.headers["set-cookie"], undefined);
+
+  const { startUrl } = connectResponse.body;
+  assert.equal(new URL(startUrl).origin, "https://app.test");
+
+  const started = await openStart(startUrl);
+  assert.equal(started.status, 302);
+  assert.match(started.headers.location, /\/authorize\?/);
+  assert.match(started.headers["set-cookie"], /^kroger_oauth_nonce=\w+; Path=\/api\/kroger\/account;.*HttpOnly; Secure; SameSite=Lax/);
+
+  // Kroger redirects the same browser back, which sends the first-party cookie
+  const state = new URL(started.headers.location).searchParams.get("state");
+  const done = await callback(state, started.headers["set-cookie"].split(";")[0]);
+  assert.match(done.headers.location, /kroger=connected/);
+
+  // The start URL works once, so no second browser can pick up the flow
+  const reopened = await openStart(startUrl);
+  assert.match(reopened.headers.location, /reason=invalid_start/);
+  assert.equal(reopened.headers["set-cookie"], undefined);
+});
+
+test("the callback completes once, in the browser that connected", async () => {
+  tokenRequests.length = 0;
+  const { state, cookie } = await connect();
+
+  const elsewhere = await callback(state, null);
+  assert.match(elsewhere.headers.location, /reason=invalid_state/);
+
+  const first = await callback(state, cookie);
+  assert.match(first.headers.location, /kroger=connected/);
+  assert.equal(tables.kroger_customer_tokens[0].profile_id, "profile-1");
+
+  const replayed = await callback(state, cookie);
+  assert.match(replayed.headers.location, /reason=invalid_state/);
+  assert.equal(tokenRequests.filter((f) => f.grant_type === "authorization_code").length, 1);
+});
+
+function seedConnection(row) {
+  tables.kroger_customer_tokens.length = 0;
+  tables.kroger_customer_tokens.push({
+    user_id: "user-2",
+    access_token: "old-access",
+    refresh_token: "old-refresh",
+    expires_at: new Date(Date.now() - 1000).toISOString(),
+    ...row,
+  });
+}
+
+test("a refresh that lost the rotation race uses the newer stored token", async () => {
+  seedConnection();
+  tokenEndpoint = async () => {
+    // Another instance rotated the token while this request was in flight
+    Object.assign(tables.kroger_customer_tokens[0], {
+      access_token: "new-access",
+      refresh_token: "new-refresh",
+      expires_at: new Date(Date.now() + 1800 * 1000).toISOString(),
+    });
+    return { status: 400, body: { error: "invalid_grant" } };
+  };
+
+  const auth = await getCustomerAccessToken("user-2");
+
+  assert.deepEqual(auth, { accessToken: "new-access" });
+  assert.equal(tables.kroger_customer_tokens.length, 1);
+});
+
+test("invalid_grant for the stored refresh token drops the connection", async () => {
+  seedConnection();
+  tokenEndpoint = async () => ({ status: 400, body: { error: "invalid_grant" } });
+
+  const auth = await getCustomerAccessToken("user-2");
+
+  assert.equal(auth.reconnect, true);
+  assert.equal(tables.kroger_customer_tokens.length, 0);
+});
+
+test("other token errors keep the connection", async () => {
+  seedConnection();
+  tokenEndpoint = async () => ({ status: 401, body: { error: "invalid_client" } });
+
+  const auth = await getCustomerAccessToken("user-2");
+
+  assert.equal(auth.status, 502);
+  assert.equal(tables.kroger_customer_tokens.length, 1);
+});
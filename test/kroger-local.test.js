@@ -0,0 +1,69 @@
+/**
+ * lib/kroger.js scan-and-price lookup (getLocalProductInfo) and its use
+ * by /api/barcode, with Kroger stubbed via global fetch.
+ */
+
+process.env.KROGER_CLIENT_ID = "client";
+process.env.KROGER_CLIENT_SECRET = "secret";
+process.env.KROGER_MAX_RETRIES = "0";
+process.env.RATE_LIMIT_STORE = "memory";
+process.env.CACHE_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runHandler, stubModule } = require("./helpers");
+
+const requested = [];
+global.fetch = async (url) => {
+  if (String(url).includes("/connect/oauth2/token")) {
+    return { ok: true, status: 200, text: async () => JSON.stringify({ access_token: "t", expires_in: 1800 }) };
+  }
+  requested.push(new URL(url).pathname);
+  return { ok: false, status: 404, headers: { get: () => null }, text: async () => "not found" };
+};
+
+stubModule("../lib/barcode-lookup", {
+  lookupBarcodeCached: async (parsed) => ({
+    found: true,
+    matchedVariant: parsed.gtin14,
+    providers: [],
+    product: { name: "Case of soda", barcode: parsed.gtin14 },
+    cached: false,
+  }),
+});
+
+const { getLocalProductInfo, krogerUpcFromGtin, parseKrogerUpc } = require("../lib/kroger");
+const barcodeHandler = require("../api/barcode");
+
+test("Kroger UPCs come from GTIN-13 and GTIN-14 alike", () => {
+  assert.equal(krogerUpcFromGtin("0011110417008"), "0001111041700");
+  assert.equal(krogerUpcFromGtin("00011110417008"), "0001111041700");
+  assert.equal(krogerUpcFromGtin("10012000161152"), "1001200016115");
+  assert.equal(parseKrogerUpc("10012000161152"), "1001200016115");
+  assert.equal(parseKrogerUpc("011110417008"), "0001111041700");
+});
+
+test("a GTIN-14 indicator code is looked up, not thrown on", async () => {
+  const local = await getLocalProductInfo("10012000161152", "01400376");
+
+  assert.equal(local.found, false);
+  assert.equal(local.upc, "1001200016115");
+  assert.ok(requested.includes("/v1/products/1001200016115"));
+});
+
+test("a missing code is reported, never thrown", async () => {
+  const local = await getLocalProductInfo(null, "01400376");
+  assert.equal(local.found, false);
+  assert.equal(local.upc, null);
+  assert.ok(local.error);
+});
+
+test("/api/barcode with a GTIN-14 and locationId still answers the scan", async () => {
+  const { status, body } = await runHandler(barcodeHandler, {
+    query: { code: "10012000161152", locationId: "01400376" },
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.kroger.found, false);
+  assert.equal(body.kroger.upc, "1001200016115");
+});
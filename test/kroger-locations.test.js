@@ -0,0 +1,48 @@
+/**
+ * lib/kroger.js location search, with Kroger stubbed via global fetch.
+ */
+
+process.env.KROGER_CLIENT_ID = "client";
+process.env.KROGER_CLIENT_SECRET = "secret";
+process.env.KROGER_MAX_RETRIES = "0";
+process.env.CACHE_STORE = "memory";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+function store(locationId, zipCode, latitude, longitude) {
+  return { locationId, name: `Kroger ${locationId}`, chain: "KROGER", address: { zipCode }, geolocation: { latitude, longitude } };
+}
+
+// Kroger's answer for filter.zipCode.near=30303: nearest first, but the
+// first store is just over the zip line
+const stores = [
+  store("near", "30313", 33.76, -84.4),
+  store("in-zip", "30303-1234", 33.75, -84.39),
+  store("far", "30030", 33.77, -84.3),
+];
+
+global.fetch = async (url) => {
+  if (String(url).includes("/connect/oauth2/token")) {
+    return { ok: true, status: 200, text: async () => JSON.stringify({ access_token: "t", expires_in: 1800 }) };
+  }
+  return { ok: true, status: 200, headers: { get: () => null }, json: async () => ({ data: stores }) };
+};
+
+const { searchLocations } = require("../lib/kroger");
+
+test("a zip search measures distances from a store in that zip", async () => {
+  const result = await searchLocations({ zip: "30303", limit: 3 });
+
+  assert.deepEqual(result.origin, { zip: "30303", lat: 33.75, lng: -84.39, approximate: true });
+  assert.deepEqual(result.locations.map((l) => l.locationId), ["in-zip", "near", "far"]);
+  assert.equal(result.locations[0].distanceMiles, 0);
+  assert.ok(result.locations.every((l) => typeof l.distanceMiles === "number"));
+});
+
+test("a lat/lng search reports that exact origin", async () => {
+  const result = await searchLocations({ lat: 33.77, lng: -84.3, limit: 3 });
+
+  assert.deepEqual(result.origin, { lat: 33.77, lng: -84.3 });
+  assert.equal(result.locations[0].locationId, "far");
+});
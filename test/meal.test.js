@@ -0,0 +1,81 @@
+/**
+ * lib/meal.js portion conversion and item validation.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeFatSecretFood } = require("../lib/nutrition");
+const { computePortion, validateItem, totalNutrition } = require("../lib/meal");
+
+// 1 cup = 244 g (default serving), so per100g is 50 kcal / 3.3 g protein
+const milk = normalizeFatSecretFood({
+  food_id: "1",
+  food_name: "Milk",
+  servings: {
+    serving: [
+      {
+        serving_id: "1",
+        serving_description: "1 cup",
+        measurement_description: "cup",
+        number_of_units: "1.000",
+        metric_serving_amount: "244.000",
+        metric_serving_unit: "g",
+        is_default: "1",
+        calories: "122",
+        protein: "8.05",
+      },
+    ],
+  },
+});
+
+test("servings scale the default serving", () => {
+  const portion = computePortion(milk, 2, "serving");
+
+  assert.equal(portion.basis, "serving");
+  assert.equal(portion.servingDescription, "1 cup");
+  assert.equal(portion.grams, 488);
+  assert.equal(portion.nutrition.calories, 244);
+});
+
+test("grams and ounces go through per-100 g values", () => {
+  const grams = computePortion(milk, 150, "g");
+  assert.equal(grams.basis, "per100g");
+  assert.equal(grams.grams, 150);
+  assert.equal(grams.nutrition.calories, 75);
+
+  const ounce = computePortion(milk, 1, "oz");
+  assert.equal(ounce.grams, 28.35);
+  assert.equal(ounce.nutrition.calories, 14.17);
+});
+
+test("a declared measure beats metric conversion", () => {
+  const portion = computePortion(milk, 0.5, "cups");
+
+  assert.equal(portion.basis, "measure");
+  assert.equal(portion.grams, 122);
+  assert.equal(portion.nutrition.calories, 61);
+});
+
+test("units the food cannot be converted to are reported", () => {
+  assert.deepEqual(computePortion(milk, 1, "slice"), {
+    reason: "unit_not_convertible",
+    availableUnits: ["serving", "cup", "g", "oz", "lb"],
+  });
+  assert.equal(computePortion(milk, 100, "ml").reason, "unit_not_convertible");
+});
+
+test("items name exactly one food and a positive quantity", () => {
+  assert.equal(validateItem({ query: "banana" }), null);
+  assert.match(validateItem({ query: "banana", barcode: "036000291452" }), /exactly one/);
+  assert.match(validateItem({ foodId: "1", quantity: 0 }), /positive/);
+  assert.equal(validateItem(null), "Item must be an object");
+});
+
+test("totals add resolved items only", () => {
+  const resolved = { status: "resolved", nutrition: computePortion(milk, 1, "serving").nutrition };
+  const total = totalNutrition([resolved, resolved, { status: "unresolved" }]);
+
+  assert.equal(total.calories, 244);
+  assert.equal(total.macros.protein, 16.1);
+  assert.equal(total.macros.sugar, null);
+});
@@ -0,0 +1,63 @@
+/**
+ * lib/price-history.js deal finding and snapshot writes, with Supabase
+ * stubbed via global fetch.
+ */
+
+process.env.SUPABASE_URL = "https://supabase.test";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+let respond = async () => ({ ok: true, status: 200, text: async () => "[]" });
+const requested = [];
+global.fetch = async (url, options = {}) => {
+  requested.push({ url: String(url), method: options.method || "GET" });
+  return respond(url, options);
+};
+
+const { findDeals, recordPriceSnapshots } = require("../lib/price-history");
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+test("findDeals reads the newest rows and still treats the latest as current", async () => {
+  // PostgREST answers newest first for order=observed_on.desc
+  const rows = [0, 10, 20, 30].map((age, i) => ({
+    product_id: "0001",
+    observed_on: daysAgo(age),
+    price: i === 0 ? 2.5 : 4,
+    regular_price: 4,
+    promo_price: i === 0 ? 2.5 : null,
+    upc: "0001111041700",
+    brand: "Kroger",
+    description: "Milk",
+    size: "1 gal",
+  }));
+  respond = async () => ({ ok: true, status: 200, text: async () => JSON.stringify(rows) });
+  requested.length = 0;
+
+  const result = await findDeals("01400943");
+
+  assert.match(requested[0].url, /order=observed_on\.desc/);
+  assert.equal(result.count, 1);
+  assert.equal(result.deals[0].price, 2.5);
+  assert.equal(result.deals[0].lastSeen, daysAgo(0));
+});
+
+test("a hung snapshot write gives up instead of blocking", async () => {
+  respond = (url, options) => new Promise((resolve, reject) => {
+    options.signal.addEventListener("abort", () => {
+      const err = new Error("aborted");
+      err.name = "AbortError";
+      reject(err);
+    });
+  });
+  const started = Date.now();
+
+  await recordPriceSnapshots([{ productId: "0002", price: 3.99 }], "01400943");
+
+  assert.ok(Date.now() - started < 5000);
+  assert.equal(requested.at(-1).method, "POST");
+});
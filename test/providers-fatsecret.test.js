@@ -0,0 +1,78 @@
+/**
+ * lib/providers/fatsecret.js — barcode lookups against a stubbed
+ * FatSecret server.api (global fetch).
+ */
+
+process.env.FATSECRET_AUTH_MODE = "oauth1";
+process.env.FATSECRET_CONSUMER_KEY = "key";
+process.env.FATSECRET_CONSUMER_SECRET = "secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseBarcode } = require("../lib/gtin");
+const fatsecret = require("../lib/providers/fatsecret");
+
+/** Answers each FatSecret `method` with the matching handler. */
+function stubFatSecret(handlers) {
+  global.fetch = async (url) => {
+    const method = new URL(url).searchParams.get("method");
+    const body = handlers[method] ? handlers[method]() : { error: { code: 0, message: `unexpected ${method}` } };
+    return { ok: true, status: 200, text: async () => JSON.stringify(body) };
+  };
+}
+
+const parsed = parseBarcode("011110417008");
+
+test("a matched barcode returns the normalized food", async () => {
+  stubFatSecret({
+    "food.find_id_for_barcode": () => ({ food_id: { value: "123" } }),
+    "food.get.v4": () => ({ food: { food_id: "123", food_name: "Milk", servings: { serving: [] } } }),
+  });
+
+  const result = await fatsecret.lookup(parsed);
+  assert.equal(result.found, true);
+  assert.equal(result.product.name, "Milk");
+});
+
+test("food_id 0 on every variant is a miss", async () => {
+  stubFatSecret({ "food.find_id_for_barcode": () => ({ food_id: { value: "0" } }) });
+
+  const result = await fatsecret.lookup(parsed);
+  assert.equal(result.found, false);
+});
+
+test("a credential or quota error is thrown, not reported as a miss", async () => {
+  stubFatSecret({
+    "food.find_id_for_barcode": () => ({ error: { code: 14, message: "Missing scope" } }),
+  });
+
+  await assert.rejects(fatsecret.lookup(parsed), /error 14: Missing scope/);
+});
+
+test("a parameter error only skips that variant", async () => {
+  let calls = 0;
+  stubFatSecret({
+    "food.find_id_for_barcode": () => (++calls === 1
+      ? { error: { code: 108, message: "Invalid barcode" } }
+      : { food_id: { value: "0" } }),
+  });
+
+  const result = await fatsecret.lookup(parsed);
+  assert.equal(result.found, false);
+  assert.ok(calls > 1);
+});
+
+test("food.get failing after a barcode match is an error, not found: true with no product", async () => {
+  stubFatSecret({
+    "food.find_id_for_barcode": () => ({ food_id: { value: "123" } }),
+    "food.get.v4": () => ({ error: { code: 12, message: "User is performing too many actions" } }),
+  });
+  await assert.rejects(fatsecret.lookup(parsed), /food\.get error 12/);
+
+  stubFatSecret({
+    "food.find_id_for_barcode": () => ({ food_id: { value: "123" } }),
+    "food.get.v4": () => ({}),
+  });
+  await assert.rejects(fatsecret.lookup(parsed), /returned no food/);
+});
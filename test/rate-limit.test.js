@@ -0,0 +1,123 @@
+/**
+ * lib/rate-limit.js — limits, tiers, overrides, costs and the Upstash
+ * store with its memory fallback (Upstash REST stubbed via global fetch).
+ */
+
+process.env.RATE_LIMIT_STORE = "upstash";
+process.env.UPSTASH_REDIS_REST_URL = "https://redis.test/";
+process.env.UPSTASH_REDIS_REST_TOKEN = "redis-token";
+process.env.RATE_LIMIT_API_KEYS = "partner-key=partner";
+process.env.RATE_LIMITS = JSON.stringify({ "test-override": { anonymous: 2 } });
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { mockReq, mockRes } = require("./helpers");
+
+const {
+  createRateLimiter,
+  enforceRateLimit,
+  resolveIdentity,
+  createMemoryRateStore,
+} = require("../lib/rate-limit");
+
+// A tiny Redis: SET NX / INCRBY / PTTL / PEXPIRE over a Map
+const redis = new Map();
+let redisDown = false;
+const pipelines = [];
+
+global.fetch = async (url, options) => {
+  if (redisDown) throw new Error("connect ECONNREFUSED");
+  assert.equal(url, "https://redis.test/pipeline");
+  assert.equal(options.headers.Authorization, "Bearer redis-token");
+
+  const commands = JSON.parse(options.body);
+  pipelines.push(commands);
+  const results = commands.map(([cmd, key, ...args]) => {
+    if (cmd === "SET") {
+      if (redis.has(key)) return { result: null };
+      redis.set(key, { value: Number(args[0]), ttl: Number(args[2]) });
+      return { result: "OK" };
+    }
+    if (cmd === "INCRBY") {
+      redis.get(key).value += Number(args[0]);
+      return { result: redis.get(key).value };
+    }
+    if (cmd === "PTTL") return { result: redis.get(key).ttl };
+    return { result: 1 };
+  });
+  return { ok: true, status: 200, json: async () => results };
+};
+
+async function hit(limiter, { ip = "203.0.113.1", headers = {}, caller } = {}) {
+  const res = mockRes();
+  const allowed = await enforceRateLimit(limiter, mockReq({ headers: { "x-forwarded-for": ip, ...headers } }), res, caller);
+  return { allowed, res };
+}
+
+test("allows up to the limit, then answers 429 with Retry-After", async () => {
+  const limiter = createRateLimiter({ route: "test-basic", maxRequests: 3 });
+
+  for (let i = 1; i <= 3; i++) {
+    const { allowed, res } = await hit(limiter);
+    assert.equal(allowed, true);
+    assert.equal(res.headers["ratelimit-remaining"], String(3 - i));
+    assert.equal(res.headers["ratelimit-policy"], "3;w=60");
+  }
+
+  const { allowed, res } = await hit(limiter);
+  assert.equal(allowed, false);
+  assert.equal(res.statusCode, 429);
+  assert.ok(Number(res.headers["retry-after"]) > 0);
+
+  // Another IP has its own bucket
+  assert.equal((await hit(limiter, { ip: "203.0.113.2" })).allowed, true);
+});
+
+test("tiers: signed-in users are 'free', listed API keys get their tier", async () => {
+  const limiter = createRateLimiter({ route: "test-tiers", maxRequests: 10 });
+
+  const user = await hit(limiter, { caller: { user: { id: "u1" }, tier: "pro" } });
+  assert.equal(user.res.headers["ratelimit-limit"], "30");
+
+  const partner = await hit(limiter, { headers: { "x-api-key": "partner-key" } });
+  assert.equal(partner.res.headers["ratelimit-limit"], "100");
+
+  const unknownKey = resolveIdentity(mockReq({ headers: { "x-api-key": "nope" } }));
+  assert.equal(unknownKey.kind, "ip");
+});
+
+test("RATE_LIMITS overrides a route's tier limit", async () => {
+  const limiter = createRateLimiter({ route: "test-override", maxRequests: 50 });
+  assert.equal(limiter.getLimit("anonymous"), 2);
+  assert.equal(limiter.getLimit("pro"), 150);
+});
+
+test("a request can cost several units", async () => {
+  const limiter = createRateLimiter({ route: "test-cost", maxRequests: 10 });
+
+  const first = await hit(limiter, { caller: { cost: 7 } });
+  assert.equal(first.res.headers["ratelimit-remaining"], "3");
+  assert.deepEqual(pipelines.at(-1)[1], ["INCRBY", "rl:test-cost:ip:203.0.113.1", "7"]);
+
+  const second = await hit(limiter, { caller: { cost: 7 } });
+  assert.equal(second.allowed, false);
+});
+
+test("an Upstash outage falls back to counting in memory", async () => {
+  const limiter = createRateLimiter({ route: "test-fallback", maxRequests: 1 });
+  redisDown = true;
+  try {
+    assert.equal((await hit(limiter)).allowed, true);
+    assert.equal((await hit(limiter)).allowed, false);
+  } finally {
+    redisDown = false;
+  }
+});
+
+test("memory store windows reset after windowMs", async () => {
+  const store = createMemoryRateStore();
+  assert.equal((await store.increment("k", 20)).count, 1);
+  assert.equal((await store.increment("k", 20, 2)).count, 3);
+  await new Promise((resolve) => setTimeout(resolve, 25));
+  assert.equal((await store.increment("k", 20)).count, 1);
+});
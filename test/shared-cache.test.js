@@ -0,0 +1,98 @@
+/**
+ * lib/shared-cache.js read-through behaviour and lib/kv-store.js backend
+ * choice, with Upstash stubbed via global fetch.
+ */
+
+process.env.UPSTASH_REDIS_REST_URL = "https://upstash.test";
+process.env.UPSTASH_REDIS_REST_TOKEN = "token";
+process.env.SUPABASE_URL = "https://supabase.test";
+process.env.SUPABASE_SERVICE_ROLE_KEY = "service";
+process.env.CACHE_STORE_TIMEOUT_MS = "50";
+delete process.env.CACHE_STORE;
+delete process.env.KV_STORE;
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Upstash that never answers until the request is aborted
+global.fetch = (url, options) => new Promise((resolve, reject) => {
+  options.signal.addEventListener("abort", () => {
+    const err = new Error("aborted");
+    err.name = "AbortError";
+    reject(err);
+  });
+});
+
+const { createSharedCache } = require("../lib/shared-cache");
+const { createSharedStore } = require("../lib/kv-store");
+
+function local(namespace, options = {}) {
+  return createSharedCache({ namespace, ttlMs: 1000, shared: false, ...options });
+}
+
+test("fresh entries are hits and concurrent misses share one load", async () => {
+  const cache = local("coalesce");
+  let loads = 0;
+  const loader = async () => {
+    loads++;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return "value";
+  };
+
+  const [first, second] = await Promise.all([cache.load("k", loader), cache.load("k", loader)]);
+  const third = await cache.load("k", loader);
+
+  assert.deepEqual([first.status, second.status, third.status], ["miss", "coalesced", "hit"]);
+  assert.equal(loads, 1);
+  assert.equal(cache.stats().hits, 1);
+});
+
+test("stale entries are served while one background load refreshes them", async () => {
+  const cache = local("stale", { ttlMs: 10, staleMs: 1000 });
+  let version = 0;
+  const loader = async () => ++version;
+
+  await cache.load("k", loader);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+
+  const stale = await cache.load("k", loader);
+  assert.deepEqual(stale, { value: 1, status: "stale" });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(await cache.load("k", loader), { value: 2, status: "hit" });
+});
+
+test("loader errors are not cached and ttlFor 0 skips caching", async () => {
+  const cache = local("errors");
+
+  await assert.rejects(cache.getOrLoad("k", async () => { throw new Error("upstream down"); }), /upstream down/);
+  assert.equal(await cache.getOrLoad("k", async () => "ok"), "ok");
+
+  await cache.getOrLoad("skip", async () => null, { ttlFor: (value) => (value ? 1000 : 0) });
+  assert.equal(await cache.get("skip"), null);
+  assert.equal(cache.stats().loadErrors, 1);
+});
+
+test("a hung shared store times out into a miss instead of blocking", async () => {
+  const cache = createSharedCache({ namespace: "hung", ttlMs: 1000 });
+  assert.equal(cache.stats().store, "memory+upstash");
+
+  const started = Date.now();
+  const result = await cache.load("k", async () => "fresh");
+
+  assert.deepEqual(result, { value: "fresh", status: "miss" });
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(cache.stats().sharedErrors, 2); // the read and the write
+});
+
+test("Supabase is only used as a shared store when asked for", () => {
+  assert.equal(createSharedStore({ namespace: "n" }).name, "upstash");
+
+  delete process.env.UPSTASH_REDIS_REST_URL;
+  try {
+    assert.equal(createSharedStore({ namespace: "n" }), null);
+    assert.equal(createSharedStore({ namespace: "n", store: "supabase" }).name, "supabase");
+    assert.equal(createSharedStore({ namespace: "n", store: "memory" }), null);
+  } finally {
+    process.env.UPSTASH_REDIS_REST_URL = "https://upstash.test";
+  }
+});
@@ -0,0 +1,96 @@
+/**
+ * lib/store-brand.js ranking, family-safety exclusion and Kroger error
+ * handling, with product search and detail stubbed.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { stubModule } = require("./helpers");
+
+const kroger = require("../lib/kroger");
+const { parsePackageSize, computeUnitPrice } = require("../lib/units");
+
+function detail(productId, brand, price, ingredients) {
+  const packageSize = parsePackageSize("1 gal");
+  return {
+    productId,
+    upc: null,
+    brand,
+    description: `${brand} Chocolate Milk`,
+    categories: ["Dairy"],
+    items: [{ size: "1 gal", packageSize, price, unitPrice: computeUnitPrice(price, packageSize) }],
+    nutrition: { ingredients },
+  };
+}
+
+const details = {
+  original: detail("original", "Dairy Co", 5, "Milk, Sugar, Cocoa, Salt"),
+  "kr-choc": detail("kr-choc", "Kroger", 4, "Milk, Sugar, Cocoa (Processed with Alkali), Salt"),
+  "ps-choc": detail("ps-choc", "Private Selection", 6, "Milk, Sugar, Cocoa, Carrageenan"),
+  "st-choc": detail("st-choc", "Simple Truth", 4.5, "Organic Milk, Organic Cane Sugar, Organic Cocoa, Peanut Flour"),
+};
+
+// Search hits are the flat search shape; a brand can be made to fail
+let searchFailure = {};
+
+stubModule("../lib/kroger", {
+  ...kroger,
+  getProductDetail: async (productId) => (details[productId] ? { product: details[productId] } : { notFound: true }),
+  searchProducts: async (term, locationId, limit, { brand }) => {
+    if (searchFailure[brand]) throw searchFailure[brand];
+    const products = Object.values(details)
+      .filter((d) => d.brand === brand)
+      .map(({ items, nutrition, ...p }) => ({ ...p, ...items[0] }));
+    return { products };
+  },
+});
+
+const { parseIngredients, findStoreBrandSwaps } = require("../lib/store-brand");
+
+function swaps(profiles = null) {
+  return findStoreBrandSwaps({ productId: "original", locationId: "01400376", profiles });
+}
+
+test("ingredient statements are split into plain ingredient names", () => {
+  assert.deepEqual(
+    parseIngredients("Milk, Vitamin A Palmitate (Vitamin A), Contains 2% or less of: Salt"),
+    ["milk", "vitamin a palmitate", "salt"]
+  );
+  assert.deepEqual(parseIngredients("Ingredients: Organic Oats and Sugar; Salt, Sugar."), ["oats", "sugar", "salt"]);
+  assert.deepEqual(parseIngredients(null), []);
+});
+
+test("matches rank by ingredient similarity, then unit price", async () => {
+  searchFailure = {};
+  const result = await swaps();
+
+  assert.equal(result.searchTerm, "Chocolate Milk");
+  assert.deepEqual(result.matches.map((m) => [m.productId, m.similarity, m.score, m.cheaper]), [
+    ["kr-choc", 1, 0.88, true],
+    ["ps-choc", 0.6, 0.48, false],
+    ["st-choc", 0.33, 0.44, true],
+  ]);
+  assert.equal(result.matches[0].similarityBasis, "ingredients");
+  assert.equal(result.matches[0].savingsPercent, 20);
+  assert.deepEqual(result.excluded, []);
+});
+
+test("a match less safe for the family is excluded, not offered", async () => {
+  searchFailure = {};
+  const result = await swaps([{ name: "Sam", allergies: "peanuts" }]);
+
+  assert.equal(result.original.familySafety.verdict, "safe");
+  assert.deepEqual(result.matches.map((m) => m.productId), ["kr-choc", "ps-choc"]);
+  assert.deepEqual(result.excluded.map((m) => [m.productId, m.reason, m.familySafety.verdict]), [
+    ["st-choc", "less_safe_for_family", "unsafe"],
+  ]);
+});
+
+test("a rejected brand search is skipped, a Kroger outage is not", async () => {
+  searchFailure = { "Private Selection": new kroger.KrogerRequestError("Bad request", { status: 400 }) };
+  const partial = await swaps();
+  assert.deepEqual(partial.matches.map((m) => m.productId), ["kr-choc", "st-choc"]);
+
+  searchFailure = { "Private Selection": new kroger.KrogerUpstreamError("Kroger 503", { status: 503 }) };
+  await assert.rejects(swaps(), kroger.KrogerUpstreamError);
+});
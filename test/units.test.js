@@ -0,0 +1,58 @@
+/**
+ * lib/units.js package sizes, unit prices and user-entered units.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePackageSize, computeUnitPrice, unitPriceLabel, normalizeUnit, matchesMeasure } = require("../lib/units");
+
+test("single measures, fractions and counts", () => {
+  assert.deepEqual(parsePackageSize("16 oz"), { quantity: 453.59, unit: "g" });
+  assert.deepEqual(parsePackageSize("2 lb bag"), { quantity: 907.18, unit: "g" });
+  assert.deepEqual(parsePackageSize("1.5 L"), { quantity: 1500, unit: "ml" });
+  assert.deepEqual(parsePackageSize("half gallon"), parsePackageSize("1/2 gal"));
+  assert.deepEqual(parsePackageSize("1 1/2 lb"), { quantity: 680.39, unit: "g" });
+  assert.deepEqual(parsePackageSize("1 dozen"), { quantity: 12, unit: "each" });
+  assert.deepEqual(parsePackageSize("each"), { quantity: 1, unit: "each" });
+  assert.deepEqual(parsePackageSize("per lb"), { quantity: 453.59, unit: "g" });
+  assert.deepEqual(parsePackageSize("1 lb 8 oz"), { quantity: 680.39, unit: "g" });
+  assert.equal(parsePackageSize("family size"), null);
+});
+
+test("dual-unit labels are one amount, not a sum", () => {
+  assert.deepEqual(parsePackageSize("16.9 fl oz 500 ml"), { quantity: 499.79, unit: "ml" });
+  assert.deepEqual(parsePackageSize("8 oz 227 g"), { quantity: 226.8, unit: "g" });
+  assert.deepEqual(parsePackageSize("12 oz (340 g)"), { quantity: 340.19, unit: "g" });
+  assert.deepEqual(parsePackageSize("1 lb / 16 oz"), { quantity: 453.59, unit: "g" });
+  assert.deepEqual(parsePackageSize("1 gal 2 qt"), parsePackageSize("1.5 gal"));
+});
+
+test("multipacks multiply the count into the measure", () => {
+  assert.deepEqual(parsePackageSize("6 ct / 12 fl oz"), { quantity: 2129.29, unit: "ml" });
+  assert.deepEqual(parsePackageSize("12 x 12 fl oz"), { quantity: 4258.58, unit: "ml" });
+  assert.deepEqual(parsePackageSize("2-pack 12 oz"), { quantity: 680.39, unit: "g" });
+  assert.deepEqual(parsePackageSize("2 pk / 12 oz"), { quantity: 680.39, unit: "g" });
+  assert.deepEqual(parsePackageSize("pack of 2, 12 oz"), { quantity: 680.39, unit: "g" });
+  assert.deepEqual(parsePackageSize("2 pack 6 ct 12 fl oz"), { quantity: 4258.58, unit: "ml" });
+  assert.deepEqual(parsePackageSize("12-oz"), { quantity: 340.19, unit: "g" });
+});
+
+test("unit prices are per 100 g, per 100 ml or per item", () => {
+  assert.equal(computeUnitPrice(3.99, parsePackageSize("2-pack 12 oz")), 0.5864);
+  assert.equal(computeUnitPrice(2.4, parsePackageSize("12 ct")), 0.2);
+  assert.equal(computeUnitPrice(0, parsePackageSize("12 ct")), null);
+  assert.equal(computeUnitPrice(2.4, null), null);
+  assert.equal(unitPriceLabel("g"), "per 100 g");
+  assert.equal(unitPriceLabel("each"), "each");
+});
+
+test("user-entered units", () => {
+  assert.deepEqual(normalizeUnit(""), { kind: "serving" });
+  assert.deepEqual(normalizeUnit("lbs"), { kind: "mass", unit: "g", factor: 453.592 });
+  assert.deepEqual(normalizeUnit("Tbsp."), { kind: "volume", unit: "ml", factor: 14.7868, measure: "tbsp" });
+  assert.deepEqual(normalizeUnit("cups"), { kind: "volume", unit: "ml", factor: 236.588, measure: "cup" });
+  assert.deepEqual(normalizeUnit("slices"), { kind: "household", unit: "slice" });
+  assert.equal(matchesMeasure("cup (8 fl oz)", "cups"), true);
+  assert.equal(matchesMeasure("tablespoon", "Tbsp"), true);
+  assert.equal(matchesMeasure("slice", "cup"), false);
+});